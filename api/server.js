@@ -4,19 +4,121 @@ import dotenv from 'dotenv';
 dotenv.config();
 
 // Then import other services
+import { once } from 'events';
 import express from 'express';
 import TelegramService from '../services/TelegramService.js';
+import SignalService, { SEND_PARSE_MODES, RETRACT_REASON_MAX_LENGTH } from '../services/SignalService.js';
+import BroadcastService from '../services/BroadcastService.js';
+import CampaignService from '../services/CampaignService.js';
+import TradeEventService from '../services/TradeEventService.js';
+import ApiKeyService from '../services/ApiKeyService.js';
+import ScheduleService, { SCHEDULED_STATUSES } from '../services/ScheduleService.js';
+import { SIMULATION_EXPORT_COLUMNS } from '../services/SimulationService.js';
+import { renderSignalMessage, renderRetractedSignalMessage } from '../utils/signalTemplate.js';
+import { TelegramApiError } from '../utils/telegramErrors.js';
+import { DEFAULT_PARSE_MODE } from '../utils/messageFormat.js';
 
 const app = express();
 const port = process.env.PORT || 3001;
 const telegramService = new TelegramService();
+const signalService = new SignalService();
+const broadcastService = new BroadcastService(telegramService, signalService);
+const campaignService = new CampaignService(telegramService, signalService, broadcastService);
+const tradeEventService = new TradeEventService(telegramService);
+const apiKeyService = new ApiKeyService();
+const scheduleService = new ScheduleService(broadcastService, signalService);
 
-app.use(express.json());
+// How often signals deferred by users' quiet hours are checked for delivery
+const DEFERRED_DISPATCH_INTERVAL_MS = parseInt(process.env.DEFERRED_DISPATCH_INTERVAL_MS || '60000');
+let deferredDispatchTimer = null;
+let deferredDispatchRunning = false;
+
+// How often scheduled messages are checked; due items are also picked up once at startup
+const SCHEDULED_DISPATCH_INTERVAL_MS = parseInt(process.env.SCHEDULED_DISPATCH_INTERVAL_MS || '30000');
+let scheduledDispatchTimer = null;
+let scheduledDispatchRunning = false;
+
+// How often broadcast jobs and campaigns interrupted by a restart are looked for; also done once at startup
+const INTERRUPTED_JOB_SWEEP_INTERVAL_MS = parseInt(process.env.INTERRUPTED_JOB_SWEEP_INTERVAL_MS || '60000');
+let interruptedJobSweepTimer = null;
+
+// Longest range /api/simulations/stats accepts, which bounds its daily buckets
+const STATS_MAX_RANGE_DAYS = 366;
+
+// Campaign CSVs are sent inline, so allow larger bodies than the default 100kb
+// The raw body is kept for verifying signed trading engine callbacks
+app.use(express.json({
+  limit: '5mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 // Middleware for error handling
 const asyncHandler = (fn) => (req, res, next) =>
   Promise.resolve(fn(req, res, next)).catch(next);
 
+// Require an API key (Authorization: Bearer <key> or X-API-Key) with the given scope,
+// enforce the key's rate limit and record the call in the audit log
+const requireScope = (scope) => asyncHandler(async (req, res, next) => {
+  const startedAt = Date.now();
+  const authorization = req.get('Authorization') || '';
+  const rawKey = req.get('X-API-Key') || (authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : null);
+  const apiKey = rawKey ? await apiKeyService.authenticate(rawKey) : null;
+
+  // 'finish' only fires for responses that were sent in full; a client that disconnects first only
+  // triggers 'close', which also follows every 'finish', so the call is recorded once either way
+  let audited = false;
+  const recordCall = () => {
+    if (audited) return;
+    audited = true;
+    const aborted = !res.writableFinished;
+    apiKeyService.audit({
+      keyId: apiKey?._id || null,
+      keyName: apiKey?.name || null,
+      scope,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      status: aborted && !res.headersSent ? null : res.statusCode,
+      aborted,
+      ip: req.ip,
+      durationMs: Date.now() - startedAt
+    });
+  };
+  res.on('finish', recordCall);
+  res.on('close', recordCall);
+
+  if (!apiKey) {
+    return res.status(401).json({
+      success: false,
+      error: 'A valid API key is required'
+    });
+  }
+
+  if (!apiKeyService.hasScope(apiKey, scope)) {
+    return res.status(403).json({
+      success: false,
+      error: `This API key does not have the ${scope} scope`
+    });
+  }
+
+  const rateLimit = await apiKeyService.consumeRateLimit(apiKey);
+  res.set('X-RateLimit-Limit', String(rateLimit.limit));
+  res.set('X-RateLimit-Remaining', String(rateLimit.remaining));
+  res.set('X-RateLimit-Reset', String(Math.ceil(rateLimit.resetAt.getTime() / 1000)));
+
+  if (!rateLimit.allowed) {
+    res.set('Retry-After', String(Math.max(1, Math.ceil((rateLimit.resetAt.getTime() - Date.now()) / 1000))));
+    return res.status(429).json({
+      success: false,
+      error: 'Rate limit exceeded for this API key'
+    });
+  }
+
+  req.apiKey = apiKey;
+  next();
+});
+
 // API Endpoints
 
 // Simple health check endpoint for monitoring
@@ -28,9 +130,25 @@ app.get('/api/health', (req, res) => {
 });
 
 
+// Telegram webhook, only mounted when TELEGRAM_DELIVERY_MODE is webhook
+if (telegramService.deliveryMode === 'webhook') {
+  app.post(telegramService.webhookPath, (req, res) => {
+    if (!telegramService.isValidWebhookSecret(req.get('X-Telegram-Bot-Api-Secret-Token'))) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid webhook secret token'
+      });
+    }
+
+    // Acknowledge right away; simulations can take longer than Telegram waits for a response
+    res.sendStatus(200);
+    telegramService.handleWebhookUpdate(req.body);
+  });
+}
+
 // Send Telegram message
-app.post('/api/telegram/send', asyncHandler(async (req, res) => {
-  const { username, message } = req.body;
+app.post('/api/telegram/send', requireScope('send'), asyncHandler(async (req, res) => {
+  const { username, message, parseMode = 'Markdown', media } = req.body;
 
   if (!username || !message) {
     return res.status(400).json({
@@ -39,8 +157,23 @@ app.post('/api/telegram/send', asyncHandler(async (req, res) => {
     });
   }
 
+  if (!SEND_PARSE_MODES.includes(parseMode)) {
+    return res.status(400).json({
+      success: false,
+      error: `parseMode must be one of ${SEND_PARSE_MODES.join(', ')}`
+    });
+  }
+
+  const mediaError = media ? signalService.validateMedia(media) : null;
+  if (mediaError) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid media: ${mediaError}`
+    });
+  }
+
   try {
-    const response = await telegramService.sendMessage(username, message);
+    const response = await telegramService.sendMessage(username, message, { parseMode, media });
     console.log('Telegram message sent successfully', response);
     res.json({
       success: true,
@@ -51,9 +184,9 @@ app.post('/api/telegram/send', asyncHandler(async (req, res) => {
   }
 }));
 
-// Send test bullish signal message
-app.post('/api/telegram/send-test-signal', asyncHandler(async (req, res) => {
-  const { username } = req.body;
+// Send test bullish (or bearish) signal message
+app.post('/api/telegram/send-test-signal', requireScope('send'), asyncHandler(async (req, res) => {
+  const { username, direction = 'buy' } = req.body;
 
   if (!username) {
     return res.status(400).json({
@@ -62,110 +195,831 @@ app.post('/api/telegram/send-test-signal', asyncHandler(async (req, res) => {
     });
   }
 
-  const testSignalMessage = `🚀 **Bullish Alert** 🚀
-
-🏛️ **Token**:  UNI (uniswap)
-📈 **Signal**: Buy
-💰 **Entry Price**: $9.37
-🎯 **Targets**:
-TP1: $11.37
-TP2: $13.37
-🛑 **Stop Loss**: $8.37
-⏳ **Timeline:** Short-term (1-7 days)
+  if (!['buy', 'sell'].includes(direction)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Direction must be either buy or sell'
+    });
+  }
 
-💡 **Trade Tip**:
-Falling wedge breakout signaled with high volume, suggesting potential bullish reversal. Entry at current dip with tight stop-loss. Monitor volume sustainability and retest of wedge resistance. Risk management crucial amid recent 12.4% drop.`;
+  const testSignalMessage = renderSignalMessage(direction === 'sell' ? {
+    token: 'UNI',
+    tokenName: 'uniswap',
+    direction: 'sell',
+    entryPrice: 9.37,
+    tp1: 8.37,
+    tp2: 7.37,
+    sl: 10.37,
+    timeline: 'Short-term (1-7 days)',
+    tradeTip: 'Rising wedge breakdown on declining volume, suggesting potential bearish reversal. Entry near resistance with stop-loss above the recent high. Watch for a retest of broken support.'
+  } : {
+    token: 'UNI',
+    tokenName: 'uniswap',
+    direction: 'buy',
+    entryPrice: 9.37,
+    tp1: 11.37,
+    tp2: 13.37,
+    sl: 8.37,
+    timeline: 'Short-term (1-7 days)',
+    tradeTip: 'Falling wedge breakout signaled with high volume, suggesting potential bullish reversal. Entry at current dip with tight stop-loss. Monitor volume sustainability and retest of wedge resistance. Risk management crucial amid recent 12.4% drop.'
+  });
 
   try {
-    const response = await telegramService.sendMessage(username, testSignalMessage);
-    console.log('Test bullish signal message sent successfully', response);
+    const response = await telegramService.sendMessage(username, testSignalMessage, { parseMode: DEFAULT_PARSE_MODE });
+    console.log('Test signal message sent successfully', response);
     res.json({
       success: true,
-      message: 'Test bullish signal sent successfully with Simulate Trade button'
+      message: direction === 'sell'
+        ? 'Test bearish signal sent successfully with Simulate Short button'
+        : 'Test bullish signal sent successfully with Simulate Trade button'
     });
   } catch (error) {
     throw error;
   }
 }));
 
-// Get simulation data
-app.get('/api/simulations', asyncHandler(async (req, res) => {
-  const { username, limit = 10, status } = req.query;
+// Create a structured signal, render it and send it to the recipients
+app.post('/api/telegram/signals', requireScope('send'), asyncHandler(async (req, res) => {
+  const { signal, recipients, errors } = signalService.validateSignalInput(req.body);
 
-  try {
-    const client = await dbConnect();
-    const db = client.db("ctxbt-signal-flow");
-    const simulationCollection = db.collection("trade_simulations");
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid signal',
+      errors
+    });
+  }
+
+  const signalDocument = await signalService.createSignal(signal, recipients);
+  const signalId = signalDocument._id.toString();
 
-    // Build query
-    const query = {};
-    if (username) {
-      query.username = username;
+  const deliveries = [];
+  for (const username of recipients) {
+    try {
+      const response = await telegramService.sendMessage(username, signalDocument.message, signalService.getSendOptions(signalDocument));
+      const delivery = telegramService.toDelivery(response);
+      await signalService.recordDelivery(signalId, username, delivery);
+      deliveries.push({ username, ...delivery });
+    } catch (error) {
+      const delivery = { status: 'failed', error: error.message };
+      await signalService.recordDelivery(signalId, username, delivery);
+      deliveries.push({ username, ...delivery });
     }
-    if (status) {
-      query.status = status;
+  }
+
+  res.status(201).json({
+    success: true,
+    data: {
+      signalId,
+      message: signalDocument.message,
+      deliveries
     }
+  });
+}));
 
-    // Get simulations with limit
-    const simulations = await simulationCollection
-      .find(query)
-      .sort({ timestamp: -1 })
-      .limit(parseInt(limit))
-      .toArray();
+// Get a stored signal
+app.get('/api/telegram/signals/:id', requireScope('send'), asyncHandler(async (req, res) => {
+  const signal = await signalService.getSignalById(req.params.id);
 
-    res.json({
-      success: true,
-      data: {
-        simulations,
-        count: simulations.length,
-        query: { username, limit, status }
-      }
+  if (!signal) {
+    return res.status(404).json({
+      success: false,
+      error: 'Signal not found'
     });
-  } catch (error) {
-    throw error;
   }
+
+  res.json({
+    success: true,
+    data: signal
+  });
 }));
 
-// Get simulation by ID
-app.get('/api/simulations/:id', asyncHandler(async (req, res) => {
-  const { id } = req.params;
+/**
+ * Describe a queued edit job in a signal edit or retraction response
+ * @param {object} job - Edit job document
+ * @returns {object} Job id, status and where to poll for progress
+ */
+function describeEditJob(job) {
+  const jobId = job._id.toString();
+  return {
+    jobId,
+    status: job.status,
+    statusUrl: `/api/telegram/signals/${job.signalId}/edits/${jobId}`
+  };
+}
 
-  try {
-    const client = await dbConnect();
-    const db = client.db("ctxbt-signal-flow");
-    const simulationCollection = db.collection("trade_simulations");
+// Edit a sent signal's levels, timeline or tip, and queue edits of every message it was delivered in
+app.patch('/api/telegram/signals/:id', requireScope('send'), asyncHandler(async (req, res) => {
+  const current = await signalService.getSignalById(req.params.id);
+
+  if (!current) {
+    return res.status(404).json({
+      success: false,
+      error: 'Signal not found'
+    });
+  }
+
+  if (current.status === 'retracted') {
+    return res.status(409).json({
+      success: false,
+      error: 'Retracted signals cannot be edited'
+    });
+  }
+
+  const { signal, errors } = signalService.validateSignalUpdate(current, req.body);
 
-    const simulation = await simulationCollection.findOne({ _id: id });
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid signal',
+      errors
+    });
+  }
 
-    if (!simulation) {
+  const updated = await signalService.updateSignal(current, signal);
+  if (!updated) {
+    return res.status(409).json({
+      success: false,
+      error: 'Retracted signals cannot be edited'
+    });
+  }
+
+  const job = await broadcastService.createEditJob({
+    signal: updated,
+    message: updated.message,
+    parseMode: updated.parseMode,
+    withButton: true
+  });
+
+  res.status(202).json({
+    success: true,
+    data: {
+      signalId: updated._id.toString(),
+      message: updated.message,
+      expiresAt: updated.expiresAt,
+      ...describeEditJob(job)
+    }
+  });
+}));
+
+// Retract a signal: refuse further clicks, and queue edits that strike through every delivered message and remove its Simulate button
+app.post('/api/telegram/signals/:id/retract', requireScope('send'), asyncHandler(async (req, res) => {
+  const reason = typeof req.body.reason === 'string' && req.body.reason.trim() ? req.body.reason.trim() : null;
+  if (reason && reason.length > RETRACT_REASON_MAX_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid retraction',
+      errors: [{ field: 'reason', message: `must be at most ${RETRACT_REASON_MAX_LENGTH} characters` }]
+    });
+  }
+
+  const signal = await signalService.retractSignal(req.params.id, reason);
+
+  if (!signal) {
+    const existing = await signalService.getSignalById(req.params.id);
+    return res.status(existing ? 409 : 404).json({
+      success: false,
+      error: existing ? 'Signal is already retracted' : 'Signal not found'
+    });
+  }
+
+  const job = await broadcastService.createEditJob({
+    signal,
+    message: renderRetractedSignalMessage(signal, reason, DEFAULT_PARSE_MODE),
+    parseMode: DEFAULT_PARSE_MODE,
+    withButton: false
+  });
+
+  res.status(202).json({
+    success: true,
+    data: {
+      signalId: signal._id.toString(),
+      retractedAt: signal.retractedAt,
+      ...describeEditJob(job)
+    }
+  });
+}));
+
+// Get the progress of the edits queued by a signal edit or retraction
+app.get('/api/telegram/signals/:id/edits/:jobId', requireScope('send'), asyncHandler(async (req, res) => {
+  const job = await broadcastService.getJob(req.params.jobId);
+
+  if (!job || job.type !== 'edit' || job.signalId !== req.params.id) {
+    return res.status(404).json({
+      success: false,
+      error: 'Edit job not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: job
+  });
+}));
+
+// Queue a message or stored signal for many recipients
+app.post('/api/telegram/broadcast', requireScope('broadcast'), asyncHandler(async (req, res) => {
+  const { usernames, allLinkedUsers, message, signalId, parseMode = 'Markdown' } = req.body;
+
+  if (!allLinkedUsers && (!Array.isArray(usernames) || usernames.length === 0)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Either a non-empty usernames list or allLinkedUsers: true is required'
+    });
+  }
+
+  if (!message && !signalId) {
+    return res.status(400).json({
+      success: false,
+      error: 'Either message or signalId is required'
+    });
+  }
+
+  if (!SEND_PARSE_MODES.includes(parseMode)) {
+    return res.status(400).json({
+      success: false,
+      error: `parseMode must be one of ${SEND_PARSE_MODES.join(', ')}`
+    });
+  }
+
+  let signal = null;
+  if (signalId) {
+    signal = await signalService.getSignalById(signalId);
+    if (!signal) {
       return res.status(404).json({
         success: false,
-        error: 'Simulation not found'
+        error: 'Signal not found'
       });
     }
+  }
 
-    res.json({
-      success: true,
-      data: simulation
+  const recipients = allLinkedUsers
+    ? await broadcastService.getLinkedUsernames()
+    : usernames.filter((username) => typeof username === 'string' && username.trim() !== '');
+
+  if (recipients.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'No recipients to send to'
+    });
+  }
+
+  const job = await broadcastService.createJob({
+    usernames: recipients,
+    message: signal ? signal.message : message,
+    parseMode,
+    signal
+  });
+
+  res.status(202).json({
+    success: true,
+    data: {
+      jobId: job._id.toString(),
+      status: job.status,
+      recipients: job.recipients.length
+    }
+  });
+}));
+
+// Get broadcast job status
+app.get('/api/telegram/broadcast/:jobId', requireScope('broadcast'), asyncHandler(async (req, res) => {
+  const job = await broadcastService.getJob(req.params.jobId);
+
+  if (!job) {
+    return res.status(404).json({
+      success: false,
+      error: 'Broadcast job not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: job
+  });
+}));
+
+// Run a CSV campaign of recipients or signals, as JSON { type, csv, template, dryRun }
+// or as a raw text/csv upload with type, template and dryRun in the query string
+app.post('/api/telegram/campaigns', requireScope('broadcast'), express.text({ type: 'text/csv', limit: '5mb' }), asyncHandler(async (req, res) => {
+  const isCsvUpload = typeof req.body === 'string';
+  const params = isCsvUpload ? { ...req.query, csv: req.body } : req.body;
+  const { type = 'recipients', csv, template } = params;
+  const dryRun = params.dryRun === true || params.dryRun === 'true';
+
+  if (!['recipients', 'signals'].includes(type)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Type must be either recipients or signals'
+    });
+  }
+
+  if (!csv || typeof csv !== 'string') {
+    return res.status(400).json({
+      success: false,
+      error: 'CSV content is required'
+    });
+  }
+
+  if (type === 'recipients' && !template) {
+    return res.status(400).json({
+      success: false,
+      error: 'A message template is required for recipient campaigns'
+    });
+  }
+
+  const campaign = await campaignService.runCampaign({ type, csv, template, dryRun });
+  const campaignId = campaign._id.toString();
+
+  res.status(dryRun ? 200 : 202).json({
+    success: true,
+    data: {
+      campaignId,
+      dryRun,
+      status: campaign.status,
+      summary: campaign.summary,
+      rows: campaign.rows
+        .filter((row) => row.errors.length > 0)
+        .map(({ line, status, errors }) => ({ line, status, errors })),
+      reportUrl: `/api/telegram/campaigns/${campaignId}/report`
+    }
+  });
+}));
+
+// Get campaign status
+app.get('/api/telegram/campaigns/:id', requireScope('broadcast'), asyncHandler(async (req, res) => {
+  const campaign = await campaignService.getCampaign(req.params.id);
+
+  if (!campaign) {
+    return res.status(404).json({
+      success: false,
+      error: 'Campaign not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: campaign
+  });
+}));
+
+// Download a campaign's results as a CSV report
+app.get('/api/telegram/campaigns/:id/report', requireScope('broadcast'), asyncHandler(async (req, res) => {
+  const campaign = await campaignService.getCampaign(req.params.id);
+
+  if (!campaign) {
+    return res.status(404).json({
+      success: false,
+      error: 'Campaign not found'
     });
+  }
+
+  res.setHeader('Content-Type', 'text/csv');
+  res.setHeader('Content-Disposition', `attachment; filename="campaign-${campaign._id}.csv"`);
+  res.send(campaignService.buildReport(campaign));
+}));
+
+// Schedule a message or structured signal to be sent later
+app.post('/api/telegram/scheduled', requireScope('broadcast'), asyncHandler(async (req, res) => {
+  const { item, errors } = scheduleService.validateInput(req.body);
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid scheduled message',
+      errors
+    });
+  }
+
+  const scheduled = await scheduleService.schedule(item, req.apiKey._id);
+
+  res.status(201).json({
+    success: true,
+    data: scheduled
+  });
+}));
+
+// List scheduled messages, soonest first
+app.get('/api/telegram/scheduled', requireScope('broadcast'), asyncHandler(async (req, res) => {
+  const { status } = req.query;
+  const limit = req.query.limit ? parseInt(req.query.limit) : 50;
+
+  if (status && !SCHEDULED_STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      error: `status must be one of ${SCHEDULED_STATUSES.join(', ')}`
+    });
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > 200) {
+    return res.status(400).json({
+      success: false,
+      error: 'limit must be between 1 and 200'
+    });
+  }
+
+  const scheduled = await scheduleService.list({ status, limit });
+
+  res.json({
+    success: true,
+    data: {
+      scheduled,
+      count: scheduled.length
+    }
+  });
+}));
+
+// Get a scheduled message; dispatched items reference their broadcast job
+app.get('/api/telegram/scheduled/:id', requireScope('broadcast'), asyncHandler(async (req, res) => {
+  const scheduled = await scheduleService.getById(req.params.id);
+
+  if (!scheduled) {
+    return res.status(404).json({
+      success: false,
+      error: 'Scheduled message not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: scheduled
+  });
+}));
+
+// Move a scheduled message to a new send time
+app.patch('/api/telegram/scheduled/:id', requireScope('broadcast'), asyncHandler(async (req, res) => {
+  const scheduled = await scheduleService.reschedule(req.params.id, req.body.sendAt);
+
+  res.json({
+    success: true,
+    data: scheduled
+  });
+}));
+
+// Cancel a scheduled message that has not been sent yet
+app.delete('/api/telegram/scheduled/:id', requireScope('broadcast'), asyncHandler(async (req, res) => {
+  const scheduled = await scheduleService.cancel(req.params.id);
+
+  res.json({
+    success: true,
+    data: scheduled
+  });
+}));
+
+// Trade lifecycle events from the trading engine, signed with TRADING_ENGINE_CALLBACK_SECRET
+app.post('/api/engine/trade-events', asyncHandler(async (req, res) => {
+  if (!tradeEventService.verifySignature(req.rawBody, req.get('X-Engine-Signature'))) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid or missing engine signature'
+    });
+  }
+
+  const result = await tradeEventService.handleEvent(req.body);
+
+  res.json({
+    success: true,
+    data: result
+  });
+}));
+
+// Create a one-time /start deep link that links a Telegram account to an existing user
+app.post('/api/users/link-code', requireScope('admin'), asyncHandler(async (req, res) => {
+  const { twitterId } = req.body;
+
+  if (!twitterId) {
+    return res.status(400).json({
+      success: false,
+      error: 'twitterId is required'
+    });
+  }
+
+  const linkCode = await telegramService.users.createLinkCode(twitterId);
+  if (!linkCode) {
+    return res.status(404).json({
+      success: false,
+      error: 'User not found'
+    });
+  }
+
+  const botUsername = await telegramService.getBotUsername();
+
+  res.status(201).json({
+    success: true,
+    data: {
+      code: linkCode.code,
+      deepLink: `https://t.me/${botUsername}?start=${linkCode.code}`,
+      expiresAt: linkCode.expiresAt
+    }
+  });
+}));
+
+// Unlink a user's Telegram account
+app.delete('/api/users/:twitterId/telegram', requireScope('admin'), asyncHandler(async (req, res) => {
+  const unlinked = await telegramService.users.unlink({ twitterId: req.params.twitterId });
+
+  if (!unlinked) {
+    return res.status(404).json({
+      success: false,
+      error: 'No linked Telegram account found for this user'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Telegram account unlinked'
+  });
+}));
+
+// Register a group or channel the bot was added to, so signals can be published there
+app.post('/api/chats', requireScope('admin'), asyncHandler(async (req, res) => {
+  const { chatId } = req.body;
+
+  if (!chatId || !/^-\d+$/.test(String(chatId))) {
+    return res.status(400).json({
+      success: false,
+      error: 'chatId must be the negative id of a group or channel'
+    });
+  }
+
+  let chat;
+  try {
+    chat = await telegramService.registerChat(Number(chatId));
   } catch (error) {
-    throw error;
+    return res.status(400).json({
+      success: false,
+      error: error instanceof TelegramApiError
+        ? `The bot cannot access this chat: ${error.description}`
+        : error.message
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    data: chat
+  });
+}));
+
+// List registered groups and channels
+app.get('/api/chats', requireScope('admin'), asyncHandler(async (req, res) => {
+  const chats = await telegramService.chats.list();
+
+  res.json({
+    success: true,
+    data: {
+      chats,
+      count: chats.length
+    }
+  });
+}));
+
+// Stop publishing signals to a group or channel
+app.delete('/api/chats/:chatId', requireScope('admin'), asyncHandler(async (req, res) => {
+  const unregistered = await telegramService.chats.deactivate(req.params.chatId, 'unregistered');
+
+  if (!unregistered) {
+    return res.status(404).json({
+      success: false,
+      error: 'No registered chat found with this id'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Chat unregistered'
+  });
+}));
+
+// Simulation statistics over a date range (default: the last 30 days), with daily buckets for charting
+app.get('/api/simulations/stats', requireScope('read-simulations'), asyncHandler(async (req, res) => {
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+  const limit = req.query.limit ? parseInt(req.query.limit) : 10;
+
+  if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+    return res.status(400).json({
+      success: false,
+      error: 'from and to must be ISO dates with from before to'
+    });
+  }
+  if (to.getTime() - from.getTime() > STATS_MAX_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+    return res.status(400).json({
+      success: false,
+      error: `The range can span at most ${STATS_MAX_RANGE_DAYS} days`
+    });
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+    return res.status(400).json({
+      success: false,
+      error: 'limit must be between 1 and 100'
+    });
   }
+
+  const stats = await telegramService.simulations.getStats({ from, to, limit });
+
+  res.json({
+    success: true,
+    data: stats
+  });
+}));
+
+// List simulations with filters, sorting and cursor pagination, or export every match as CSV or NDJSON
+app.get('/api/simulations', requireScope('read-simulations'), asyncHandler(async (req, res) => {
+  const { format, sort = 'timestamp', order = 'desc', cursor } = req.query;
+  const filters = {
+    from: req.query.from,
+    to: req.query.to,
+    token: req.query.token,
+    chatId: req.query.chatId,
+    twitterId: req.query.twitterId,
+    username: req.query.username,
+    network: req.query.network,
+    safeAddress: req.query.safeAddress,
+    status: req.query.status
+  };
+
+  if (format && format !== 'csv' && format !== 'ndjson') {
+    return res.status(400).json({
+      success: false,
+      error: 'format must be csv or ndjson'
+    });
+  }
+
+  // Pages default to 10 simulations; exports return every match unless a limit is given
+  const limit = req.query.limit ? parseInt(req.query.limit) : (format ? undefined : 10);
+  if (limit !== undefined && (!Number.isInteger(limit) || limit < 1 || (!format && limit > 100))) {
+    return res.status(400).json({
+      success: false,
+      error: format ? 'limit must be a positive number' : 'limit must be between 1 and 100'
+    });
+  }
+
+  if (format) {
+    const found = await telegramService.simulations.find({ filters, sort, order, cursor, limit });
+    return streamSimulations(res, found, format);
+  }
+
+  const { simulations, nextCursor } = await telegramService.simulations.list({ filters, sort, order, cursor, limit });
+
+  res.json({
+    success: true,
+    data: {
+      simulations,
+      count: simulations.length,
+      nextCursor,
+      query: { ...filters, sort, order, limit }
+    }
+  });
+}));
+
+// Get simulation by ID
+app.get('/api/simulations/:id', requireScope('read-simulations'), asyncHandler(async (req, res) => {
+  const simulation = await telegramService.simulations.getById(req.params.id);
+
+  if (!simulation) {
+    return res.status(404).json({
+      success: false,
+      error: 'Simulation not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: simulation
+  });
 }));
 
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error(err.stack);
-  res.status(500).json({
+  res.status(err.statusCode || 500).json({
     success: false,
     error: err.message || 'Internal Server Error'
   });
 });
 
+/**
+ * Stream simulations from a MongoDB cursor as CSV or NDJSON, waiting for the client to catch up when it is slow
+ * @param {import('express').Response} res - Response
+ * @param {import('mongodb').FindCursor} found - Simulations to stream
+ * @param {string} format - csv or ndjson
+ */
+async function streamSimulations(res, found, format) {
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+    found.close().catch(() => {});
+  });
+
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="simulations-${Date.now()}.csv"`);
+    res.write(`${SIMULATION_EXPORT_COLUMNS.join(',')}\n`);
+  } else {
+    res.setHeader('Content-Type', 'application/x-ndjson');
+  }
+
+  try {
+    for await (const simulation of found) {
+      if (closed) {
+        break;
+      }
+      const line = format === 'csv'
+        ? telegramService.simulations.toCsvLine(simulation)
+        : `${JSON.stringify(simulation)}\n`;
+      if (!res.write(line)) {
+        await Promise.race([once(res, 'drain'), once(res, 'close')]);
+      }
+    }
+    res.end();
+  } catch (error) {
+    // Headers are already sent, so the error middleware cannot answer; cut the response short instead
+    if (!closed) {
+      console.error('Error streaming simulations:', error);
+      res.destroy(error);
+    }
+  }
+}
+
+/**
+ * Send signals whose recipients' quiet hours have ended, recording the outcome on the stored signal
+ */
+async function dispatchDeferredMessages() {
+  // Skip this tick if the previous run is still sending
+  if (deferredDispatchRunning) {
+    return;
+  }
+  deferredDispatchRunning = true;
+
+  try {
+    const processed = await telegramService.preferences.dispatchDueMessages(async (recipient, message, options) => {
+      try {
+        const response = await telegramService.sendMessage(recipient, message, options);
+        if (options.signalId) {
+          await signalService.recordDelivery(options.signalId, recipient, telegramService.toDelivery(response));
+        }
+      } catch (error) {
+        if (options.signalId) {
+          await signalService.recordDelivery(options.signalId, recipient, { status: 'failed', error: error.message });
+        }
+        throw error;
+      }
+    });
+    if (processed > 0) {
+      console.log(`Dispatched ${processed} deferred messages`);
+    }
+  } catch (error) {
+    console.error('Error dispatching deferred messages:', error);
+  } finally {
+    deferredDispatchRunning = false;
+  }
+}
+
+/**
+ * Send scheduled messages that are due. Replicas claim items atomically, so each is sent once.
+ */
+async function dispatchScheduledMessages() {
+  // Skip this tick if the previous run is still dispatching
+  if (scheduledDispatchRunning) {
+    return;
+  }
+  scheduledDispatchRunning = true;
+
+  try {
+    const { dispatched, skipped, failed } = await scheduleService.dispatchDue();
+    if (dispatched + skipped + failed > 0) {
+      console.log(`Scheduled messages: ${dispatched} dispatched, ${skipped} skipped as late, ${failed} failed`);
+    }
+  } catch (error) {
+    console.error('Error dispatching scheduled messages:', error);
+  } finally {
+    scheduledDispatchRunning = false;
+  }
+}
+
+/**
+ * Mark broadcast jobs and campaigns whose server stopped mid-run as failed, so they do not stay running forever
+ */
+async function failInterruptedJobs() {
+  try {
+    await broadcastService.failInterruptedJobs();
+    await campaignService.failInterruptedCampaigns();
+  } catch (error) {
+    console.error('Error failing interrupted jobs:', error);
+  }
+}
+
 // Start server
 app.listen(port, async () => {
   console.log(`Crypto API server running on port ${port}`);
 
+  deferredDispatchTimer = setInterval(dispatchDeferredMessages, DEFERRED_DISPATCH_INTERVAL_MS);
+
+  // Catch up on items that came due while no server was running, then keep checking
+  dispatchScheduledMessages();
+  scheduledDispatchTimer = setInterval(dispatchScheduledMessages, SCHEDULED_DISPATCH_INTERVAL_MS);
+
+  failInterruptedJobs();
+  interruptedJobSweepTimer = setInterval(failInterruptedJobs, INTERRUPTED_JOB_SWEEP_INTERVAL_MS);
+
   // Start the Telegram bot
   try {
     await telegramService.startBot();
@@ -177,6 +1031,9 @@ app.listen(port, async () => {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('SIGTERM received, shutting down gracefully');
+  clearInterval(deferredDispatchTimer);
+  clearInterval(scheduledDispatchTimer);
+  clearInterval(interruptedJobSweepTimer);
   try {
     await telegramService.stopBot();
   } catch (error) {
@@ -187,6 +1044,9 @@ process.on('SIGTERM', async () => {
 
 process.on('SIGINT', async () => {
   console.log('SIGINT received, shutting down gracefully');
+  clearInterval(deferredDispatchTimer);
+  clearInterval(scheduledDispatchTimer);
+  clearInterval(interruptedJobSweepTimer);
   try {
     await telegramService.stopBot();
   } catch (error) {
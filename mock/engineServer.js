@@ -0,0 +1,79 @@
+// mock/engineServer.js
+// Local stand-in for the trading engine so the simulate flow can be exercised offline.
+// Point the bot at it with TRADING_ENGINE_URL=http://localhost:3006
+//
+// The outcome is chosen by the token in the request:
+//   FAIL  -> { status: 'failed' } like a rejected trade
+//   ERROR -> HTTP 500 (exercises retries and the circuit breaker)
+//   SLOW  -> responds after MOCK_ENGINE_SLOW_MS (exercises the client timeout)
+//   any other token -> { status: 'success' }
+import express from 'express';
+import crypto from 'crypto';
+
+const app = express();
+const port = process.env.MOCK_ENGINE_PORT || 3006;
+const slowMs = parseInt(process.env.MOCK_ENGINE_SLOW_MS || '30000');
+
+app.use(express.json());
+
+const REQUIRED_FIELDS = ['Signal Message', 'Token Mentioned', 'TP1', 'SL', 'Current Price', 'username', 'safeAddress'];
+
+app.post('/api/signal/process', async (req, res) => {
+  const body = req.body;
+  const signalId = crypto.randomUUID();
+  const token = String(body['Token Mentioned'] || '').toUpperCase();
+
+  console.log('Mock engine received signal:', body);
+
+  const missing = REQUIRED_FIELDS.filter((field) => body[field] === undefined || body[field] === null);
+  if (missing.length > 0) {
+    return res.json({
+      status: 'failed',
+      signalId,
+      result: {
+        error: `Missing required fields: ${missing.join(', ')}`
+      }
+    });
+  }
+
+  if (token === 'ERROR') {
+    return res.status(500).json({ error: 'Mock engine internal error' });
+  }
+
+  if (token === 'SLOW') {
+    await new Promise((resolve) => setTimeout(resolve, slowMs));
+  }
+
+  if (token === 'FAIL') {
+    return res.json({
+      status: 'failed',
+      signalId,
+      result: {
+        error: 'Insufficient_balance in safe for simulated position',
+        tradingPair: {
+          networkKey: body.networkKey || 'arbitrum'
+        }
+      }
+    });
+  }
+
+  res.json({
+    status: 'success',
+    signalId,
+    result: {
+      tradingPair: {
+        networkKey: body.networkKey || 'arbitrum',
+        safeAddress: body.safeAddress,
+        tradeId: `mock_trade_${Date.now()}`,
+        status: 'open',
+        positionSize: body['Position Size'] ?? null,
+        positionSizeType: body['Position Size Type'] ?? null,
+        maxExitTime: body['Max Exit Time']?.$date ?? null
+      }
+    }
+  });
+});
+
+app.listen(port, () => {
+  console.log(`Mock trading engine running on port ${port}`);
+});
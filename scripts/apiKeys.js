@@ -0,0 +1,93 @@
+// scripts/apiKeys.js
+// Issue, list and revoke API keys for the HTTP API.
+//
+//   npm run api-keys -- issue --name "signal publisher" --scopes send,broadcast [--rate 120]
+//   npm run api-keys -- list
+//   npm run api-keys -- revoke <key id or prefix>
+//
+// Scopes: send, broadcast, read-simulations, admin (admin grants every scope)
+import dbConnect from '../utils/dbConnect.js';
+import ApiKeyService, { API_KEY_SCOPES } from '../services/ApiKeyService.js';
+
+const USAGE = `Usage:
+  issue --name <name> --scopes <${API_KEY_SCOPES.join('|')}>[,...] [--rate <requests per minute>]
+  list
+  revoke <key id or prefix>`;
+
+/**
+ * Read "--flag value" pairs from the command line
+ * @param {string[]} args - Arguments after the command
+ * @returns {object} Flag values keyed by name
+ */
+function parseFlags(args) {
+  const flags = {};
+  for (let i = 0; i < args.length; i++) {
+    if (args[i].startsWith('--')) {
+      flags[args[i].slice(2)] = args[i + 1];
+      i++;
+    }
+  }
+  return flags;
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  const apiKeys = new ApiKeyService();
+
+  if (command === 'issue') {
+    const flags = parseFlags(args);
+    const { key, apiKey } = await apiKeys.issueKey({
+      name: flags.name,
+      scopes: String(flags.scopes || '').split(',').map((scope) => scope.trim()).filter(Boolean),
+      rateLimitPerMinute: flags.rate ? Number(flags.rate) : undefined
+    });
+
+    console.log(`Issued key ${apiKey._id} (${apiKey.prefix}...) for "${apiKey.name}"`);
+    console.log(`Scopes: ${apiKey.scopes.join(', ')}; rate limit: ${apiKey.rateLimitPerMinute}/min`);
+    console.log(`\n${key}\n`);
+    console.log('Store this key now; it cannot be shown again.');
+    return;
+  }
+
+  if (command === 'list') {
+    const keys = await apiKeys.listKeys();
+    if (keys.length === 0) {
+      console.log('No API keys issued');
+      return;
+    }
+    console.table(keys.map((apiKey) => ({
+      id: apiKey._id.toString(),
+      prefix: apiKey.prefix,
+      name: apiKey.name,
+      scopes: apiKey.scopes.join(','),
+      ratePerMin: apiKey.rateLimitPerMinute,
+      created: apiKey.createdAt.toISOString(),
+      lastUsed: apiKey.lastUsedAt ? apiKey.lastUsedAt.toISOString() : '',
+      revoked: apiKey.revokedAt ? apiKey.revokedAt.toISOString() : ''
+    })));
+    return;
+  }
+
+  if (command === 'revoke' && args[0]) {
+    const revoked = await apiKeys.revokeKey(args[0]);
+    console.log(revoked ? `Revoked key ${args[0]}` : `No active key found for ${args[0]}`);
+    if (!revoked) process.exitCode = 1;
+    return;
+  }
+
+  console.log(USAGE);
+  process.exitCode = 1;
+}
+
+try {
+  await main();
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+} finally {
+  // Close the connection so the process can exit; nothing to close when only the usage was printed
+  if (['issue', 'list', 'revoke'].includes(process.argv[2])) {
+    const client = await dbConnect();
+    await client.close();
+  }
+}
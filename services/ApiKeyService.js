@@ -0,0 +1,210 @@
+import crypto from 'crypto';
+import { ObjectId } from 'mongodb';
+import dbConnect from '../utils/dbConnect.js';
+
+// admin grants every other scope
+export const API_KEY_SCOPES = ['send', 'broadcast', 'read-simulations', 'admin'];
+
+// Requests per minute for keys issued without their own limit
+export const DEFAULT_RATE_LIMIT_PER_MINUTE = parseInt(process.env.API_KEY_DEFAULT_RATE_LIMIT || '60');
+
+const KEY_PREFIX = 'tms_';
+
+/**
+ * Hash an API key for storage and lookup; keys are random, so a plain SHA-256 is enough
+ * @param {string} key - Raw API key
+ * @returns {string} Hex digest
+ */
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+class ApiKeyService {
+  constructor() {
+    this.indexesReady = null;
+  }
+
+  /**
+   * Get a collection of the signal flow database, creating the API key indexes on first use
+   * @param {string} name - Collection name
+   * @returns {Promise<import('mongodb').Collection>} The collection
+   */
+  async getCollection(name) {
+    const client = await dbConnect();
+    const db = client.db("ctxbt-signal-flow");
+
+    if (!this.indexesReady) {
+      this.indexesReady = Promise.all([
+        db.collection("api_keys").createIndex({ keyHash: 1 }, { unique: true }),
+        // Rate limit windows and audit entries are removed by MongoDB once expired
+        db.collection("api_key_usage").createIndex({ keyId: 1, windowStart: 1 }, { unique: true }),
+        db.collection("api_key_usage").createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 }),
+        db.collection("api_audit_log").createIndex({ at: 1 }, {
+          expireAfterSeconds: parseInt(process.env.API_AUDIT_LOG_TTL_DAYS || '90') * 24 * 60 * 60
+        }),
+        db.collection("api_audit_log").createIndex({ keyId: 1, at: -1 })
+      ]).catch((error) => {
+        this.indexesReady = null;
+        throw error;
+      });
+    }
+    await this.indexesReady;
+
+    return db.collection(name);
+  }
+
+  /**
+   * Create an API key. The raw key is only returned here; MongoDB stores its hash.
+   * @param {object} params - Key parameters
+   * @param {string} params.name - Who or what the key is for
+   * @param {string[]} params.scopes - Scopes from API_KEY_SCOPES
+   * @param {number} [params.rateLimitPerMinute] - Requests allowed per minute
+   * @returns {Promise<{ key: string, apiKey: object }>} The raw key and the stored document (without the hash)
+   */
+  async issueKey({ name, scopes, rateLimitPerMinute = DEFAULT_RATE_LIMIT_PER_MINUTE }) {
+    const unknownScopes = scopes.filter((scope) => !API_KEY_SCOPES.includes(scope));
+    if (!name || scopes.length === 0 || unknownScopes.length > 0) {
+      throw new Error(`A name and at least one of the scopes ${API_KEY_SCOPES.join(', ')} are required` +
+        (unknownScopes.length > 0 ? ` (unknown: ${unknownScopes.join(', ')})` : ''));
+    }
+    if (!Number.isInteger(rateLimitPerMinute) || rateLimitPerMinute < 1) {
+      throw new Error('The rate limit must be a positive whole number of requests per minute');
+    }
+
+    const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const apiKey = {
+      name,
+      prefix: key.slice(0, KEY_PREFIX.length + 8),
+      keyHash: hashKey(key),
+      scopes: [...new Set(scopes)],
+      rateLimitPerMinute,
+      createdAt: new Date(),
+      revokedAt: null,
+      lastUsedAt: null
+    };
+
+    const collection = await this.getCollection("api_keys");
+    const result = await collection.insertOne(apiKey);
+    apiKey._id = result.insertedId;
+
+    const { keyHash, ...stored } = apiKey;
+    return { key, apiKey: stored };
+  }
+
+  /**
+   * Revoke a key by id or by its prefix (the first characters shown by listKeys)
+   * @param {string} idOrPrefix - Key id or prefix
+   * @returns {Promise<boolean>} True if an active key was revoked
+   * @throws {Error} If several active keys share the prefix, so it is unclear which one was meant
+   */
+  async revokeKey(idOrPrefix) {
+    const collection = await this.getCollection("api_keys");
+    const query = ObjectId.isValid(idOrPrefix) && !idOrPrefix.startsWith(KEY_PREFIX)
+      ? { _id: new ObjectId(idOrPrefix) }
+      : { prefix: idOrPrefix };
+
+    if (query.prefix) {
+      const matching = await collection.find({ ...query, revokedAt: null }).project({ _id: 1 }).toArray();
+      if (matching.length > 1) {
+        throw new Error(`${matching.length} active keys start with ${idOrPrefix}; revoke one by id instead ` +
+          `(${matching.map((apiKey) => apiKey._id.toString()).join(', ')})`);
+      }
+    }
+
+    const result = await collection.updateOne({ ...query, revokedAt: null }, { $set: { revokedAt: new Date() } });
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * List every key without its hash
+   * @returns {Promise<object[]>} Keys, newest first
+   */
+  async listKeys() {
+    const collection = await this.getCollection("api_keys");
+    return collection.find({}).project({ keyHash: 0 }).sort({ createdAt: -1 }).toArray();
+  }
+
+  /**
+   * Find the active key matching a raw key from a request
+   * @param {string} key - Raw API key
+   * @returns {Promise<object|null>} The key document, or null if unknown or revoked
+   */
+  async authenticate(key) {
+    if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) {
+      return null;
+    }
+
+    const collection = await this.getCollection("api_keys");
+    const apiKey = await collection.findOne({ keyHash: hashKey(key), revokedAt: null });
+    if (apiKey) {
+      // Not awaited; lastUsedAt is informational
+      collection.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date() } }).catch((error) => {
+        console.error('Error updating API key lastUsedAt:', error);
+      });
+    }
+    return apiKey;
+  }
+
+  /**
+   * Check whether a key grants a scope
+   * @param {object} apiKey - Key document
+   * @param {string} scope - Required scope
+   * @returns {boolean} True if allowed
+   */
+  hasScope(apiKey, scope) {
+    return apiKey.scopes.includes('admin') || apiKey.scopes.includes(scope);
+  }
+
+  /**
+   * Count a request against the key's per-minute limit. Counts live in MongoDB so every replica shares them.
+   * @param {object} apiKey - Key document
+   * @returns {Promise<{ allowed: boolean, limit: number, remaining: number, resetAt: Date }>} Outcome
+   */
+  async consumeRateLimit(apiKey) {
+    const collection = await this.getCollection("api_key_usage");
+    const windowStart = new Date(Math.floor(Date.now() / 60000) * 60000);
+    const resetAt = new Date(windowStart.getTime() + 60000);
+    const limit = apiKey.rateLimitPerMinute || DEFAULT_RATE_LIMIT_PER_MINUTE;
+
+    let usage;
+    try {
+      usage = await collection.findOneAndUpdate(
+        { keyId: apiKey._id, windowStart },
+        { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(resetAt.getTime() + 60000) } },
+        { upsert: true, returnDocument: 'after' }
+      );
+    } catch (error) {
+      // Two first requests in the same window raced on the upsert
+      if (error.code !== 11000) {
+        throw error;
+      }
+      usage = await collection.findOneAndUpdate(
+        { keyId: apiKey._id, windowStart },
+        { $inc: { count: 1 } },
+        { returnDocument: 'after' }
+      );
+    }
+
+    return {
+      allowed: usage.count <= limit,
+      limit,
+      remaining: Math.max(0, limit - usage.count),
+      resetAt
+    };
+  }
+
+  /**
+   * Record an API call in the audit log
+   * @param {object} entry - Audit fields (keyId, keyName, method, path, status, aborted, ip, durationMs, error)
+   */
+  async audit(entry) {
+    try {
+      const collection = await this.getCollection("api_audit_log");
+      await collection.insertOne({ ...entry, at: new Date() });
+    } catch (error) {
+      console.error('Error writing API audit log:', error);
+    }
+  }
+}
+
+export default ApiKeyService;
@@ -0,0 +1,352 @@
+import PQueue from 'p-queue';
+import { ObjectId } from 'mongodb';
+import dbConnect from '../utils/dbConnect.js';
+import { TelegramApiError } from '../utils/telegramErrors.js';
+import { signalExpiresAt } from '../utils/tradeParameters.js';
+import { startHeartbeat, staleHeartbeatFilter } from '../utils/jobHeartbeat.js';
+
+// Telegram allows ~30 messages per second overall and ~1 per second per chat
+const GLOBAL_RATE_PER_SECOND = parseInt(process.env.BROADCAST_GLOBAL_RATE || '25');
+const PER_CHAT_INTERVAL_MS = parseInt(process.env.BROADCAST_PER_CHAT_INTERVAL_MS || '1000');
+
+class BroadcastService {
+  /**
+   * @param {import('./TelegramService.js').default} telegramService - Service used to deliver each message
+   * @param {import('./SignalService.js').default} signalService - Service used to record signal deliveries
+   */
+  constructor(telegramService, signalService) {
+    this.telegramService = telegramService;
+    this.signalService = signalService;
+
+    // Shared by every job so concurrent broadcasts cannot exceed the global limit together
+    this.queue = new PQueue({
+      concurrency: GLOBAL_RATE_PER_SECOND,
+      interval: 1000,
+      intervalCap: GLOBAL_RATE_PER_SECOND
+    });
+
+    // Earliest time the next message may go to a given recipient
+    this.nextChatSlot = new Map();
+  }
+
+  /**
+   * Get the broadcast jobs collection
+   * @returns {Promise<import('mongodb').Collection>} The broadcast_jobs collection
+   */
+  async getCollection() {
+    const client = await dbConnect();
+    const db = client.db("ctxbt-signal-flow");
+    return db.collection("broadcast_jobs");
+  }
+
+  /**
+   * Find every user with a linked chat
+   * @returns {Promise<string[]>} Telegram usernames, or numeric user ids for users without a username
+   */
+  async getLinkedUsernames() {
+    const client = await dbConnect();
+    const db = client.db("ctxbt-signal-flow");
+    const usersCollection = db.collection("users");
+
+    const users = await usersCollection
+      .find({
+        $or: [{ telegramId: { $exists: true, $ne: null } }, { telegramUserId: { $exists: true } }],
+        chatId: { $exists: true, $ne: null },
+        botBlocked: { $ne: true }
+      })
+      .project({ telegramId: 1, telegramUserId: 1 })
+      .toArray();
+
+    return users.map((user) => user.telegramId || String(user.telegramUserId));
+  }
+
+  /**
+   * Store a broadcast job and queue its sends
+   * @param {object} params - Job parameters
+   * @param {string[]} params.usernames - Recipients
+   * @param {string} params.message - Message text
+   * @param {string} [params.parseMode] - Parse mode of a message; stored signals use their own
+   * @param {object} [params.media] - Photo or document sent with a message
+   * @param {object} [params.signal] - Stored signal document being broadcast
+   * @param {ObjectId} [params.scheduledId] - Scheduled message the job was created for
+   * @returns {Promise<object>} The stored job document
+   */
+  async createJob({ usernames, message, parseMode = 'Markdown', media = null, signal = null, scheduledId = null }) {
+    try {
+      const collection = await this.getCollection();
+      const recipients = [...new Set(usernames.map((username) => username.replace('@', '')))];
+
+      const job = {
+        status: 'queued',
+        message,
+        signalId: signal ? signal._id.toString() : null,
+        direction: signal ? signal.direction : null,
+        token: signal ? signal.token : null,
+        sendOptions: signal ? this.signalService.getSendOptions(signal) : { parseMode, media },
+        scheduledId,
+        recipients: recipients.map((username) => ({ username, status: 'queued' })),
+        createdAt: new Date(),
+        heartbeatAt: new Date()
+      };
+
+      const result = await collection.insertOne(job);
+      job._id = result.insertedId;
+      console.log(`Broadcast job ${job._id} queued for ${recipients.length} recipients`);
+
+      // Sends run in the background; progress is tracked on the job document
+      this.runJob(job).catch((error) => {
+        console.error(`Broadcast job ${job._id} failed:`, error);
+      });
+
+      return job;
+    } catch (error) {
+      console.error('Error creating broadcast job:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store a job that edits every delivered message of a signal and queue the edits. Edits share the
+   * broadcast rate limits, since Telegram counts them like sends.
+   * @param {object} params - Job parameters
+   * @param {object} params.signal - Stored signal, after it was changed or retracted
+   * @param {string} params.message - New message text
+   * @param {string} params.parseMode - Parse mode of the text
+   * @param {boolean} params.withButton - Keep the Simulate button, re-signed with the signal's current expiry,
+   *   or remove it
+   * @returns {Promise<object>} The stored job document
+   */
+  async createEditJob({ signal, message, parseMode, withButton }) {
+    try {
+      const collection = await this.getCollection();
+
+      const job = {
+        type: 'edit',
+        status: 'queued',
+        message,
+        signalId: signal._id.toString(),
+        direction: signal.direction,
+        token: signal.token,
+        sendOptions: { parseMode, withButton, expiresAt: signalExpiresAt(signal) },
+        // Recipients the signal never reached have no message to edit
+        recipients: signal.recipients.map(({ username, status, chatId, messageId, captioned }) => (
+          status === 'sent' && chatId && messageId
+            ? { username, status: 'queued', chatId, messageId, captioned: Boolean(captioned) }
+            : { username, status: 'not_sent' }
+        )),
+        createdAt: new Date(),
+        heartbeatAt: new Date()
+      };
+
+      const result = await collection.insertOne(job);
+      job._id = result.insertedId;
+      console.log(`Edit job ${job._id} queued for signal ${job.signalId}`);
+
+      this.runJob(job).catch((error) => {
+        console.error(`Edit job ${job._id} failed:`, error);
+      });
+
+      return job;
+    } catch (error) {
+      console.error('Error creating edit job:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send a job's message to every recipient, or for edit jobs edit every delivered message, through the shared queue
+   * @param {object} job - Job document
+   */
+  async runJob(job) {
+    const collection = await this.getCollection();
+    const stopHeartbeat = startHeartbeat(collection, job._id);
+
+    try {
+      await collection.updateOne(
+        { _id: job._id },
+        { $set: { status: 'running', startedAt: new Date(), heartbeatAt: new Date() } }
+      );
+
+      const pending = job.recipients.filter((recipient) => recipient.status === 'queued');
+      await Promise.all(pending.map(async (recipient) => {
+        const { username } = recipient;
+        // Wait outside the queue so a chat that was just messaged does not hold a concurrency slot
+        await this.waitForChatSlot(username);
+        try {
+          await this.queue.add(() => (job.type === 'edit'
+            ? this.editForRecipient(job, recipient)
+            : this.sendToRecipient(job, username)));
+        } catch (error) {
+          console.error(`Broadcast job ${job._id} could not record the send to ${username}:`, error);
+        }
+      }));
+    } finally {
+      stopHeartbeat();
+      // A job already marked failed as interrupted stays failed
+      await collection.updateOne(
+        { _id: job._id, status: 'running' },
+        { $set: { status: 'completed', completedAt: new Date() } }
+      );
+      console.log(`Broadcast job ${job._id} completed`);
+    }
+  }
+
+  /**
+   * Mark jobs whose heartbeat stopped (e.g. the server restarted mid-broadcast) as failed, along with the
+   * recipients they had not reached. Those recipients are not retried, since a send may have gone out
+   * just before the interruption.
+   * @returns {Promise<number>} Number of jobs marked failed
+   */
+  async failInterruptedJobs() {
+    const collection = await this.getCollection();
+    const now = new Date();
+
+    const result = await collection.updateMany(
+      { status: { $in: ['queued', 'running'] }, ...staleHeartbeatFilter(now) },
+      {
+        $set: {
+          status: 'failed',
+          error: 'Interrupted before every recipient was processed',
+          completedAt: now,
+          'recipients.$[recipient].status': 'failed',
+          'recipients.$[recipient].error': 'Interrupted before it was sent',
+          'recipients.$[recipient].updatedAt': now
+        }
+      },
+      { arrayFilters: [{ 'recipient.status': 'queued' }] }
+    );
+
+    if (result.modifiedCount > 0) {
+      console.log(`Marked ${result.modifiedCount} interrupted broadcast jobs as failed`);
+    }
+    return result.modifiedCount;
+  }
+
+  /**
+   * Deliver the job's message to one recipient and record the outcome
+   * @param {object} job - Job document
+   * @param {string} username - Recipient username
+   */
+  async sendToRecipient(job, username) {
+    let delivery;
+    try {
+      const response = await this.telegramService.sendMessage(username, job.message, job.sendOptions);
+      delivery = this.telegramService.toDelivery(response);
+    } catch (error) {
+      delivery = {
+        status: this.isBlockedError(error) ? 'blocked' : 'failed',
+        error: error.message
+      };
+    }
+
+    await this.recordRecipient(job, username, delivery);
+
+    if (job.signalId) {
+      await this.signalService.recordDelivery(job.signalId, username, delivery);
+    }
+  }
+
+  /**
+   * Edit the signal message delivered to one recipient of an edit job and record the outcome
+   * @param {object} job - Edit job document
+   * @param {object} recipient - Job recipient with the message's chatId and messageId
+   */
+  async editForRecipient(job, recipient) {
+    const { parseMode, withButton, expiresAt } = job.sendOptions;
+    const button = withButton ? { direction: job.direction, signalId: job.signalId, expiresAt } : null;
+
+    let outcome;
+    try {
+      outcome = await this.telegramService.editSignalMessage(recipient, job.message, { parseMode, button });
+    } catch (error) {
+      console.error(`Error editing signal ${job.signalId} for ${recipient.username}:`, error);
+      outcome = { status: 'failed', error: error.message };
+    }
+
+    await this.recordRecipient(job, recipient.username, outcome);
+  }
+
+  /**
+   * Store the outcome for one recipient on the job document
+   * @param {object} job - Job document
+   * @param {string} username - Recipient username
+   * @param {object} outcome - Fields to set on the recipient, including its status
+   */
+  async recordRecipient(job, username, outcome) {
+    const fields = { 'recipients.$.updatedAt': new Date() };
+    for (const [key, value] of Object.entries(outcome)) {
+      fields[`recipients.$.${key}`] = value;
+    }
+
+    const collection = await this.getCollection();
+    await collection.updateOne({ _id: job._id, 'recipients.username': username }, { $set: fields });
+  }
+
+  /**
+   * Check whether a send failed because the user blocked the bot or deleted their account
+   * @param {Error} error - Error thrown by sendMessage
+   * @returns {boolean} True if the recipient can no longer be messaged
+   */
+  isBlockedError(error) {
+    return error instanceof TelegramApiError && error.isBlocked;
+  }
+
+  /**
+   * Wait until the per-chat rate limit allows another message to the recipient; call before queueing the send
+   * @param {string} key - Recipient key
+   */
+  async waitForChatSlot(key) {
+    const now = Date.now();
+    const slot = Math.max(now, this.nextChatSlot.get(key) || 0);
+    this.nextChatSlot.set(key, slot + PER_CHAT_INTERVAL_MS);
+
+    // Drop stale entries so the map does not grow with every recipient ever messaged
+    if (this.nextChatSlot.size > 10000) {
+      for (const [chatKey, next] of this.nextChatSlot) {
+        if (next < now) this.nextChatSlot.delete(chatKey);
+      }
+    }
+
+    if (slot > now) {
+      await new Promise((resolve) => setTimeout(resolve, slot - now));
+    }
+  }
+
+  /**
+   * Find the job created for a scheduled message
+   * @param {ObjectId} scheduledId - Scheduled message id
+   * @returns {Promise<object|null>} Job document, or null if none was created
+   */
+  async findJobByScheduledId(scheduledId) {
+    const collection = await this.getCollection();
+    return collection.findOne({ scheduledId });
+  }
+
+  /**
+   * Get a job with per-recipient status and summary counts
+   * @param {string} jobId - Job id
+   * @returns {Promise<object|null>} Job document with a summary, or null if not found
+   */
+  async getJob(jobId) {
+    if (!ObjectId.isValid(jobId)) {
+      return null;
+    }
+
+    const collection = await this.getCollection();
+    const job = await collection.findOne({ _id: new ObjectId(jobId) });
+    if (!job) {
+      return null;
+    }
+
+    const summary = job.type === 'edit'
+      ? { total: job.recipients.length, queued: 0, edited: 0, failed: 0, not_sent: 0 }
+      : { total: job.recipients.length, queued: 0, sent: 0, skipped: 0, deferred: 0, failed: 0, blocked: 0 };
+    for (const recipient of job.recipients) {
+      summary[recipient.status] = (summary[recipient.status] || 0) + 1;
+    }
+
+    return { ...job, summary };
+  }
+}
+
+export default BroadcastService;
@@ -0,0 +1,352 @@
+import Papa from 'papaparse';
+import { ObjectId } from 'mongodb';
+import dbConnect from '../utils/dbConnect.js';
+import { startHeartbeat, staleHeartbeatFilter } from '../utils/jobHeartbeat.js';
+
+// Telegram usernames, or numeric Telegram user ids
+const USERNAME_PATTERN = /^(@?[A-Za-z0-9_]{5,32}|\d+)$/;
+const TEMPLATE_VARIABLE = /{{\s*([A-Za-z0-9_]+)\s*}}/g;
+
+class CampaignService {
+  /**
+   * @param {import('./TelegramService.js').default} telegramService - Service used to send messages
+   * @param {import('./SignalService.js').default} signalService - Service used to validate and store signals
+   * @param {import('./BroadcastService.js').default} broadcastService - Provides the shared rate-limited queue
+   */
+  constructor(telegramService, signalService, broadcastService) {
+    this.telegramService = telegramService;
+    this.signalService = signalService;
+    this.broadcastService = broadcastService;
+  }
+
+  /**
+   * Get the campaigns collection
+   * @returns {Promise<import('mongodb').Collection>} The campaigns collection
+   */
+  async getCollection() {
+    const client = await dbConnect();
+    const db = client.db("ctxbt-signal-flow");
+    return db.collection("campaigns");
+  }
+
+  /**
+   * Parse CSV text into rows keyed by header, collecting parser errors per row
+   * @param {string} csv - CSV text with a header line
+   * @returns {{ rows: Array<{ line: number, data: object, errors: string[] }>, fields: string[] }}
+   */
+  parseCsv(csv) {
+    const parsed = Papa.parse(csv, {
+      header: true,
+      skipEmptyLines: 'greedy',
+      transformHeader: (header) => header.trim()
+    });
+
+    // Line numbers match the spreadsheet: the header is line 1
+    const rows = parsed.data.map((data, index) => ({ line: index + 2, data, errors: [] }));
+    for (const error of parsed.errors) {
+      if (error.row !== undefined && rows[error.row]) {
+        rows[error.row].errors.push(error.message);
+      }
+    }
+
+    return { rows, fields: parsed.meta.fields || [] };
+  }
+
+  /**
+   * Replace {{variable}} placeholders with values from a CSV row
+   * @param {string} template - Message template
+   * @param {object} variables - Row values keyed by column name
+   * @returns {string} Rendered message
+   */
+  renderTemplate(template, variables) {
+    return template.replace(TEMPLATE_VARIABLE, (match, name) => String(variables[name] ?? '').trim());
+  }
+
+  /**
+   * Validate a recipients CSV; each row needs a username and every variable the template uses
+   * @param {string} csv - CSV text
+   * @param {string} template - Message template with {{column}} placeholders
+   * @returns {Array<object>} Row results
+   */
+  validateRecipientRows(csv, template) {
+    const { rows } = this.parseCsv(csv);
+    const variables = [...template.matchAll(TEMPLATE_VARIABLE)].map((match) => match[1]);
+    const seen = new Set();
+
+    return rows.map(({ line, data, errors }) => {
+      const username = String(data.username || '').trim().replace('@', '');
+
+      if (!username) {
+        errors.push('username is required');
+      } else if (!USERNAME_PATTERN.test(username)) {
+        errors.push(`username "${username}" is not a valid Telegram username`);
+      } else if (seen.has(username.toLowerCase())) {
+        errors.push(`username "${username}" appears more than once`);
+      }
+      seen.add(username.toLowerCase());
+
+      for (const variable of variables) {
+        if (String(data[variable] ?? '').trim() === '') {
+          errors.push(`${variable} is required by the template`);
+        }
+      }
+
+      return {
+        line,
+        username,
+        message: errors.length === 0 ? this.renderTemplate(template, data) : null,
+        status: errors.length === 0 ? 'valid' : 'invalid',
+        errors
+      };
+    });
+  }
+
+  /**
+   * Validate a signals CSV; recipients are separated by semicolons or spaces
+   * @param {string} csv - CSV text
+   * @returns {Array<object>} Row results
+   */
+  validateSignalRows(csv) {
+    const { rows } = this.parseCsv(csv);
+
+    return rows.map(({ line, data, errors }) => {
+      const { signal, recipients, errors: fieldErrors } = this.signalService.validateSignalInput({
+        ...data,
+        recipients: String(data.recipients || '').split(/[;\s]+/)
+      });
+      errors.push(...fieldErrors.map((e) => `${e.field} ${e.message}`));
+
+      return {
+        line,
+        signal,
+        recipients,
+        status: errors.length === 0 ? 'valid' : 'invalid',
+        errors
+      };
+    });
+  }
+
+  /**
+   * Send one message through the shared rate-limited queue
+   * @param {string} username - Recipient
+   * @param {string} message - Message text
+   * @param {object} [options] - sendMessage options
+   * @returns {Promise<object>} Delivery result
+   */
+  async send(username, message, options = {}) {
+    await this.broadcastService.waitForChatSlot(username);
+    return this.broadcastService.queue.add(async () => {
+      try {
+        const response = await this.telegramService.sendMessage(username, message, options);
+        return { username, ...this.telegramService.toDelivery(response) };
+      } catch (error) {
+        return { username, status: 'failed', error: error.message };
+      }
+    });
+  }
+
+  /**
+   * Count rows by status
+   * @param {Array<object>} rows - Row results
+   * @returns {object} Counts keyed by status, plus the total
+   */
+  summarize(rows) {
+    const summary = { total: rows.length };
+    for (const row of rows) {
+      summary[row.status] = (summary[row.status] || 0) + 1;
+    }
+    return summary;
+  }
+
+  /**
+   * Validate a campaign CSV, store it and, unless it is a dry run, queue its valid rows
+   * @param {object} params - Campaign parameters
+   * @param {'recipients'|'signals'} params.type - What the CSV rows describe
+   * @param {string} params.csv - CSV text
+   * @param {string} [params.template] - Message template, required for recipient campaigns
+   * @param {boolean} [params.dryRun] - Validate only
+   * @returns {Promise<object>} The stored campaign document
+   */
+  async runCampaign({ type, csv, template, dryRun = false }) {
+    try {
+      const rows = type === 'signals'
+        ? this.validateSignalRows(csv)
+        : this.validateRecipientRows(csv, template);
+
+      if (!dryRun) {
+        for (const row of rows) {
+          if (row.status === 'valid') row.status = 'queued';
+        }
+      }
+
+      const campaign = {
+        type,
+        dryRun,
+        status: dryRun ? 'completed' : 'running',
+        template: type === 'recipients' ? template : null,
+        summary: this.summarize(rows),
+        rows,
+        createdAt: new Date(),
+        heartbeatAt: new Date()
+      };
+
+      const collection = await this.getCollection();
+      const result = await collection.insertOne(campaign);
+      campaign._id = result.insertedId;
+      console.log(`Campaign ${campaign._id} stored:`, campaign.summary);
+
+      if (!dryRun) {
+        // Sends run in the background; progress is tracked on the campaign document
+        this.sendRows(campaign).catch((error) => {
+          console.error(`Campaign ${campaign._id} failed:`, error);
+        });
+      }
+
+      return campaign;
+    } catch (error) {
+      console.error('Error running campaign:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send every queued row of a stored campaign, saving each row's outcome as it finishes
+   * @param {object} campaign - Campaign document
+   */
+  async sendRows(campaign) {
+    const collection = await this.getCollection();
+    const stopHeartbeat = startHeartbeat(collection, campaign._id);
+
+    try {
+      await Promise.all(campaign.rows.map(async (row, index) => {
+        if (row.status !== 'queued') return;
+
+        try {
+          await this.sendRow(campaign.type, row);
+        } catch (error) {
+          row.status = 'failed';
+          row.errors.push(error.message);
+        }
+
+        await collection.updateOne({ _id: campaign._id }, { $set: { [`rows.${index}`]: row } });
+      }));
+    } finally {
+      stopHeartbeat();
+      // Rows that could not be saved are still counted from the in-memory results. Rows themselves were
+      // saved one by one above; a campaign already marked failed as interrupted stays failed.
+      const summary = this.summarize(campaign.rows);
+      await collection.updateOne(
+        { _id: campaign._id, status: 'running' },
+        { $set: { status: 'completed', summary, completedAt: new Date() } }
+      );
+      console.log(`Campaign ${campaign._id} completed:`, summary);
+    }
+  }
+
+  /**
+   * Mark campaigns whose heartbeat stopped (e.g. the server restarted mid-campaign) as failed, along with
+   * the rows they had not sent. Those rows are not retried, since a send may have gone out just before
+   * the interruption.
+   * @returns {Promise<number>} Number of campaigns marked failed
+   */
+  async failInterruptedCampaigns() {
+    const collection = await this.getCollection();
+    const now = new Date();
+    const stale = await collection.find({ status: 'running', ...staleHeartbeatFilter(now) }).toArray();
+
+    let failed = 0;
+    for (const campaign of stale) {
+      for (const row of campaign.rows) {
+        if (row.status === 'queued') {
+          row.status = 'failed';
+          row.errors.push('Interrupted before it was sent');
+        }
+      }
+
+      // Matching the heartbeat leaves a campaign alone if it turned out to be alive after all
+      const result = await collection.updateOne(
+        { _id: campaign._id, status: 'running', heartbeatAt: campaign.heartbeatAt ?? null },
+        {
+          $set: {
+            status: 'failed',
+            error: 'Interrupted before every row was sent',
+            rows: campaign.rows,
+            summary: this.summarize(campaign.rows),
+            completedAt: now
+          }
+        }
+      );
+      failed += result.modifiedCount;
+    }
+
+    if (failed > 0) {
+      console.log(`Marked ${failed} interrupted campaigns as failed`);
+    }
+    return failed;
+  }
+
+  /**
+   * Send one campaign row and record its outcome on the row
+   * @param {'recipients'|'signals'} type - What the row describes
+   * @param {object} row - Row result
+   */
+  async sendRow(type, row) {
+    if (type === 'signals') {
+      const signalDocument = await this.signalService.createSignal(row.signal, row.recipients);
+      row.signalId = signalDocument._id.toString();
+      row.deliveries = await Promise.all(row.recipients.map(async (username) => {
+        const delivery = await this.send(username, signalDocument.message, this.signalService.getSendOptions(signalDocument));
+        const { username: recipient, ...fields } = delivery;
+        await this.signalService.recordDelivery(row.signalId, recipient, fields);
+        return delivery;
+      }));
+      // Recipients whose settings skip or defer the signal do not make the row fail
+      row.status = row.deliveries.some((d) => d.status === 'failed') ? 'failed' : 'sent';
+    } else {
+      const delivery = await this.send(row.username, row.message);
+      row.status = delivery.status;
+      row.messageId = delivery.messageId;
+      if (delivery.error) row.errors.push(delivery.error);
+    }
+  }
+
+  /**
+   * Find a stored campaign by id
+   * @param {string} campaignId - Campaign id
+   * @returns {Promise<object|null>} The campaign document, or null if not found
+   */
+  async getCampaign(campaignId) {
+    if (!ObjectId.isValid(campaignId)) {
+      return null;
+    }
+
+    const collection = await this.getCollection();
+    return collection.findOne({ _id: new ObjectId(campaignId) });
+  }
+
+  /**
+   * Build the downloadable CSV report for a campaign, one line per row
+   * @param {object} campaign - Campaign document
+   * @returns {string} CSV text
+   */
+  buildReport(campaign) {
+    const lines = campaign.rows.map((row) => ({
+      line: row.line,
+      recipients: row.username || (row.recipients || []).join(';'),
+      token: row.signal?.token || '',
+      status: row.status,
+      signalId: row.signalId || '',
+      messageId: row.messageId ?? '',
+      errors: [
+        ...row.errors,
+        ...(row.deliveries || []).filter((d) => d.error).map((d) => `${d.username}: ${d.error}`)
+      ].join('; ')
+    }));
+
+    return Papa.unparse(lines, {
+      columns: ['line', 'recipients', 'token', 'status', 'signalId', 'messageId', 'errors']
+    });
+  }
+}
+
+export default CampaignService;
@@ -0,0 +1,102 @@
+import dbConnect from '../utils/dbConnect.js';
+
+// Chat types signals can be published to; private chats are reached through linked users instead
+export const PUBLISHABLE_CHAT_TYPES = ['group', 'supergroup', 'channel'];
+
+class ChatService {
+  constructor() {
+    this.indexesReady = null;
+  }
+
+  /**
+   * Get the registered chats collection, creating its indexes on first use
+   * @returns {Promise<import('mongodb').Collection>} The chats collection
+   */
+  async getCollection() {
+    const client = await dbConnect();
+    const db = client.db("ctxbt-signal-flow");
+    const collection = db.collection("chats");
+
+    if (!this.indexesReady) {
+      this.indexesReady = collection.createIndex({ chatId: 1 }, { unique: true }).catch((error) => {
+        this.indexesReady = null;
+        throw error;
+      });
+    }
+    await this.indexesReady;
+
+    return collection;
+  }
+
+  /**
+   * Check whether a message recipient is a group or channel chat id rather than a user.
+   * Telegram gives groups and channels negative ids and users positive ones.
+   * @param {string|number} recipient - Recipient as passed to sendMessage
+   * @returns {boolean} True for group and channel chat ids
+   */
+  isChatRecipient(recipient) {
+    return /^-\d+$/.test(String(recipient));
+  }
+
+  /**
+   * Register a group or channel for signal delivery, or re-activate it
+   * @param {object} chat - Telegram chat (id, type, title, username)
+   * @returns {Promise<object>} The registered chat
+   */
+  async register(chat) {
+    const collection = await this.getCollection();
+    const now = new Date();
+
+    return collection.findOneAndUpdate(
+      { chatId: chat.id },
+      {
+        $set: {
+          type: chat.type,
+          title: chat.title || null,
+          username: chat.username || null,
+          active: true,
+          updatedAt: now
+        },
+        $unset: { removedAt: '', removedReason: '' },
+        $setOnInsert: { chatId: chat.id, registeredAt: now }
+      },
+      { upsert: true, returnDocument: 'after' }
+    );
+  }
+
+  /**
+   * Stop delivering to a chat, because it was unregistered or the bot lost access
+   * @param {number|string} chatId - Chat id
+   * @param {string} reason - unregistered, or removed when the bot was kicked
+   * @returns {Promise<boolean>} True if an active chat was deactivated
+   */
+  async deactivate(chatId, reason) {
+    const collection = await this.getCollection();
+    const result = await collection.updateOne(
+      { chatId: Number(chatId), active: true },
+      { $set: { active: false, removedAt: new Date(), removedReason: reason } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Find an active registered chat
+   * @param {number|string} chatId - Chat id
+   * @returns {Promise<object|null>} The chat, or null if it is not registered or no longer active
+   */
+  async findActive(chatId) {
+    const collection = await this.getCollection();
+    return collection.findOne({ chatId: Number(chatId), active: true });
+  }
+
+  /**
+   * List registered chats, active ones first
+   * @returns {Promise<object[]>} Chats
+   */
+  async list() {
+    const collection = await this.getCollection();
+    return collection.find({}).sort({ active: -1, registeredAt: -1 }).toArray();
+  }
+}
+
+export default ChatService;
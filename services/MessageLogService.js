@@ -0,0 +1,95 @@
+import dbConnect from '../utils/dbConnect.js';
+
+class MessageLogService {
+  /**
+   * Get the outbound messages collection
+   * @returns {Promise<import('mongodb').Collection>} The outbound_messages collection
+   */
+  async getCollection() {
+    const client = await dbConnect();
+    const db = client.db("ctxbt-signal-flow");
+    return db.collection("outbound_messages");
+  }
+
+  /**
+   * Record a message that is about to be sent
+   * @param {object} entry - Message details (username, chatId, text, signalId, hasKeyboard)
+   * @returns {Promise<import('mongodb').ObjectId>} Id of the log entry
+   */
+  async logQueued(entry) {
+    const collection = await this.getCollection();
+    const result = await collection.insertOne({
+      ...entry,
+      status: 'queued',
+      attempts: 0,
+      errors: [],
+      createdAt: new Date()
+    });
+    return result.insertedId;
+  }
+
+  /**
+   * Record a message that was not sent because the user has blocked the bot
+   * @param {object} entry - Message details (username, text, signalId, hasKeyboard)
+   */
+  async logBlocked(entry) {
+    const collection = await this.getCollection();
+    await collection.insertOne({
+      ...entry,
+      status: 'blocked',
+      attempts: 0,
+      errors: [],
+      createdAt: new Date()
+    });
+  }
+
+  /**
+   * Record a failed attempt that will be retried
+   * @param {import('mongodb').ObjectId} logId - Log entry id
+   * @param {import('../utils/telegramErrors.js').TelegramApiError} error - Error of the attempt
+   */
+  async logAttemptFailed(logId, error) {
+    const collection = await this.getCollection();
+    await collection.updateOne({ _id: logId }, {
+      $inc: { attempts: 1 },
+      $push: { errors: { code: error.code, description: error.description, retryAfter: error.retryAfter, at: new Date() } }
+    });
+  }
+
+  /**
+   * Record a successful send
+   * @param {import('mongodb').ObjectId} logId - Log entry id
+   * @param {number} messageId - Telegram message_id
+   */
+  async logSent(logId, messageId) {
+    const collection = await this.getCollection();
+    await collection.updateOne({ _id: logId }, {
+      $inc: { attempts: 1 },
+      $set: { status: 'sent', messageId, sentAt: new Date() }
+    });
+  }
+
+  /**
+   * Record a final failure
+   * @param {import('mongodb').ObjectId} logId - Log entry id
+   * @param {import('../utils/telegramErrors.js').TelegramApiError|Error} error - Final error; other errors
+   *   (e.g. a failure building the message) are recorded by their message
+   */
+  async logFailed(logId, error) {
+    const collection = await this.getCollection();
+    await collection.updateOne({ _id: logId }, {
+      $inc: { attempts: 1 },
+      $set: { status: error.isBlocked ? 'blocked' : 'failed', failedAt: new Date() },
+      $push: {
+        errors: {
+          code: error.code ?? null,
+          description: error.description ?? error.message,
+          retryAfter: error.retryAfter ?? null,
+          at: new Date()
+        }
+      }
+    });
+  }
+}
+
+export default MessageLogService;
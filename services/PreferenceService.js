@@ -0,0 +1,430 @@
+import os from 'os';
+import dbConnect from '../utils/dbConnect.js';
+
+// Most auto-simulations a user can run per UTC day; users may choose a lower cap
+export const AUTO_SIMULATE_DAILY_LIMIT = parseInt(process.env.AUTO_SIMULATE_DAILY_LIMIT || '10');
+
+// A deferred message still being sent after this long was abandoned by a replica that stopped mid-send.
+// Claims are extended before every retry wait, so slow retries do not let another replica take over.
+const DEFERRED_CLAIM_TIMEOUT_MS = parseInt(process.env.DEFERRED_CLAIM_TIMEOUT_MS || '120000');
+
+export const DEFAULT_NOTIFICATION_SETTINGS = {
+  // 'all' or 'bullish'
+  signalFilter: 'all',
+  // Tokens never delivered
+  mutedTokens: [],
+  // When non-empty, only these tokens are delivered
+  followedTokens: [],
+  quietHours: {
+    enabled: false,
+    start: '22:00',
+    end: '07:00',
+    timezone: 'UTC',
+    // 'defer' delivers at the end of quiet hours, 'drop' discards the signal
+    action: 'defer'
+  }
+};
+
+export const DEFAULT_AUTO_SIMULATE_SETTINGS = {
+  enabled: false,
+  // When non-empty, only these tokens are simulated automatically
+  tokens: [],
+  dailyLimit: AUTO_SIMULATE_DAILY_LIMIT
+};
+
+// 24-hour "HH:MM"
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Convert "HH:MM" to minutes after midnight
+ * @param {string} time - Time of day
+ * @returns {number} Minutes
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+class PreferenceService {
+  constructor() {
+    // Identifies this replica's claims on deferred messages
+    this.instanceId = `${os.hostname()}:${process.pid}`;
+  }
+
+  /**
+   * Get the users collection
+   * @returns {Promise<import('mongodb').Collection>} The users collection
+   */
+  async getUsersCollection() {
+    const client = await dbConnect();
+    const db = client.db("ctxbt-signal-flow");
+    return db.collection("users");
+  }
+
+  /**
+   * Get the deferred messages collection
+   * @returns {Promise<import('mongodb').Collection>} The deferred_messages collection
+   */
+  async getDeferredCollection() {
+    const client = await dbConnect();
+    const db = client.db("ctxbt-signal-flow");
+    return db.collection("deferred_messages");
+  }
+
+  /**
+   * Read a user's notification settings, filling in defaults
+   * @param {object|null} user - User record
+   * @returns {object} Notification settings
+   */
+  getSettings(user) {
+    const stored = user?.notificationSettings || {};
+    return {
+      ...DEFAULT_NOTIFICATION_SETTINGS,
+      ...stored,
+      quietHours: { ...DEFAULT_NOTIFICATION_SETTINGS.quietHours, ...(stored.quietHours || {}) }
+    };
+  }
+
+  /**
+   * Store changes to a user's notification settings
+   * @param {object} userQuery - Query selecting the user
+   * @param {object} changes - Settings fields to set, using dotted paths for quietHours (e.g. "quietHours.start")
+   */
+  async updateSettings(userQuery, changes) {
+    const collection = await this.getUsersCollection();
+    const fields = {};
+    for (const [key, value] of Object.entries(changes)) {
+      fields[`notificationSettings.${key}`] = value;
+    }
+    await collection.updateOne(userQuery, { $set: fields });
+  }
+
+  /**
+   * Read a user's auto-simulate settings, filling in defaults
+   * @param {object|null} user - User record
+   * @returns {object} Auto-simulate settings
+   */
+  getAutoSimulateSettings(user) {
+    const settings = { ...DEFAULT_AUTO_SIMULATE_SETTINGS, ...(user?.autoSimulate || {}) };
+    settings.dailyLimit = Math.min(settings.dailyLimit, AUTO_SIMULATE_DAILY_LIMIT);
+    return settings;
+  }
+
+  /**
+   * Store changes to a user's auto-simulate settings
+   * @param {object} userQuery - Query selecting the user
+   * @param {object} changes - Fields to set (enabled, tokens, dailyLimit)
+   */
+  async updateAutoSimulate(userQuery, changes) {
+    const collection = await this.getUsersCollection();
+    const fields = {};
+    for (const [key, value] of Object.entries(changes)) {
+      fields[`autoSimulate.${key}`] = value;
+    }
+    await collection.updateOne(userQuery, { $set: fields });
+  }
+
+  /**
+   * Read the exit window, position size and preferred network a user last chose on a confirmation screen
+   * @param {object|null} user - User record
+   * @returns {{ exitWindowHours: number|null, positionSize: object|null, networkKey: string|null }} Defaults; a null
+   *   exit window follows the signal's timeline
+   */
+  getTradeDefaults(user) {
+    return {
+      exitWindowHours: user?.tradeDefaults?.exitWindowHours ?? null,
+      positionSize: user?.tradeDefaults?.positionSize ?? null,
+      networkKey: user?.tradeDefaults?.networkKey ?? null
+    };
+  }
+
+  /**
+   * Remember a user's exit window, position size or preferred network for their next simulations
+   * @param {object} userQuery - Query selecting the user
+   * @param {object} changes - Fields to set (exitWindowHours, positionSize, networkKey)
+   */
+  async updateTradeDefaults(userQuery, changes) {
+    const collection = await this.getUsersCollection();
+    const fields = {};
+    for (const [key, value] of Object.entries(changes)) {
+      fields[`tradeDefaults.${key}`] = value;
+    }
+    await collection.updateOne(userQuery, { $set: fields });
+  }
+
+  /**
+   * Check whether a delivered signal should be simulated for the user without a click
+   * @param {object} user - User record
+   * @param {string|null} token - Token of the signal
+   * @returns {boolean} True if the user opted in and the token is allowed
+   */
+  shouldAutoSimulate(user, token) {
+    const settings = this.getAutoSimulateSettings(user);
+    if (!settings.enabled) {
+      return false;
+    }
+    return settings.tokens.length === 0 || (Boolean(token) && settings.tokens.includes(token.toUpperCase()));
+  }
+
+  /**
+   * Count one auto-simulation against the user's daily cap
+   * @param {object} user - User record
+   * @returns {Promise<string|null>} The UTC day (YYYY-MM-DD) the auto-simulation was counted on, or null if the cap
+   *   is reached
+   */
+  async reserveAutoSimulation(user) {
+    const collection = await this.getUsersCollection();
+    const day = new Date().toISOString().slice(0, 10);
+    const { dailyLimit } = this.getAutoSimulateSettings(user);
+
+    // Start a new count on the first auto-simulation of the day
+    await collection.updateOne(
+      { _id: user._id, 'autoSimulateUsage.day': { $ne: day } },
+      { $set: { autoSimulateUsage: { day, count: 0 } } }
+    );
+
+    const result = await collection.updateOne(
+      { _id: user._id, 'autoSimulateUsage.day': day, 'autoSimulateUsage.count': { $lt: dailyLimit } },
+      { $inc: { 'autoSimulateUsage.count': 1 } }
+    );
+    return result.modifiedCount > 0 ? day : null;
+  }
+
+  /**
+   * Give back an auto-simulation that did not run, so it does not count against the daily cap. Counts of an
+   * earlier day are left alone.
+   * @param {object} user - User record
+   * @param {string} day - Day returned by reserveAutoSimulation
+   */
+  async releaseAutoSimulation(user, day) {
+    const collection = await this.getUsersCollection();
+    await collection.updateOne(
+      { _id: user._id, 'autoSimulateUsage.day': day, 'autoSimulateUsage.count': { $gt: 0 } },
+      { $inc: { 'autoSimulateUsage.count': -1 } }
+    );
+  }
+
+  /**
+   * Add a token to, or remove it from, the muted or followed list
+   * @param {object} userQuery - Query selecting the user
+   * @param {'mutedTokens'|'followedTokens'} list - Which list to change
+   * @param {string} token - Token symbol
+   * @param {boolean} add - True to add, false to remove
+   */
+  async updateTokenList(userQuery, list, token, add) {
+    const collection = await this.getUsersCollection();
+    const field = `notificationSettings.${list}`;
+    await collection.updateOne(userQuery, add
+      ? { $addToSet: { [field]: token.toUpperCase() } }
+      : { $pull: { [field]: token.toUpperCase() } });
+  }
+
+  /**
+   * Check whether a time zone name is known to the runtime
+   * @param {string} timezone - IANA time zone (e.g. "Europe/Berlin")
+   * @returns {boolean} True if valid
+   */
+  isValidTimezone(timezone) {
+    try {
+      new Intl.DateTimeFormat('en-GB', { timeZone: timezone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Check quiet hours: two different 24-hour "HH:MM" times
+   * @param {string} start - Start of quiet hours
+   * @param {string} end - End of quiet hours
+   * @returns {boolean} True if valid
+   */
+  isValidQuietHours(start, end) {
+    return TIME_PATTERN.test(start) && TIME_PATTERN.test(end) && start !== end;
+  }
+
+  /**
+   * Minutes after midnight in the given time zone
+   * @param {Date} now - Current time
+   * @param {string} timezone - IANA time zone
+   * @returns {number} Local minutes after midnight
+   */
+  getLocalMinutes(now, timezone) {
+    const parts = new Intl.DateTimeFormat('en-GB', {
+      timeZone: timezone,
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(now);
+    const hour = Number(parts.find((p) => p.type === 'hour').value);
+    const minute = Number(parts.find((p) => p.type === 'minute').value);
+    return hour * 60 + minute;
+  }
+
+  /**
+   * If the time falls within quiet hours, return when they end
+   * @param {object} quietHours - Quiet hours settings
+   * @param {Date} [now] - Current time
+   * @returns {Date|null} End of the current quiet period, or null outside quiet hours
+   */
+  getQuietHoursEnd(quietHours, now = new Date()) {
+    if (!quietHours.enabled) {
+      return null;
+    }
+
+    const current = this.getLocalMinutes(now, quietHours.timezone);
+    const start = toMinutes(quietHours.start);
+    const end = toMinutes(quietHours.end);
+
+    // Quiet hours may wrap past midnight (e.g. 22:00 to 07:00)
+    const inQuietHours = start <= end
+      ? current >= start && current < end
+      : current >= start || current < end;
+    if (!inQuietHours) {
+      return null;
+    }
+
+    const minutesLeft = (end - current + 1440) % 1440;
+    const endsAt = new Date(now.getTime() + minutesLeft * 60 * 1000);
+    endsAt.setSeconds(0, 0);
+    return endsAt;
+  }
+
+  /**
+   * Decide what to do with a signal for a user
+   * @param {object} settings - Notification settings from getSettings
+   * @param {object} signal - Signal being sent (direction, token)
+   * @param {object} [options] - Evaluation options
+   * @param {boolean} [options.ignoreQuietHours] - Skip the quiet hours check (deferred deliveries)
+   * @param {Date} [options.now] - Current time
+   * @returns {{ action: 'send'|'skip'|'defer', reason?: string, deliverAt?: Date }} Decision
+   */
+  evaluate(settings, signal, options = {}) {
+    const token = signal.token ? signal.token.toUpperCase() : null;
+
+    if (settings.signalFilter === 'bullish' && signal.direction === 'sell') {
+      return { action: 'skip', reason: 'bullish_only' };
+    }
+    if (token && settings.mutedTokens.includes(token)) {
+      return { action: 'skip', reason: 'token_muted' };
+    }
+    if (settings.followedTokens.length > 0 && (!token || !settings.followedTokens.includes(token))) {
+      return { action: 'skip', reason: 'token_not_followed' };
+    }
+
+    if (!options.ignoreQuietHours) {
+      const quietUntil = this.getQuietHoursEnd(settings.quietHours, options.now);
+      if (quietUntil) {
+        return settings.quietHours.action === 'drop'
+          ? { action: 'skip', reason: 'quiet_hours' }
+          : { action: 'defer', reason: 'quiet_hours', deliverAt: quietUntil };
+      }
+    }
+
+    return { action: 'send' };
+  }
+
+  /**
+   * Store a signal to be sent when the recipient's quiet hours end
+   * @param {object} params - Deferred message fields
+   * @param {string} params.recipient - Username or numeric Telegram user id
+   * @param {string} params.message - Message text
+   * @param {object} params.options - sendMessage options
+   * @param {Date} params.deliverAt - When to send
+   */
+  async deferMessage({ recipient, message, options, deliverAt }) {
+    const collection = await this.getDeferredCollection();
+    await collection.insertOne({
+      recipient,
+      message,
+      options,
+      deliverAt,
+      status: 'pending',
+      createdAt: new Date()
+    });
+  }
+
+  /**
+   * Claim the next due deferred message, or one whose claim expired. The status change is atomic,
+   * so when several replicas run the dispatcher each message is claimed by exactly one of them.
+   * @returns {Promise<object|null>} The claimed message, or null if nothing is due
+   */
+  async claimNextDeferred() {
+    const collection = await this.getDeferredCollection();
+    const now = new Date();
+
+    return collection.findOneAndUpdate(
+      {
+        deliverAt: { $lte: now },
+        $or: [
+          { status: 'pending' },
+          { status: 'sending', claimExpiresAt: { $lt: now } },
+          // Claims made before claims had an expiry
+          { status: 'sending', claimExpiresAt: { $exists: false }, claimedAt: { $lt: new Date(now.getTime() - DEFERRED_CLAIM_TIMEOUT_MS) } }
+        ]
+      },
+      {
+        $set: {
+          status: 'sending',
+          claimedBy: this.instanceId,
+          claimedAt: now,
+          claimExpiresAt: new Date(now.getTime() + DEFERRED_CLAIM_TIMEOUT_MS)
+        },
+        $inc: { claims: 1 }
+      },
+      { sort: { deliverAt: 1 }, returnDocument: 'after' }
+    );
+  }
+
+  /**
+   * Send every deferred message that is due, including messages abandoned mid-send by a replica
+   * that stopped. Each message is claimed atomically so several server replicas can run this at the same time.
+   * @param {Function} send - async (recipient, message, options) => response
+   * @returns {Promise<number>} Number of messages processed
+   */
+  async dispatchDueMessages(send) {
+    const collection = await this.getDeferredCollection();
+    let processed = 0;
+
+    for (let item = await this.claimNextDeferred(); item; item = await this.claimNextDeferred()) {
+      if (item.claims > 1) {
+        console.warn(`Deferred message ${item._id} was abandoned mid-send and is sent again`);
+      }
+
+      // Only the current claim may record the outcome
+      const claimed = { _id: item._id, claimedBy: this.instanceId, claimedAt: item.claimedAt };
+      try {
+        await send(item.recipient, item.message, {
+          ...item.options,
+          ignoreQuietHours: true,
+          onRetry: (error, delayMs) => this.extendDeferredClaim(claimed, delayMs)
+        });
+        await collection.updateOne(claimed, { $set: { status: 'sent', sentAt: new Date() } });
+      } catch (error) {
+        console.error(`Error sending deferred message ${item._id}:`, error);
+        await collection.updateOne(claimed, { $set: { status: 'failed', error: error.message } });
+      }
+      processed++;
+    }
+
+    return processed;
+  }
+
+  /**
+   * Keep a claim on a deferred message through a retry wait: it expires DEFERRED_CLAIM_TIMEOUT_MS after the
+   * wait instead of after the claim was made
+   * @param {object} claimed - Filter matching the current claim
+   * @param {number} delayMs - Wait before the next attempt
+   */
+  async extendDeferredClaim(claimed, delayMs) {
+    const collection = await this.getDeferredCollection();
+    const result = await collection.updateOne(claimed, {
+      $set: { claimExpiresAt: new Date(Date.now() + delayMs + DEFERRED_CLAIM_TIMEOUT_MS) }
+    });
+    if (result.matchedCount === 0) {
+      console.warn(`Claim on deferred message ${claimed._id} was taken over during a retry`);
+    }
+  }
+}
+
+export default PreferenceService;
@@ -0,0 +1,390 @@
+import os from 'os';
+import { ObjectId } from 'mongodb';
+import dbConnect from '../utils/dbConnect.js';
+import { SEND_PARSE_MODES } from './SignalService.js';
+
+// What happens to an item found more than SCHEDULED_LATE_AFTER_MS past its time, e.g. after
+// downtime: 'send' sends it anyway, 'skip' marks it skipped without sending
+export const LATE_POLICIES = ['send', 'skip'];
+const DEFAULT_LATE_POLICY = LATE_POLICIES.includes(process.env.SCHEDULED_LATE_POLICY)
+  ? process.env.SCHEDULED_LATE_POLICY
+  : 'send';
+const LATE_AFTER_MS = parseInt(process.env.SCHEDULED_LATE_AFTER_MS || '300000');
+
+// A claim older than this was abandoned by a replica that stopped mid-dispatch and can be taken over
+const CLAIM_TIMEOUT_MS = parseInt(process.env.SCHEDULED_CLAIM_TIMEOUT_MS || '120000');
+
+// Furthest ahead an item can be scheduled
+const MAX_SCHEDULE_AHEAD_DAYS = 90;
+
+export const SCHEDULED_STATUSES = ['scheduled', 'dispatching', 'dispatched', 'skipped', 'failed', 'cancelled'];
+
+/**
+ * Error raised for scheduled message requests that cannot be processed
+ */
+export class ScheduleError extends Error {
+  /**
+   * @param {number} statusCode - HTTP status to respond with
+   * @param {string} message - What went wrong
+   */
+  constructor(statusCode, message) {
+    super(message);
+    this.name = 'ScheduleError';
+    this.statusCode = statusCode;
+  }
+}
+
+class ScheduleService {
+  /**
+   * @param {import('./BroadcastService.js').default} broadcastService - Sends due items as broadcast jobs
+   * @param {import('./SignalService.js').default} signalService - Validates and stores scheduled signals
+   */
+  constructor(broadcastService, signalService) {
+    this.broadcastService = broadcastService;
+    this.signalService = signalService;
+    // Recorded on claimed items to show which replica dispatched them
+    this.instanceId = `${os.hostname()}:${process.pid}`;
+    this.indexesReady = null;
+  }
+
+  /**
+   * Get the scheduled messages collection, creating its indexes on first use
+   * @returns {Promise<import('mongodb').Collection>} The scheduled_messages collection
+   */
+  async getCollection() {
+    const client = await dbConnect();
+    const db = client.db("ctxbt-signal-flow");
+    const collection = db.collection("scheduled_messages");
+
+    if (!this.indexesReady) {
+      this.indexesReady = collection.createIndex({ status: 1, sendAt: 1 }).catch((error) => {
+        this.indexesReady = null;
+        throw error;
+      });
+    }
+    await this.indexesReady;
+
+    return collection;
+  }
+
+  /**
+   * Parse a send time, which must be in the future and at most MAX_SCHEDULE_AHEAD_DAYS ahead
+   * @param {*} value - ISO 8601 date string
+   * @returns {{ sendAt: Date|null, error: string|null }}
+   */
+  parseSendAt(value) {
+    const sendAt = typeof value === 'string' ? new Date(value) : null;
+    if (!sendAt || Number.isNaN(sendAt.getTime())) {
+      return { sendAt: null, error: 'must be an ISO 8601 date' };
+    }
+    if (sendAt.getTime() <= Date.now()) {
+      return { sendAt: null, error: 'must be in the future' };
+    }
+    if (sendAt.getTime() > Date.now() + MAX_SCHEDULE_AHEAD_DAYS * 24 * 60 * 60 * 1000) {
+      return { sendAt: null, error: `must be within ${MAX_SCHEDULE_AHEAD_DAYS} days` };
+    }
+    return { sendAt, error: null };
+  }
+
+  /**
+   * Validate a scheduled message or signal from an API request
+   * @param {object} input - Request body (sendAt, latePolicy, and message, parseMode, media, usernames or
+   *   allLinkedUsers for a message, or signal for a structured signal with its recipients)
+   * @returns {{ item: object, errors: Array<{field: string, message: string}> }}
+   */
+  validateInput(input = {}) {
+    const errors = [];
+
+    const { sendAt, error: sendAtError } = this.parseSendAt(input.sendAt);
+    if (sendAtError) {
+      errors.push({ field: 'sendAt', message: sendAtError });
+    }
+
+    const latePolicy = input.latePolicy ?? null;
+    if (latePolicy !== null && !LATE_POLICIES.includes(latePolicy)) {
+      errors.push({ field: 'latePolicy', message: `must be one of ${LATE_POLICIES.join(', ')}` });
+    }
+
+    const item = { sendAt, latePolicy };
+
+    if (input.signal && input.message) {
+      errors.push({ field: 'message', message: 'give either message or signal, not both' });
+    } else if (input.signal) {
+      const { signal, recipients, errors: signalErrors } = this.signalService.validateSignalInput(input.signal);
+      errors.push(...signalErrors.map((error) => ({ ...error, field: `signal.${error.field}` })));
+      Object.assign(item, { type: 'signal', signal, usernames: recipients, allLinkedUsers: false });
+    } else if (typeof input.message === 'string' && input.message.trim() !== '') {
+      const parseMode = input.parseMode ?? 'Markdown';
+      if (!SEND_PARSE_MODES.includes(parseMode)) {
+        errors.push({ field: 'parseMode', message: `must be one of ${SEND_PARSE_MODES.join(', ')}` });
+      }
+
+      const mediaError = input.media ? this.signalService.validateMedia(input.media) : null;
+      if (mediaError) {
+        errors.push({ field: 'media', message: mediaError });
+      }
+
+      const usernames = Array.isArray(input.usernames)
+        ? input.usernames.filter((u) => typeof u === 'string' && u.trim() !== '').map((u) => u.trim().replace('@', ''))
+        : [];
+      const allLinkedUsers = input.allLinkedUsers === true;
+      if (!allLinkedUsers && usernames.length === 0) {
+        errors.push({ field: 'usernames', message: 'must be a non-empty list unless allLinkedUsers is true' });
+      }
+
+      Object.assign(item, {
+        type: 'message',
+        message: input.message,
+        parseMode,
+        media: input.media && !mediaError ? { type: input.media.type, url: input.media.url.trim() } : null,
+        usernames: allLinkedUsers ? null : usernames,
+        allLinkedUsers
+      });
+    } else {
+      errors.push({ field: 'message', message: 'either message or signal is required' });
+    }
+
+    return { item, errors };
+  }
+
+  /**
+   * Store a validated item to be sent at its sendAt
+   * @param {object} item - Item from validateInput
+   * @param {ObjectId|null} createdBy - API key that scheduled it
+   * @returns {Promise<object>} The stored item
+   */
+  async schedule(item, createdBy) {
+    const collection = await this.getCollection();
+    const now = new Date();
+    const scheduled = {
+      ...item,
+      status: 'scheduled',
+      createdBy,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const result = await collection.insertOne(scheduled);
+    scheduled._id = result.insertedId;
+    console.log(`Scheduled ${scheduled.type} ${scheduled._id} for ${scheduled.sendAt.toISOString()}`);
+
+    return scheduled;
+  }
+
+  /**
+   * List scheduled items, soonest first
+   * @param {object} params - Query parameters
+   * @param {string} [params.status] - Only items with this status
+   * @param {number} params.limit - Maximum number of items
+   * @returns {Promise<object[]>} Items
+   */
+  async list({ status, limit }) {
+    const collection = await this.getCollection();
+    return collection.find(status ? { status } : {}).sort({ sendAt: 1 }).limit(limit).toArray();
+  }
+
+  /**
+   * Find a scheduled item by id
+   * @param {string} id - Item id
+   * @returns {Promise<object|null>} The item, or null if the id is unknown or malformed
+   */
+  async getById(id) {
+    if (!ObjectId.isValid(id)) {
+      return null;
+    }
+
+    const collection = await this.getCollection();
+    return collection.findOne({ _id: new ObjectId(id) });
+  }
+
+  /**
+   * Apply an update to an item that has not been sent yet
+   * @param {string} id - Item id
+   * @param {object} fields - Fields to set
+   * @param {string} action - What is being done, for the error message
+   * @returns {Promise<object>} The updated item
+   */
+  async updatePending(id, fields, action) {
+    const existing = await this.getById(id);
+    if (!existing) {
+      throw new ScheduleError(404, 'Scheduled message not found');
+    }
+
+    const collection = await this.getCollection();
+    const updated = await collection.findOneAndUpdate(
+      { _id: existing._id, status: 'scheduled' },
+      { $set: { ...fields, updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+
+    // The scheduler may have claimed it since it was read
+    if (!updated) {
+      const current = await collection.findOne({ _id: existing._id });
+      throw new ScheduleError(409, `Only scheduled messages can be ${action}; this one is ${current.status}`);
+    }
+
+    return updated;
+  }
+
+  /**
+   * Move an item to a new send time
+   * @param {string} id - Item id
+   * @param {*} value - New send time as an ISO 8601 date
+   * @returns {Promise<object>} The updated item
+   */
+  async reschedule(id, value) {
+    const { sendAt, error } = this.parseSendAt(value);
+    if (error) {
+      throw new ScheduleError(400, `sendAt ${error}`);
+    }
+    return this.updatePending(id, { sendAt }, 'rescheduled');
+  }
+
+  /**
+   * Cancel an item that has not been sent yet
+   * @param {string} id - Item id
+   * @returns {Promise<object>} The cancelled item
+   */
+  async cancel(id) {
+    return this.updatePending(id, { status: 'cancelled', cancelledAt: new Date() }, 'cancelled');
+  }
+
+  /**
+   * Claim the next due item. The status change is atomic, so when several replicas run
+   * the scheduler each item is claimed by exactly one of them.
+   * @returns {Promise<object|null>} The claimed item, or null if nothing is due
+   */
+  async claimNext() {
+    const collection = await this.getCollection();
+    const now = new Date();
+
+    return collection.findOneAndUpdate(
+      {
+        sendAt: { $lte: now },
+        $or: [
+          { status: 'scheduled' },
+          { status: 'dispatching', claimExpiresAt: { $lt: now } }
+        ]
+      },
+      {
+        $set: {
+          status: 'dispatching',
+          claimedBy: this.instanceId,
+          claimedAt: now,
+          claimExpiresAt: new Date(now.getTime() + CLAIM_TIMEOUT_MS)
+        },
+        $inc: { claims: 1 }
+      },
+      { sort: { sendAt: 1 }, returnDocument: 'after' }
+    );
+  }
+
+  /**
+   * Dispatch every due item, including items missed while no server was running
+   * @returns {Promise<{dispatched: number, skipped: number, failed: number}>} Counts of processed items
+   */
+  async dispatchDue() {
+    const collection = await this.getCollection();
+    const counts = { dispatched: 0, skipped: 0, failed: 0 };
+
+    for (let item = await this.claimNext(); item; item = await this.claimNext()) {
+      const lateByMs = Date.now() - item.sendAt.getTime();
+      const late = lateByMs > LATE_AFTER_MS;
+      const claimed = { _id: item._id, claimedBy: this.instanceId };
+
+      // A replica that stopped after creating the job but before recording it leaves the item claimed;
+      // record its job rather than sending twice
+      const existingJob = item.claims > 1 ? await this.broadcastService.findJobByScheduledId(item._id) : null;
+
+      if (!existingJob && late && (item.latePolicy || DEFAULT_LATE_POLICY) === 'skip') {
+        console.log(`Skipping scheduled ${item.type} ${item._id}, ${Math.round(lateByMs / 1000)}s late`);
+        await collection.updateOne(claimed, {
+          $set: { status: 'skipped', reason: 'late', lateByMs, updatedAt: new Date() }
+        });
+        counts.skipped++;
+        continue;
+      }
+
+      try {
+        const job = existingJob || await this.dispatch(item);
+        await collection.updateOne(claimed, {
+          $set: {
+            status: 'dispatched',
+            broadcastJobId: job._id,
+            signalId: job.signalId,
+            dispatchedAt: new Date(),
+            lateByMs: Math.max(0, lateByMs),
+            updatedAt: new Date()
+          }
+        });
+        counts.dispatched++;
+      } catch (error) {
+        console.error(`Error dispatching scheduled ${item.type} ${item._id}:`, error);
+        await collection.updateOne(claimed, {
+          $set: { status: 'failed', error: error.message, updatedAt: new Date() }
+        });
+        counts.failed++;
+      }
+    }
+
+    return counts;
+  }
+
+  /**
+   * Hand an item to the broadcast queue, which applies the usual rate limits and notification settings
+   * @param {object} item - Claimed item
+   * @returns {Promise<object>} The broadcast job
+   */
+  async dispatch(item) {
+    if (item.type === 'signal') {
+      const signalDocument = await this.getSignalFor(item);
+      return this.broadcastService.createJob({
+        usernames: item.usernames,
+        message: signalDocument.message,
+        signal: signalDocument,
+        scheduledId: item._id
+      });
+    }
+
+    const usernames = item.allLinkedUsers ? await this.broadcastService.getLinkedUsernames() : item.usernames;
+    if (usernames.length === 0) {
+      throw new Error('No recipients to send to');
+    }
+
+    return this.broadcastService.createJob({
+      usernames,
+      message: item.message,
+      parseMode: item.parseMode,
+      media: item.media,
+      scheduledId: item._id
+    });
+  }
+
+  /**
+   * Store the signal of a scheduled signal item, or find the one stored by an earlier claim. Its id is
+   * recorded on the item before the job is created, so a replica that takes over an abandoned claim
+   * sends the same signal instead of storing a second one.
+   * @param {object} item - Claimed signal item
+   * @returns {Promise<object>} The stored signal
+   */
+  async getSignalFor(item) {
+    const existing = item.signalId ? await this.signalService.getSignalById(item.signalId) : null;
+    if (existing) {
+      return existing;
+    }
+
+    const signalDocument = await this.signalService.createSignal(item.signal, item.usernames);
+    const collection = await this.getCollection();
+    const result = await collection.updateOne(
+      { _id: item._id, claimedBy: this.instanceId, claimedAt: item.claimedAt },
+      { $set: { signalId: signalDocument._id.toString(), updatedAt: new Date() } }
+    );
+    if (result.matchedCount === 0) {
+      throw new Error('Another replica took over the item before it was sent');
+    }
+
+    return signalDocument;
+  }
+}
+
+export default ScheduleService;
@@ -0,0 +1,308 @@
+import { ObjectId } from 'mongodb';
+import dbConnect from '../utils/dbConnect.js';
+import { parsePrice, validateSignalLevels } from '../utils/signalParser.js';
+import { renderSignalMessage } from '../utils/signalTemplate.js';
+import { DEFAULT_PARSE_MODE, PARSE_MODES, MESSAGE_LIMIT, CAPTION_LIMIT } from '../utils/messageFormat.js';
+import { signalExpiresAt } from '../utils/tradeParameters.js';
+
+// Parse modes accepted for message text sent through the API; legacy Markdown is the default
+export const SEND_PARSE_MODES = ['Markdown', ...PARSE_MODES];
+
+// Longest reason accepted when a signal is retracted; it is shown above the struck-through signal
+export const RETRACT_REASON_MAX_LENGTH = 200;
+
+// Fields of a sent signal that can be edited; token, direction and media are fixed once sent
+const EDITABLE_FIELDS = ['tokenName', 'entryPrice', 'entry', 'tp1', 'tp2', 'sl', 'timeline', 'tip', 'tradeTip'];
+
+const DIRECTIONS = {
+  buy: 'buy',
+  long: 'buy',
+  sell: 'sell',
+  short: 'sell'
+};
+
+class SignalService {
+  /**
+   * Get the signals collection
+   * @returns {Promise<import('mongodb').Collection>} The signals collection
+   */
+  async getCollection() {
+    const client = await dbConnect();
+    const db = client.db("ctxbt-signal-flow");
+    return db.collection("signals");
+  }
+
+  /**
+   * Validate and normalize a structured signal from an API request
+   * @param {object} input - Request body (token, direction, entry, TPs, SL, timeline, tip, media, recipients)
+   * @returns {{ signal: object, recipients: string[], errors: Array<{field: string, message: string}> }}
+   */
+  validateSignalInput(input = {}) {
+    const errors = [];
+
+    const token = typeof input.token === 'string' ? input.token.trim().replace(/^\$/, '') : '';
+    if (!/^[A-Za-z0-9]+$/.test(token)) {
+      errors.push({ field: 'token', message: 'must be an alphanumeric token symbol' });
+    }
+
+    const direction = DIRECTIONS[String(input.direction || '').toLowerCase()] || null;
+    if (!direction) {
+      errors.push({ field: 'direction', message: 'must be one of buy, sell, long or short' });
+    }
+
+    const prices = {};
+    for (const field of ['entryPrice', 'tp1', 'tp2', 'sl']) {
+      const raw = input[field] ?? (field === 'entryPrice' ? input.entry : undefined);
+      const price = raw === undefined || raw === null || raw === '' ? null : parsePrice(raw);
+      if (price === undefined || (price !== null && price <= 0)) {
+        errors.push({ field, message: 'must be a positive price' });
+        prices[field] = null;
+      } else if (price === null && field !== 'tp2') {
+        errors.push({ field, message: 'is required' });
+        prices[field] = null;
+      } else {
+        prices[field] = price;
+      }
+    }
+
+    const recipients = Array.isArray(input.recipients)
+      ? input.recipients.filter((r) => typeof r === 'string' && r.trim() !== '').map((r) => r.trim().replace('@', ''))
+      : [];
+    if (recipients.length === 0) {
+      errors.push({ field: 'recipients', message: 'must be a non-empty list of usernames, user ids or registered chat ids' });
+    }
+
+    const mediaError = input.media ? this.validateMedia(input.media) : null;
+    if (mediaError) {
+      errors.push({ field: 'media', message: mediaError });
+    }
+
+    const optionalText = (value) => (typeof value === 'string' && value.trim() ? value.trim() : null);
+
+    const signal = {
+      token: token.toUpperCase(),
+      tokenName: optionalText(input.tokenName),
+      direction,
+      ...prices,
+      timeline: optionalText(input.timeline),
+      tradeTip: optionalText(input.tip ?? input.tradeTip),
+      media: input.media && !mediaError ? { type: input.media.type, url: input.media.url.trim() } : null
+    };
+
+    if (errors.length === 0) {
+      errors.push(...validateSignalLevels(signal));
+    }
+
+    return { signal, recipients, errors };
+  }
+
+  /**
+   * Check a chart image or document attached to a message
+   * @param {object} media - { type: 'photo'|'document', url }, where url is an HTTPS URL or a Telegram file_id
+   * @returns {string|null} What is wrong, or null if valid
+   */
+  validateMedia(media) {
+    if (typeof media !== 'object' || !['photo', 'document'].includes(media.type)) {
+      return 'type must be photo or document';
+    }
+    const url = typeof media.url === 'string' ? media.url.trim() : '';
+    if (!/^https:\/\/\S+$/.test(url) && !/^[A-Za-z0-9_-]{20,}$/.test(url)) {
+      return 'url must be an https URL or a Telegram file_id';
+    }
+    return null;
+  }
+
+  /**
+   * Options for sending a stored signal with TelegramService.sendMessage
+   * @param {object} signalDocument - Stored signal
+   * @returns {object} sendMessage options
+   */
+  getSendOptions(signalDocument) {
+    return {
+      signalId: signalDocument._id.toString(),
+      direction: signalDocument.direction,
+      token: signalDocument.token,
+      // Signals stored before the formatting module have legacy Markdown text
+      parseMode: signalDocument.parseMode || 'Markdown',
+      media: signalDocument.media || null
+    };
+  }
+
+  /**
+   * Render and store a validated signal
+   * @param {object} signal - Normalized signal from validateSignalInput
+   * @param {string[]} recipients - Usernames the signal will be sent to
+   * @returns {Promise<object>} The stored signal document including its _id and rendered message
+   */
+  async createSignal(signal, recipients) {
+    try {
+      const collection = await this.getCollection();
+
+      const createdAt = new Date();
+      const signalDocument = {
+        ...signal,
+        message: renderSignalMessage(signal, DEFAULT_PARSE_MODE),
+        parseMode: DEFAULT_PARSE_MODE,
+        status: 'active',
+        recipients: recipients.map((username) => ({ username, status: 'pending' })),
+        createdAt,
+        // Clicks are refused once the signal's timeline has run out
+        expiresAt: signalExpiresAt({ ...signal, createdAt })
+      };
+
+      const result = await collection.insertOne(signalDocument);
+      signalDocument._id = result.insertedId;
+      console.log('Signal stored with ID:', signalDocument._id);
+
+      return signalDocument;
+    } catch (error) {
+      console.error('Error storing signal:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a stored signal by id
+   * @param {string|ObjectId} signalId - Signal id
+   * @returns {Promise<object|null>} The signal document, or null if the id is unknown or malformed
+   */
+  async getSignalById(signalId) {
+    if (!ObjectId.isValid(signalId)) {
+      return null;
+    }
+
+    const collection = await this.getCollection();
+    return collection.findOne({ _id: new ObjectId(signalId) });
+  }
+
+  /**
+   * Validate changes to a sent signal against its stored values
+   * @param {object} current - Stored signal
+   * @param {object} changes - Request body with the fields to change
+   * @returns {{ signal: object, errors: Array<{field: string, message: string}> }} The signal with the changes applied
+   */
+  validateSignalUpdate(current, changes = {}) {
+    const errors = [];
+
+    for (const field of Object.keys(changes)) {
+      if (!EDITABLE_FIELDS.includes(field)) {
+        errors.push({ field, message: 'cannot be changed after the signal was sent' });
+      }
+    }
+    if (errors.length > 0) {
+      return { signal: null, errors };
+    }
+
+    // entry and tip are accepted as aliases, as when the signal was created
+    const { entry, tip, ...fields } = changes;
+    const { signal, errors: fieldErrors } = this.validateSignalInput({
+      token: current.token,
+      tokenName: current.tokenName,
+      direction: current.direction,
+      entryPrice: current.entryPrice,
+      tp1: current.tp1,
+      tp2: current.tp2,
+      sl: current.sl,
+      timeline: current.timeline,
+      tradeTip: current.tradeTip,
+      ...fields,
+      ...(entry !== undefined ? { entryPrice: entry } : {}),
+      ...(tip !== undefined ? { tradeTip: tip } : {}),
+      recipients: current.recipients.map((recipient) => recipient.username)
+    });
+    errors.push(...fieldErrors);
+
+    // Sent messages are edited in place, so the new text has to fit where the old one did
+    if (errors.length === 0) {
+      const length = renderSignalMessage(signal, DEFAULT_PARSE_MODE).length;
+      if (current.media && current.message.length <= CAPTION_LIMIT && length > CAPTION_LIMIT) {
+        errors.push({ field: 'tip', message: `makes the signal longer than the ${CAPTION_LIMIT}-character caption it was sent as` });
+      } else if (length > MESSAGE_LIMIT) {
+        errors.push({ field: 'tip', message: `makes the signal longer than ${MESSAGE_LIMIT} characters` });
+      }
+    }
+
+    return { signal: { ...signal, media: current.media || null }, errors };
+  }
+
+  /**
+   * Store the edited values of a signal and re-render it. The expiry follows the new timeline.
+   * @param {object} current - Stored signal
+   * @param {object} signal - Signal from validateSignalUpdate
+   * @returns {Promise<object|null>} The updated signal, or null if it was retracted in the meantime
+   */
+  async updateSignal(current, signal) {
+    const collection = await this.getCollection();
+    const { tokenName, entryPrice, tp1, tp2, sl, timeline, tradeTip } = signal;
+
+    return collection.findOneAndUpdate(
+      { _id: current._id, status: { $ne: 'retracted' } },
+      {
+        $set: {
+          tokenName,
+          entryPrice,
+          tp1,
+          tp2,
+          sl,
+          timeline,
+          tradeTip,
+          // Signals stored with legacy Markdown are re-rendered in the current parse mode
+          message: renderSignalMessage(signal, DEFAULT_PARSE_MODE),
+          parseMode: DEFAULT_PARSE_MODE,
+          expiresAt: signalExpiresAt({ timeline, createdAt: current.createdAt }),
+          editedAt: new Date()
+        },
+        $inc: { edits: 1 }
+      },
+      { returnDocument: 'after' }
+    );
+  }
+
+  /**
+   * Mark a signal retracted so its Simulate buttons and pending deliveries stop working
+   * @param {string} signalId - Signal id
+   * @param {string|null} reason - Why it was retracted, shown to recipients
+   * @returns {Promise<object|null>} The retracted signal, or null if it is unknown or already retracted
+   */
+  async retractSignal(signalId, reason) {
+    if (!ObjectId.isValid(signalId)) {
+      return null;
+    }
+
+    const collection = await this.getCollection();
+    return collection.findOneAndUpdate(
+      { _id: new ObjectId(signalId), status: { $ne: 'retracted' } },
+      { $set: { status: 'retracted', retractedAt: new Date(), retractReason: reason } },
+      { returnDocument: 'after' }
+    );
+  }
+
+  /**
+   * Record the delivery outcome of a signal for one recipient
+   * @param {string|ObjectId} signalId - Signal id
+   * @param {string} username - Recipient username
+   * @param {object} delivery - Delivery fields (status, chatId, messageId, error)
+   */
+  async recordDelivery(signalId, username, delivery) {
+    const collection = await this.getCollection();
+    const fields = {};
+    for (const [key, value] of Object.entries({ ...delivery, updatedAt: new Date() })) {
+      fields[`recipients.$.${key}`] = value;
+    }
+
+    const result = await collection.updateOne(
+      { _id: new ObjectId(signalId), 'recipients.username': username },
+      { $set: fields }
+    );
+
+    // Recipients added later (e.g. by a broadcast) are appended
+    if (result.matchedCount === 0) {
+      await collection.updateOne(
+        { _id: new ObjectId(signalId) },
+        { $push: { recipients: { username, ...delivery, updatedAt: new Date() } } }
+      );
+    }
+  }
+}
+
+export default SignalService;
@@ -0,0 +1,742 @@
+import { ObjectId } from 'mongodb';
+import dbConnect from '../utils/dbConnect.js';
+import Papa from 'papaparse';
+import { startOfUtcDay } from '../utils/tradeGuardrails.js';
+
+// Sort fields accepted by find(). Only fields set on every record, including those created before
+// updatedAt existed, can back a pagination cursor.
+export const SIMULATION_SORT_FIELDS = ['timestamp'];
+
+// Statuses a repeat click may claim again. 'unconfirmed' is deliberately left out: the engine may have
+// executed that trade, so running it again could open a second one.
+export const RECLAIMABLE_STATUSES = ['error', 'cancelled'];
+
+// Columns of the CSV export, in order
+export const SIMULATION_EXPORT_COLUMNS = [
+  'id', 'timestamp', 'updatedAt', 'status', 'direction', 'token', 'username', 'twitterId', 'userId',
+  'chatId', 'chatType', 'messageId', 'signalId', 'networkKey', 'safeAddress', 'tradeId', 'tradeStatus',
+  'autoTriggered', 'confirmedAt', 'error'
+];
+
+/**
+ * Error raised for simulation queries with invalid filters, sort options or cursors
+ */
+export class SimulationQueryError extends Error {
+  /**
+   * @param {string} message - What is wrong with the query
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'SimulationQueryError';
+    this.statusCode = 400;
+  }
+}
+
+/**
+ * Read a date filter
+ * @param {string} value - ISO date
+ * @param {string} name - Filter name, for the error message
+ * @returns {Date} The date
+ * @throws {SimulationQueryError} If the date is invalid
+ */
+function parseDateFilter(value, name) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new SimulationQueryError(`${name} must be an ISO date`);
+  }
+  return date;
+}
+
+class SimulationService {
+  /**
+   * @param {object} [options] - Service options
+   * @param {number} [options.staleClaimMs] - Age after which a record still processing or awaiting confirmation
+   *   is treated as abandoned and can be claimed again
+   */
+  constructor(options = {}) {
+    this.indexesReady = null;
+    this.staleClaimMs = options.staleClaimMs ?? 120000;
+  }
+
+  /**
+   * Get the trade simulations collection, creating its indexes on first use
+   * @returns {Promise<import('mongodb').Collection>} The trade_simulations collection
+   */
+  async getCollection() {
+    const client = await dbConnect();
+    const db = client.db("ctxbt-signal-flow");
+    const collection = db.collection("trade_simulations");
+
+    if (!this.indexesReady) {
+      // One simulation per user per signal message; older records have no dedupeKey
+      this.indexesReady = Promise.all([
+        collection.createIndex(
+          { dedupeKey: 1 },
+          { unique: true, partialFilterExpression: { dedupeKey: { $exists: true } } }
+        ),
+        collection.createIndex({ tradeId: 1 }, { sparse: true }),
+        // Date ranges, sorting and cursor pagination for the simulations API
+        collection.createIndex({ timestamp: -1, _id: -1 }),
+        // Daily limit counters are removed by MongoDB once their day is over
+        db.collection("simulation_daily_usage").createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+      ]).catch((error) => {
+        this.indexesReady = null;
+        throw error;
+      });
+    }
+    await this.indexesReady;
+
+    return collection;
+  }
+
+  /**
+   * Get the daily simulation counters collection
+   * @returns {Promise<import('mongodb').Collection>} The simulation_daily_usage collection
+   */
+  async getUsageCollection() {
+    // Creates the counters' TTL index along with the simulation indexes
+    await this.getCollection();
+    const client = await dbConnect();
+    return client.db("ctxbt-signal-flow").collection("simulation_daily_usage");
+  }
+
+  /**
+   * Build the key that identifies repeat clicks by the same user on the same message
+   * @param {object} userData - Callback data (chatId, messageId, userId)
+   * @returns {string} Deduplication key
+   */
+  getDedupeKey(userData) {
+    return `${userData.chatId}:${userData.messageId}:${userData.userId}`;
+  }
+
+  /**
+   * Create the simulation record for a button click, unless one already exists.
+   * Records that ended in 'error' or were cancelled are reclaimed so the user can try again, and so are
+   * records left processing or awaiting confirmation for longer than staleClaimMs (e.g. after a restart).
+   * Records in 'unconfirmed' are never reclaimed.
+   * @param {object} record - Simulation record fields
+   * @param {string} [status] - Initial status: processing, or pending_confirmation when the user must confirm first
+   * @returns {Promise<{ simulation: object, isNew: boolean }>} The record and whether this click owns it
+   */
+  async claimSimulation(record, status = 'processing') {
+    const collection = await this.getCollection();
+    const now = new Date();
+    const dedupeKey = record.dedupeKey;
+
+    let result;
+    try {
+      result = await collection.findOneAndUpdate(
+        { dedupeKey },
+        {
+          $setOnInsert: {
+            ...record,
+            status,
+            statusHistory: [{ status, at: now }],
+            timestamp: now,
+            updatedAt: now,
+            // Auto-simulations go straight to processing without a confirmation step
+            ...(status === 'processing' ? { confirmedAt: now } : {})
+          }
+        },
+        { upsert: true, returnDocument: 'after', includeResultMetadata: true }
+      );
+    } catch (error) {
+      // A concurrent click inserted the record first
+      if (error.code === 11000) {
+        return { simulation: await collection.findOne({ dedupeKey }), isNew: false };
+      }
+      throw error;
+    }
+
+    const simulation = result.value;
+    if (!result.lastErrorObject?.updatedExisting) {
+      return { simulation, isNew: true };
+    }
+
+    const abandoned = ['processing', 'pending_confirmation'].includes(simulation.status)
+      && !simulation.tradeId
+      && simulation.updatedAt < new Date(now.getTime() - this.staleClaimMs);
+
+    if (RECLAIMABLE_STATUSES.includes(simulation.status) || abandoned) {
+      if (abandoned) {
+        console.log(`Reclaiming simulation ${simulation._id}, ${simulation.status} since ${simulation.updatedAt.toISOString()}`);
+      }
+
+      // Matching updatedAt too means only one click reclaims the record, and never after it moved on
+      const retried = await collection.findOneAndUpdate(
+        { _id: simulation._id, status: simulation.status, updatedAt: simulation.updatedAt },
+        {
+          $set: {
+            status,
+            updatedAt: now,
+            callbackTimestamp: record.callbackTimestamp,
+            ...(status === 'processing' ? { confirmedAt: now } : {})
+          },
+          $unset: { error: '', ...(status === 'processing' ? {} : { confirmedAt: '' }) },
+          $push: { statusHistory: { status, at: now } }
+        },
+        { returnDocument: 'after' }
+      );
+      if (retried) {
+        return { simulation: retried, isNew: true };
+      }
+      return { simulation: await collection.findOne({ _id: simulation._id }), isNew: false };
+    }
+
+    return { simulation, isNew: false };
+  }
+
+  /**
+   * Move a simulation to a new status
+   * @param {ObjectId} simulationId - Simulation id
+   * @param {string} status - processing, success, failed, error, unconfirmed or cancelled
+   * @param {object} [fields] - Additional fields to set
+   */
+  async updateStatus(simulationId, status, fields = {}) {
+    const collection = await this.getCollection();
+    const now = new Date();
+
+    await collection.updateOne(
+      { _id: simulationId },
+      {
+        $set: { ...fields, status, updatedAt: now },
+        $push: { statusHistory: { status, at: now } }
+      }
+    );
+  }
+
+  /**
+   * Move a simulation to a new status only if it is still in the expected one
+   * @param {ObjectId} simulationId - Simulation id
+   * @param {string} fromStatus - Status the simulation must be in
+   * @param {string} toStatus - New status
+   * @param {object} [fields] - Additional fields to set
+   * @returns {Promise<object|null>} The updated simulation, or null if it was not in fromStatus
+   */
+  async transitionStatus(simulationId, fromStatus, toStatus, fields = {}) {
+    const collection = await this.getCollection();
+    const now = new Date();
+
+    return collection.findOneAndUpdate(
+      { _id: simulationId, status: fromStatus },
+      {
+        $set: { ...fields, status: toStatus, updatedAt: now },
+        $push: { statusHistory: { status: toStatus, at: now } }
+      },
+      { returnDocument: 'after' }
+    );
+  }
+
+  /**
+   * Build the key of a user's daily simulation counter
+   * @param {object} from - Telegram user (id, username)
+   * @param {Date} dayStart - Start of the UTC day
+   * @returns {string} Counter key
+   */
+  getDailySlotKey(from, dayStart) {
+    return `${from.id ?? from.username}:${dayStart.toISOString().slice(0, 10)}`;
+  }
+
+  /**
+   * Count the simulations a user took with reserveDailySlot for the current UTC day. A confirmation left
+   * open overnight counts on the day it was confirmed, not the day it was created.
+   * @param {object} from - Telegram user (id, username)
+   * @returns {Promise<number>} Slots taken today
+   */
+  async countDailySlots(from) {
+    const collection = await this.getUsageCollection();
+    const counter = await collection.findOne({ _id: this.getDailySlotKey(from, startOfUtcDay()) });
+    return counter?.count ?? 0;
+  }
+
+  /**
+   * Take one of a user's simulations for the current UTC day. The counter is only incremented while it
+   * is below the limit, in a single update, so simultaneous confirmations cannot go over it.
+   * @param {object} from - Telegram user (id, username)
+   * @param {number} limit - Simulations allowed per UTC day
+   * @returns {Promise<string|null>} Counter key, for releaseDailySlot, or null if the limit is reached
+   */
+  async reserveDailySlot(from, limit) {
+    const collection = await this.getUsageCollection();
+    const dayStart = startOfUtcDay();
+    const key = this.getDailySlotKey(from, dayStart);
+
+    try {
+      await collection.updateOne(
+        { _id: key, count: { $lt: limit } },
+        { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(dayStart.getTime() + 2 * 24 * 60 * 60 * 1000) } },
+        { upsert: true }
+      );
+      return key;
+    } catch (error) {
+      // The counter is at the limit, so the upsert tried to insert a second one with its key
+      if (error.code === 11000) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Give back a slot taken by reserveDailySlot, for a simulation that ended in error
+   * @param {string} key - Counter key returned by reserveDailySlot
+   */
+  async releaseDailySlot(key) {
+    const collection = await this.getUsageCollection();
+    await collection.updateOne({ _id: key, count: { $gt: 0 } }, { $inc: { count: -1 } });
+  }
+
+  /**
+   * Set fields on a simulation without changing its status
+   * @param {ObjectId} simulationId - Simulation id
+   * @param {object} fields - Fields to set
+   */
+  async updateFields(simulationId, fields) {
+    const collection = await this.getCollection();
+    await collection.updateOne({ _id: simulationId }, { $set: { ...fields, updatedAt: new Date() } });
+  }
+
+  /**
+   * Find the simulation that opened an engine trade
+   * @param {string} tradeId - Engine trade id
+   * @returns {Promise<object|null>} The simulation, or null if not found
+   */
+  async findByTradeId(tradeId) {
+    const collection = await this.getCollection();
+    return collection.findOne({
+      $or: [
+        { tradeId },
+        // Simulations stored before tradeId was copied to the top level
+        { 'apiResponse.result.tradingPair.tradeId': tradeId }
+      ]
+    });
+  }
+
+  /**
+   * Append an engine lifecycle event to a simulation unless that event was already recorded. Once the trade is
+   * closed, later events (e.g. delivered out of order) are only added to its history, so they cannot reopen it
+   * or replace its realized PnL.
+   * @param {ObjectId} simulationId - Simulation id
+   * @param {object} tradeEvent - Event fields (event, price, pnl, pnlPercent, at)
+   * @param {object} fields - Fields to set alongside the event (tradeStatus, realizedPnl)
+   * @returns {Promise<object|null>} The updated simulation, or null if the event was a duplicate
+   */
+  async recordTradeEvent(simulationId, tradeEvent, fields) {
+    const collection = await this.getCollection();
+    const notRecorded = { _id: simulationId, 'tradeEvents.event': { $ne: tradeEvent.event } };
+
+    const updated = await collection.findOneAndUpdate(
+      { ...notRecorded, tradeStatus: { $ne: 'closed' } },
+      {
+        $set: { ...fields, updatedAt: new Date() },
+        $push: { tradeEvents: tradeEvent }
+      },
+      { returnDocument: 'after' }
+    );
+    if (updated) {
+      return updated;
+    }
+
+    return collection.findOneAndUpdate(
+      { ...notRecorded, tradeStatus: 'closed' },
+      {
+        $set: { updatedAt: new Date() },
+        $push: { tradeEvents: tradeEvent }
+      },
+      { returnDocument: 'after' }
+    );
+  }
+
+  /**
+   * Build the query matching a Telegram user's simulations.
+   * Older records only carry the username.
+   * @param {object} from - Telegram user (id, username)
+   * @returns {object} MongoDB query
+   */
+  getUserQuery(from) {
+    const conditions = [{ userId: from.id }];
+    if (from.username) {
+      conditions.push({ userId: { $exists: false }, username: from.username });
+    }
+    return { $or: conditions };
+  }
+
+  /**
+   * List a Telegram user's simulations, newest first
+   * @param {object} from - Telegram user (id, username)
+   * @param {number} page - Zero-based page number
+   * @param {number} pageSize - Simulations per page
+   * @returns {Promise<{ simulations: object[], total: number }>} One page and the total count
+   */
+  async listForUser(from, page, pageSize) {
+    const collection = await this.getCollection();
+    const query = this.getUserQuery(from);
+
+    const [simulations, total] = await Promise.all([
+      collection.find(query).sort({ timestamp: -1 }).skip(page * pageSize).limit(pageSize).toArray(),
+      collection.countDocuments(query)
+    ]);
+
+    return { simulations, total };
+  }
+
+  /**
+   * Find one of a Telegram user's simulations by engine trade id
+   * @param {object} from - Telegram user (id, username)
+   * @param {string} tradeId - Engine trade id
+   * @returns {Promise<object|null>} The simulation, or null if the user has none with that trade id
+   */
+  async findUserTrade(from, tradeId) {
+    const collection = await this.getCollection();
+    return collection.findOne({
+      $and: [
+        this.getUserQuery(from),
+        { $or: [{ tradeId }, { 'apiResponse.result.tradingPair.tradeId': tradeId }] }
+      ]
+    });
+  }
+
+  /**
+   * Aggregate simulation statistics over a date range: outcome totals, success and engine failure rates,
+   * breakdowns by token, user and network, daily buckets and the median time from delivery to click
+   * @param {object} params - Stats parameters
+   * @param {Date} params.from - Start of the range (inclusive)
+   * @param {Date} params.to - End of the range (exclusive)
+   * @param {number} [params.limit] - Entries per breakdown, busiest first
+   * @returns {Promise<object>} Statistics
+   */
+  async getStats({ from, to, limit = 10 }) {
+    const collection = await this.getCollection();
+    const match = { $match: { timestamp: { $gte: from, $lt: to } } };
+
+    const countStatus = (status) => ({ $sum: { $cond: [{ $eq: ['$status', status] }, 1, 0] } });
+    const outcomeCounts = {
+      total: { $sum: 1 },
+      success: countStatus('success'),
+      failed: countStatus('failed'),
+      error: countStatus('error'),
+      unconfirmed: countStatus('unconfirmed'),
+      cancelled: countStatus('cancelled')
+    };
+    const breakdown = (field) => [
+      { $group: { _id: field, ...outcomeCounts } },
+      { $sort: { total: -1, _id: 1 } },
+      { $limit: limit }
+    ];
+
+    const [facets] = await collection.aggregate([
+      match,
+      {
+        $addFields: {
+          statsToken: { $ifNull: ['$signalData.token', 'unknown'] },
+          statsUser: { $ifNull: ['$twitterId', { $ifNull: ['$username', { $toString: '$userId' }] }] },
+          statsNetwork: { $ifNull: ['$networkKey', { $ifNull: ['$apiResponse.result.tradingPair.networkKey', 'unknown'] }] },
+          statsDay: { $dateToString: { format: '%Y-%m-%d', date: '$timestamp' } }
+        }
+      },
+      {
+        $facet: {
+          byOutcome: [{ $group: { _id: '$status', count: { $sum: 1 } } }],
+          byToken: breakdown('$statsToken'),
+          byUser: breakdown('$statsUser'),
+          byNetwork: breakdown('$statsNetwork'),
+          daily: [{ $group: { _id: '$statsDay', ...outcomeCounts } }, { $sort: { _id: 1 } }]
+        }
+      }
+    ]).toArray();
+
+    const byOutcome = Object.fromEntries(facets.byOutcome.map((entry) => [entry._id || 'unknown', entry.count]));
+    const total = facets.byOutcome.reduce((sum, entry) => sum + entry.count, 0);
+
+    // Rates are over simulations that reached an outcome; pending, processing, unconfirmed and cancelled ones are left out
+    const withRates = ({ _id, ...counts }) => {
+      const completed = counts.success + counts.failed + counts.error;
+      return {
+        ...counts,
+        successRate: completed > 0 ? counts.success / completed : null,
+        engineFailureRate: completed > 0 ? counts.failed / completed : null
+      };
+    };
+
+    // One bucket per day of the range, including days without simulations, for charting
+    const dailyByDay = new Map(facets.daily.map((entry) => [entry._id, entry]));
+    const daily = [];
+    for (let day = startOfUtcDay(from); day < to; day.setUTCDate(day.getUTCDate() + 1)) {
+      const date = day.toISOString().slice(0, 10);
+      const entry = dailyByDay.get(date) || { total: 0, success: 0, failed: 0, error: 0, unconfirmed: 0, cancelled: 0 };
+      daily.push({ date, ...withRates(entry) });
+    }
+
+    const clickLatency = await this.getMedianClickLatency(match);
+    const { successRate, engineFailureRate } = withRates({
+      success: byOutcome.success || 0,
+      failed: byOutcome.failed || 0,
+      error: byOutcome.error || 0
+    });
+
+    return {
+      range: { from, to },
+      total,
+      byOutcome,
+      successRate,
+      engineFailureRate,
+      medianClickLatencyMs: clickLatency.medianMs,
+      clickLatencySamples: clickLatency.samples,
+      byToken: facets.byToken.map((entry) => ({ token: entry._id, ...withRates(entry) })),
+      byUser: facets.byUser.map((entry) => ({ user: entry._id, ...withRates(entry) })),
+      byNetwork: facets.byNetwork.map((entry) => ({ network: entry._id, ...withRates(entry) })),
+      daily
+    };
+  }
+
+  /**
+   * Median time between a signal message being delivered and its Simulate button being clicked.
+   * Auto-simulations are left out since nobody clicked.
+   * @param {object} match - $match stage selecting the simulations
+   * @returns {Promise<{ medianMs: number|null, samples: number }>} Median in milliseconds and the number of clicks measured
+   */
+  async getMedianClickLatency(match) {
+    const collection = await this.getCollection();
+    const latencies = [
+      match,
+      {
+        $match: {
+          autoTriggered: { $ne: true },
+          messageTimestamp: { $type: 'date' },
+          callbackTimestamp: { $type: 'date' }
+        }
+      },
+      { $project: { latencyMs: { $subtract: ['$callbackTimestamp', '$messageTimestamp'] } } }
+    ];
+
+    const [counted] = await collection.aggregate([...latencies, { $count: 'samples' }]).toArray();
+    const samples = counted?.samples || 0;
+    if (samples === 0) {
+      return { medianMs: null, samples };
+    }
+
+    // The middle value, or the mean of the two middle values for an even count
+    const middle = await collection.aggregate([
+      ...latencies,
+      { $sort: { latencyMs: 1 } },
+      { $skip: Math.floor((samples - 1) / 2) },
+      { $limit: samples % 2 === 0 ? 2 : 1 }
+    ]).toArray();
+
+    const medianMs = middle.reduce((sum, entry) => sum + entry.latencyMs, 0) / middle.length;
+    return { medianMs, samples };
+  }
+
+  /**
+   * Build the MongoDB query for simulation filters
+   * @param {object} filters - Filters; all optional
+   * @param {string} [filters.from] - Created at or after this ISO date
+   * @param {string} [filters.to] - Created before this ISO date
+   * @param {string} [filters.token] - Token symbol
+   * @param {string} [filters.chatId] - Telegram chat id the button was clicked in
+   * @param {string} [filters.twitterId] - Twitter id of the user's Safe owner
+   * @param {string} [filters.username] - Telegram username
+   * @param {string} [filters.network] - Network key the simulation ran on
+   * @param {string} [filters.safeAddress] - Safe address, matched case-insensitively
+   * @param {string} [filters.status] - Status, or several separated by commas
+   * @returns {object} MongoDB query
+   * @throws {SimulationQueryError} If a filter is invalid
+   */
+  buildQuery(filters = {}) {
+    const conditions = [];
+
+    if (filters.from || filters.to) {
+      const timestamp = {};
+      if (filters.from) timestamp.$gte = parseDateFilter(filters.from, 'from');
+      if (filters.to) timestamp.$lt = parseDateFilter(filters.to, 'to');
+      conditions.push({ timestamp });
+    }
+    if (filters.token) {
+      conditions.push({ 'signalData.token': filters.token.replace(/^\$/, '').toUpperCase() });
+    }
+    if (filters.chatId) {
+      // Chat ids are stored as numbers
+      const chatId = Number(filters.chatId);
+      if (!Number.isSafeInteger(chatId)) {
+        throw new SimulationQueryError('chatId must be a number');
+      }
+      conditions.push({ chatId });
+    }
+    if (filters.twitterId) {
+      conditions.push({ twitterId: filters.twitterId });
+    }
+    if (filters.username) {
+      conditions.push({ username: filters.username });
+    }
+    if (filters.network) {
+      // Records from before network selection only have the network in the engine response
+      conditions.push({
+        $or: [
+          { networkKey: filters.network },
+          { networkKey: { $exists: false }, 'apiResponse.result.tradingPair.networkKey': filters.network }
+        ]
+      });
+    }
+    if (filters.safeAddress) {
+      if (!/^0x[0-9a-fA-F]{40}$/.test(filters.safeAddress)) {
+        throw new SimulationQueryError('safeAddress must be a 0x-prefixed 20-byte hex address');
+      }
+      conditions.push({ safeAddress: { $regex: `^${filters.safeAddress}$`, $options: 'i' } });
+    }
+    if (filters.status) {
+      conditions.push({ status: { $in: filters.status.split(',').map((status) => status.trim()) } });
+    }
+
+    return conditions.length > 0 ? { $and: conditions } : {};
+  }
+
+  /**
+   * Encode the position after a simulation as an opaque pagination cursor
+   * @param {object} simulation - Last simulation of a page
+   * @param {string} sort - Sort field
+   * @param {string} order - asc or desc
+   * @returns {string} Cursor
+   */
+  encodeCursor(simulation, sort, order) {
+    return Buffer.from(JSON.stringify({
+      sort,
+      order,
+      value: simulation[sort].toISOString(),
+      id: simulation._id.toString()
+    })).toString('base64url');
+  }
+
+  /**
+   * Decode a pagination cursor into a query for the simulations after it
+   * @param {string} cursor - Cursor from encodeCursor
+   * @param {string} sort - Sort field of the current request
+   * @param {string} order - asc or desc
+   * @returns {object} MongoDB query
+   * @throws {SimulationQueryError} If the cursor is invalid or was made for another sort
+   */
+  decodeCursor(cursor, sort, order) {
+    let position;
+    try {
+      position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (error) {
+      throw new SimulationQueryError('Invalid cursor');
+    }
+
+    const value = new Date(position?.value);
+    if (isNaN(value.getTime()) || !ObjectId.isValid(position.id)) {
+      throw new SimulationQueryError('Invalid cursor');
+    }
+    if (position.sort !== sort || position.order !== order) {
+      throw new SimulationQueryError('The cursor was created with a different sort; repeat the sort and order of the first request');
+    }
+
+    // _id breaks ties between simulations with the same sort value
+    const after = order === 'asc' ? '$gt' : '$lt';
+    const id = new ObjectId(position.id);
+    return {
+      $or: [
+        { [sort]: { [after]: value } },
+        { [sort]: value, _id: { [after]: id } }
+      ]
+    };
+  }
+
+  /**
+   * Open a cursor over the simulations matching filters, for paging and export
+   * @param {object} params - Query parameters
+   * @param {object} [params.filters] - Filters for buildQuery
+   * @param {string} [params.sort] - One of SIMULATION_SORT_FIELDS
+   * @param {string} [params.order] - asc or desc
+   * @param {string} [params.cursor] - Continue after this cursor from encodeCursor
+   * @param {number} [params.limit] - Maximum simulations; none when omitted
+   * @returns {Promise<import('mongodb').FindCursor>} MongoDB cursor
+   * @throws {SimulationQueryError} If the query is invalid
+   */
+  async find({ filters = {}, sort = 'timestamp', order = 'desc', cursor, limit } = {}) {
+    if (!SIMULATION_SORT_FIELDS.includes(sort)) {
+      throw new SimulationQueryError(`sort must be one of ${SIMULATION_SORT_FIELDS.join(', ')}`);
+    }
+    if (order !== 'asc' && order !== 'desc') {
+      throw new SimulationQueryError('order must be asc or desc');
+    }
+
+    const query = this.buildQuery(filters);
+    if (cursor) {
+      query.$and = [...(query.$and || []), this.decodeCursor(cursor, sort, order)];
+    }
+
+    const direction = order === 'asc' ? 1 : -1;
+    const collection = await this.getCollection();
+    const found = collection.find(query).sort({ [sort]: direction, _id: direction });
+    return limit ? found.limit(limit) : found;
+  }
+
+  /**
+   * List one page of simulations
+   * @param {object} params - Same as find(), with a required limit
+   * @returns {Promise<{ simulations: object[], nextCursor: string|null }>} The page, and the cursor for the next one if there is more
+   */
+  async list({ limit, ...params }) {
+    const found = await this.find({ ...params, limit: limit + 1 });
+    const simulations = await found.toArray();
+
+    const hasMore = simulations.length > limit;
+    if (hasMore) {
+      simulations.pop();
+    }
+
+    const last = simulations[simulations.length - 1];
+    return {
+      simulations,
+      nextCursor: hasMore ? this.encodeCursor(last, params.sort || 'timestamp', params.order || 'desc') : null
+    };
+  }
+
+  /**
+   * Format a simulation as one CSV export line, columns as in SIMULATION_EXPORT_COLUMNS
+   * @param {object} simulation - Simulation record
+   * @returns {string} CSV line, with a trailing newline
+   */
+  toCsvLine(simulation) {
+    const tradingPair = simulation.apiResponse?.result?.tradingPair;
+    const row = [
+      simulation._id.toString(),
+      simulation.timestamp?.toISOString() || '',
+      simulation.updatedAt?.toISOString() || '',
+      simulation.status,
+      simulation.direction || '',
+      simulation.signalData?.token || '',
+      simulation.username || '',
+      simulation.twitterId || '',
+      simulation.userId ?? '',
+      simulation.chatId ?? '',
+      simulation.chatType || '',
+      simulation.messageId ?? '',
+      simulation.signalId || '',
+      simulation.networkKey || tradingPair?.networkKey || '',
+      simulation.safeAddress || '',
+      simulation.tradeId || tradingPair?.tradeId || '',
+      simulation.tradeStatus || '',
+      simulation.autoTriggered ? 'true' : 'false',
+      simulation.confirmedAt?.toISOString() || '',
+      simulation.error?.message || simulation.engineError || ''
+    ];
+    return `${Papa.unparse([row])}\n`;
+  }
+
+  /**
+   * Find a simulation by id
+   * @param {string|ObjectId} simulationId - Simulation id
+   * @returns {Promise<object|null>} The simulation, or null if not found
+   */
+  async getById(simulationId) {
+    if (!ObjectId.isValid(simulationId)) {
+      return null;
+    }
+
+    const collection = await this.getCollection();
+    return collection.findOne({ _id: new ObjectId(simulationId) });
+  }
+}
+
+export default SimulationService;
@@ -1,9 +1,50 @@
 import { Telegraf } from 'telegraf';
 import axios from 'axios';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import dotenv from 'dotenv';
 import dbConnect from '../utils/dbConnect.js';
+import { parseSignal, validateSignalLevels, SignalParseError } from '../utils/signalParser.js';
+import { TelegramApiError, toTelegramApiError } from '../utils/telegramErrors.js';
+import SignalService from './SignalService.js';
+import MessageLogService from './MessageLogService.js';
+import SimulationService from './SimulationService.js';
+import UserService from './UserService.js';
+import ChatService, { PUBLISHABLE_CHAT_TYPES } from './ChatService.js';
+import PreferenceService, { AUTO_SIMULATE_DAILY_LIMIT } from './PreferenceService.js';
+import TradingEngineClient, { EngineUnavailableError } from './TradingEngineClient.js';
+import {
+  renderMessage,
+  splitMessage,
+  bold,
+  italic,
+  code,
+  field,
+  DEFAULT_PARSE_MODE,
+  MESSAGE_LIMIT,
+  CAPTION_LIMIT
+} from '../utils/messageFormat.js';
+import {
+  GuardrailError,
+  checkSignalAge,
+  checkSignalAvailable,
+  DAILY_SIMULATION_LIMIT,
+  MAX_SIGNAL_AGE_MINUTES
+} from '../utils/tradeGuardrails.js';
+import {
+  EXIT_WINDOW_OPTIONS_HOURS,
+  POSITION_SIZE_OPTIONS,
+  exitWindowFromTimeline,
+  formatExitWindow,
+  formatPositionSize,
+  encodePositionSize,
+  decodePositionSize,
+  signalExpiresAt
+} from '../utils/tradeParameters.js';
+import { signCallbackData, verifyCallbackData, getCallbackSecret, CallbackSignatureError } from '../utils/callbackSignature.js';
+import { formatTradeEvent } from './TradeEventService.js';
+import { formatPrice } from '../utils/signalTemplate.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -11,10 +52,22 @@ const envPath = join(__dirname, '../.env');
 
 dotenv.config({ path: envPath });
 
-// Add these debug lines
-console.log('Environment variables:', {
-  TELEGRAM_BOT_TOKEN: process.env.TELEGRAM_BOT_TOKEN
-});
+// Outbound messages are retried on 429, 5xx and connection errors raised before sending
+const MAX_SEND_ATTEMPTS = parseInt(process.env.TELEGRAM_SEND_MAX_ATTEMPTS || '4');
+const RETRY_BASE_DELAY_MS = 1000;
+
+// Extra time, beyond the longest engine request, before an unfinished simulation claim counts as abandoned
+const SIMULATION_CLAIM_MARGIN_MS = parseInt(process.env.SIMULATION_CLAIM_MARGIN_MS || '60000');
+
+// Simulations shown per page by /simulations
+const SIMULATIONS_PAGE_SIZE = 5;
+
+// Quiet hours offered as buttons by /settings; other times can be set with /quiethours
+const QUIET_HOURS_PRESETS = [['22:00', '07:00'], ['23:00', '08:00'], ['00:00', '06:00']];
+const TOKEN_PATTERN = /^[A-Za-z0-9]{1,20}$/;
+
+// A bold signal label in legacy Markdown (**Label**), MarkdownV2 (*Label*) or HTML (<b>Label</b>)
+const signalLabelPattern = (label) => `(?:\\*\\*${label}\\*\\*|\\*${label}\\*|<b>${label}</b>)`;
 
 class TelegramService {
   constructor() {
@@ -25,6 +78,33 @@ class TelegramService {
     // Initialize both Telegraf and axios for backward compatibility
     this.bot = new Telegraf(process.env.TELEGRAM_BOT_TOKEN);
     this.apiUrl = `https://api.telegram.org/bot${process.env.TELEGRAM_BOT_TOKEN}`;
+    this.signalService = new SignalService();
+    this.messageLog = new MessageLogService();
+    this.engine = new TradingEngineClient();
+    // A claim left in processing longer than any engine request can take was abandoned, e.g. by a restart
+    this.simulations = new SimulationService({
+      staleClaimMs: this.engine.getMaxRequestDurationMs() + SIMULATION_CLAIM_MARGIN_MS
+    });
+    this.users = new UserService();
+    this.chats = new ChatService();
+    this.preferences = new PreferenceService();
+    // Signs the Simulate buttons' callback_data
+    this.callbackSecret = getCallbackSecret();
+
+    // Updates arrive by long polling unless webhook mode is configured (needed for multiple replicas)
+    this.deliveryMode = process.env.TELEGRAM_DELIVERY_MODE === 'webhook' ? 'webhook' : 'polling';
+    this.webhookPath = process.env.TELEGRAM_WEBHOOK_PATH || '/api/telegram/webhook';
+    this.webhookSecret = process.env.TELEGRAM_WEBHOOK_SECRET;
+
+    if (this.deliveryMode === 'webhook') {
+      if (!process.env.TELEGRAM_WEBHOOK_URL) {
+        throw new Error('TELEGRAM_WEBHOOK_URL is required when TELEGRAM_DELIVERY_MODE is webhook');
+      }
+      if (!this.webhookSecret || !/^[A-Za-z0-9_-]{1,256}$/.test(this.webhookSecret)) {
+        throw new Error('TELEGRAM_WEBHOOK_SECRET must be 1-256 characters of A-Z, a-z, 0-9, _ or - in webhook mode');
+      }
+    }
+
     this.setupBotHandlers();
   }
 
@@ -32,232 +112,1360 @@ class TelegramService {
    * Setup bot handlers for commands and callbacks
    */
   setupBotHandlers() {
-    // Handle /start command
-    this.bot.command('start', (ctx) => {
+    // Keep stored usernames current for linked accounts
+    this.bot.use(async (ctx, next) => {
+      try {
+        await this.users.syncUsername(ctx.from);
+      } catch (error) {
+        console.error('Error syncing username:', error);
+      }
+      return next();
+    });
+
+    // Stop publishing to groups and channels the bot was removed from
+    this.bot.on('my_chat_member', async (ctx) => {
+      const { chat, new_chat_member: member } = ctx.myChatMember;
+      if (member.status !== 'left' && member.status !== 'kicked') {
+        return;
+      }
+      try {
+        if (await this.chats.deactivate(chat.id, 'removed')) {
+          console.log(`Bot removed from chat ${chat.id}, registration deactivated`);
+        }
+      } catch (error) {
+        console.error('Error deactivating chat:', error);
+      }
+    });
+
+    // Handle /start command, optionally with a link code from a deep link
+    this.bot.command('start', async (ctx) => {
+      const linkCode = (ctx.payload || '').trim();
+      if (linkCode) {
+        await this.handleLinkStart(ctx, linkCode);
+        return;
+      }
+
+      // A user who comes back after blocking the bot can be messaged again
+      try {
+        const client = await dbConnect();
+        const usersCollection = client.db("ctxbt-signal-flow").collection("users");
+        await usersCollection.updateOne(
+          { telegramUserId: ctx.from.id, botBlocked: true },
+          { $unset: { botBlocked: '', botBlockedAt: '' } }
+        );
+        if (ctx.from.username) {
+          await usersCollection.updateOne(
+            { telegramId: ctx.from.username, botBlocked: true },
+            { $unset: { botBlocked: '', botBlockedAt: '' } }
+          );
+        }
+      } catch (error) {
+        console.error('Error clearing blocked flag:', error);
+      }
+
       ctx.reply('Welcome! I\'m your crypto signal bot. I\'ll send you trading signals with simulation options.');
     });
 
+    // Handle /unlink command: detach this Telegram account from its user
+    this.bot.command('unlink', async (ctx) => {
+      try {
+        const unlinked = await this.users.unlink({ telegramUserId: ctx.from.id });
+        await ctx.reply(unlinked
+          ? '🔓 Your Telegram account has been unlinked. You will no longer receive signals here.'
+          : 'ℹ️ This Telegram account is not linked to any user.');
+      } catch (error) {
+        console.error('Error handling /unlink:', error);
+        await ctx.reply('❌ Sorry, your account could not be unlinked. Please try again later.');
+      }
+    });
+
+    // Handle /settings command: notification preferences menu
+    this.bot.command('settings', (ctx) => this.handleSettingsCommand(ctx));
+
+    // Handle /mute, /unmute, /follow and /unfollow <TOKEN>
+    this.bot.command(['mute', 'unmute', 'follow', 'unfollow'], (ctx) => this.handleTokenListCommand(ctx));
+
+    // Handle /timezone <Area/City> and /quiethours <HH:MM> <HH:MM>
+    this.bot.command('timezone', (ctx) => this.handleTimezoneCommand(ctx));
+    this.bot.command('quiethours', (ctx) => this.handleQuietHoursCommand(ctx));
+
+    // Handle /autosim: simulate delivered signals without a click
+    this.bot.command('autosim', (ctx) => this.handleAutoSimulateCommand(ctx));
+
+    // Handle /simulations command: the caller's recent simulations
+    this.bot.command('simulations', (ctx) => this.handleSimulationsCommand(ctx));
+
+    // Handle /trade <tradeId> command: full detail for one simulation
+    this.bot.command('trade', (ctx) => this.handleTradeCommand(ctx));
+
+    // Handle Prev/Next buttons of the /simulations list
+    this.bot.action(/^sims_page_(\d+)$/, async (ctx) => {
+      try {
+        const page = parseInt(ctx.match[1]);
+        const { text, keyboard } = await this.renderSimulationsPage(ctx.from, page);
+        await ctx.answerCbQuery();
+        await ctx.editMessageText(text, { parse_mode: DEFAULT_PARSE_MODE, reply_markup: keyboard });
+      } catch (error) {
+        console.error('Error paging simulations:', error);
+        try {
+          await ctx.answerCbQuery('❌ Could not load simulations');
+        } catch (cbError) {
+          console.log('Callback query already expired, skipping answerCbQuery');
+        }
+      }
+    });
+
+    // Handle buttons of the /settings menu
+    this.bot.action(/^settings_(.+)$/, (ctx) => this.handleSettingsAction(ctx));
+
+    // Handle network selection on the pre-trade confirmation screen
+    this.bot.action(/^sim_net_([0-9a-f]{24})_([A-Za-z0-9_-]+)$/, (ctx) => this.handleNetworkCallback(ctx));
+    this.bot.action(/^sim_netpref_([0-9a-f]{24})$/, (ctx) => this.handlePreferredNetworkCallback(ctx));
+
+    // Handle exit window and position size buttons on the pre-trade confirmation screen
+    this.bot.action(/^sim_exit_([0-9a-f]{24})_(tl|\d+)$/, (ctx) => this.handleTradeParamCallback(ctx, 'exit'));
+    this.bot.action(/^sim_size_([0-9a-f]{24})_(none|[ap]\d+)$/, (ctx) => this.handleTradeParamCallback(ctx, 'size'));
+
+    // Handle Confirm/Cancel on the pre-trade confirmation screen
+    this.bot.action(/^sim_confirm_([0-9a-f]{24})$/, (ctx) => this.handleConfirmCallback(ctx));
+    this.bot.action(/^sim_cancel_([0-9a-f]{24})$/, (ctx) => this.handleCancelCallback(ctx));
+
     // Handle callback queries (button clicks)
-    this.bot.action(/simulate_trade_(.+)/, async (ctx) => {
+    // Simulate buttons carry signed payloads; unsigned buttons from older messages are refused by the handler
+    this.bot.action(/^(?:[ts]:|simulate_(?:trade|short)_)/, (ctx) => this.handleSimulateCallback(ctx));
+
+    // Handle unknown callback queries
+    this.bot.action(/.*/, (ctx) => {
+      ctx.answerCbQuery('Unknown action');
+    });
+  }
+
+  /**
+   * Link the caller's Telegram account using the code from a /start deep link
+   * @param {object} ctx - Telegraf command context
+   * @param {string} code - One-time link code
+   */
+  async handleLinkStart(ctx, code) {
+    if (ctx.chat?.type !== 'private') {
+      await ctx.reply('🔒 Please open the link in a private chat with the bot to link your account.');
+      return;
+    }
+
+    try {
+      const user = await this.users.linkAccount(code, ctx.from, ctx.chat.id);
+      if (!user) {
+        await ctx.reply('⚠️ This link is invalid or has expired. Please request a new one.');
+        return;
+      }
+
+      console.log(`Linked Telegram user ${ctx.from.id} to twitterId ${user.twitterId}`);
+      await ctx.reply('✅ Your Telegram account is now linked! You\'ll receive trading signals here with simulation options.\n\nUse /unlink at any time to disconnect.');
+    } catch (error) {
+      console.error('Error linking account:', error);
+      await ctx.reply('❌ Sorry, your account could not be linked. Please try again later.');
+    }
+  }
+
+  /**
+   * Get the bot's username, used to build deep links
+   * @returns {Promise<string>} Bot username
+   */
+  async getBotUsername() {
+    if (!this.bot.botInfo) {
+      this.bot.botInfo = await this.bot.telegram.getMe();
+    }
+    return this.bot.botInfo.username;
+  }
+
+  /**
+   * Find the linked user for a settings command, replying with a hint if there is none
+   * @param {object} ctx - Telegraf context
+   * @returns {Promise<object|null>} The user, or null if the account is not linked
+   */
+  async findSettingsUser(ctx) {
+    const user = await this.users.findByTelegramUser(ctx.from);
+    if (!user) {
+      const message = '🔗 Your Telegram account is not linked yet. Open the link from the Maxxit app to receive signals and change your settings.';
+      if (ctx.callbackQuery) {
+        await ctx.answerCbQuery('🔗 Account not linked');
+      }
+      await ctx.reply(message);
+    }
+    return user;
+  }
+
+  /**
+   * Reply to /settings with the caller's notification settings and buttons to change them
+   * @param {object} ctx - Telegraf command context
+   */
+  async handleSettingsCommand(ctx) {
+    try {
+      const user = await this.findSettingsUser(ctx);
+      if (!user) {
+        return;
+      }
+
+      const { text, keyboard } = this.renderSettings(
+        this.preferences.getSettings(user),
+        this.preferences.getAutoSimulateSettings(user)
+      );
+      await ctx.reply(text, { parse_mode: DEFAULT_PARSE_MODE, reply_markup: keyboard });
+    } catch (error) {
+      console.error('Error handling /settings:', error);
+      await ctx.reply('❌ Sorry, your settings could not be loaded. Please try again later.');
+    }
+  }
+
+  /**
+   * Build the /settings message
+   * @param {object} settings - Notification settings
+   * @returns {{ text: string, keyboard: object }} Message text and inline keyboard
+   */
+  renderSettings(settings, autoSimulate) {
+    const { quietHours } = settings;
+    const mark = (selected, label) => (selected ? `✅ ${label}` : label);
+    const isPreset = (start, end) => quietHours.enabled && quietHours.start === start && quietHours.end === end;
+
+    const text = renderMessage([
+      bold('⚙️ Notification Settings'),
+      '',
+      ['📡 ', bold('Signals'), `: ${settings.signalFilter === 'bullish' ? 'Bullish only' : 'All signals'}`],
+      ['🔕 ', bold('Muted tokens'), `: ${settings.mutedTokens.length > 0 ? settings.mutedTokens.join(', ') : 'None'}`],
+      ['⭐ ', bold('Followed tokens'), `: ${settings.followedTokens.length > 0 ? settings.followedTokens.join(', ') : 'All tokens'}`],
+      ['🌙 ', bold('Quiet hours'), `: ${quietHours.enabled
+        ? `${quietHours.start}–${quietHours.end} (${quietHours.timezone}), signals are ${quietHours.action === 'drop' ? 'dropped' : 'delivered when they end'}`
+        : 'Off'}`],
+      ['🤖 ', bold('Auto-simulate'), `: ${autoSimulate.enabled
+        ? `On for ${autoSimulate.tokens.length > 0 ? autoSimulate.tokens.join(', ') : 'all tokens'}, up to ${autoSimulate.dailyLimit} per day`
+        : 'Off'}`],
+      '',
+      'Use /mute, /unmute, /follow or /unfollow with a token symbol to change the token lists, ' +
+        '/timezone to set your time zone (e.g. /timezone Europe/Berlin) and /quiethours to pick other times (e.g. /quiethours 21:30 06:00) and /autosim to choose which tokens are simulated automatically.'
+    ]);
+
+    const rows = [
+      [
+        { text: mark(settings.signalFilter !== 'bullish', 'All signals'), callback_data: 'settings_filter_all' },
+        { text: mark(settings.signalFilter === 'bullish', 'Bullish only'), callback_data: 'settings_filter_bullish' }
+      ],
+      [
+        { text: mark(!quietHours.enabled, '🔔 No quiet hours'), callback_data: 'settings_quiet_off' },
+        ...QUIET_HOURS_PRESETS.map(([start, end]) => ({
+          text: mark(isPreset(start, end), `🌙 ${start}–${end}`),
+          callback_data: `settings_quiet_${start.replace(':', '')}_${end.replace(':', '')}`
+        }))
+      ],
+      [
+        { text: mark(quietHours.action !== 'drop', 'Deliver after quiet hours'), callback_data: 'settings_quietaction_defer' },
+        { text: mark(quietHours.action === 'drop', 'Drop during quiet hours'), callback_data: 'settings_quietaction_drop' }
+      ],
+      [
+        { text: mark(!autoSimulate.enabled, 'Manual simulations'), callback_data: 'settings_autosim_off' },
+        { text: mark(autoSimulate.enabled, '🤖 Auto-simulate'), callback_data: 'settings_autosim_on' }
+      ],
+      ...settings.mutedTokens.map((token) => [{ text: `🔊 Unmute ${token}`, callback_data: `settings_unmute_${token}` }]),
+      ...settings.followedTokens.map((token) => [{ text: `✖️ Unfollow ${token}`, callback_data: `settings_unfollow_${token}` }])
+    ];
+
+    return { text, keyboard: { inline_keyboard: rows } };
+  }
+
+  /**
+   * Apply a /settings button and refresh the menu
+   * @param {object} ctx - Telegraf callback query context
+   */
+  async handleSettingsAction(ctx) {
+    try {
+      const user = await this.findSettingsUser(ctx);
+      if (!user) {
+        return;
+      }
+
+      const userQuery = { _id: user._id };
+      const [setting, ...args] = ctx.match[1].split('_');
+
+      if (setting === 'filter' && ['all', 'bullish'].includes(args[0])) {
+        await this.preferences.updateSettings(userQuery, { signalFilter: args[0] });
+      } else if (setting === 'quiet' && args[0] === 'off') {
+        await this.preferences.updateSettings(userQuery, { 'quietHours.enabled': false });
+      } else if (setting === 'quiet' && args.length === 2) {
+        // Buttons carry HHMM; anything else did not come from one of them
+        const [start, end] = args.map((time) => (/^\d{4}$/.test(time) ? `${time.slice(0, 2)}:${time.slice(2)}` : null));
+        if (!this.preferences.isValidQuietHours(start, end)) {
+          await ctx.answerCbQuery('Unknown setting');
+          return;
+        }
+        await this.preferences.updateSettings(userQuery, {
+          'quietHours.enabled': true,
+          'quietHours.start': start,
+          'quietHours.end': end
+        });
+      } else if (setting === 'quietaction' && ['defer', 'drop'].includes(args[0])) {
+        await this.preferences.updateSettings(userQuery, { 'quietHours.action': args[0] });
+      } else if (setting === 'autosim' && ['on', 'off'].includes(args[0])) {
+        await this.preferences.updateAutoSimulate(userQuery, { enabled: args[0] === 'on' });
+      } else if (setting === 'unmute' || setting === 'unfollow') {
+        const list = setting === 'unmute' ? 'mutedTokens' : 'followedTokens';
+        await this.preferences.updateTokenList(userQuery, list, args[0], false);
+      } else {
+        await ctx.answerCbQuery('Unknown setting');
+        return;
+      }
+
+      const updated = await this.users.findByTelegramUser(ctx.from);
+      const { text, keyboard } = this.renderSettings(
+        this.preferences.getSettings(updated),
+        this.preferences.getAutoSimulateSettings(updated)
+      );
+      await ctx.answerCbQuery('✅ Settings saved');
+      await ctx.editMessageText(text, { parse_mode: DEFAULT_PARSE_MODE, reply_markup: keyboard });
+    } catch (error) {
+      console.error('Error updating settings:', error);
       try {
-        // Extract all available data from the callback context
-        const callbackData = ctx.match[1];
-        // Extract comprehensive user and action data
-        const userData = {
-          // User identification
-          username: ctx.from.username,
-
-          // Chat information
-          chatId: ctx.chat?.id,
-          chatType: ctx.chat?.type, // 'private', 'group', 'supergroup', 'channel'
-          chatUsername: ctx.chat?.username,
-
-          // Message information
-          messageId: ctx.callbackQuery.message.message_id,
-          messageText: ctx.callbackQuery.message.text,
-          messageDate: ctx.callbackQuery.message.date,
-
-          // Callback query information
-          callbackQueryId: ctx.callbackQuery.id,
-          callbackData: callbackData,
-          callbackQueryFrom: ctx.callbackQuery.from,
-
-          // Additional context
-          chatInstance: ctx.callbackQuery.chat_instance,
-
-          // Timestamps
-          callbackTimestamp: new Date(),
-          messageTimestamp: ctx.callbackQuery.message.date ? new Date(ctx.callbackQuery.message.date * 1000) : null
-        };
-
-        console.log('Comprehensive user and action data captured:', {
-          userId: userData.userId,
-          username: userData.username,
-          chatId: userData.chatId,
-          messageId: userData.messageId,
-          callbackData: userData.callbackData,
-          messageText: userData.messageText.substring(0, 100) + '...' // Log first 100 chars
+        await ctx.answerCbQuery('❌ Could not save settings');
+      } catch (cbError) {
+        console.log('Callback query already expired, skipping answerCbQuery');
+      }
+    }
+  }
+
+  /**
+   * Handle /mute, /unmute, /follow and /unfollow <TOKEN>
+   * @param {object} ctx - Telegraf command context
+   */
+  async handleTokenListCommand(ctx) {
+    const command = ctx.command;
+    const token = (ctx.payload || '').trim().split(/\s+/)[0].replace('$', '').toUpperCase();
+    if (!TOKEN_PATTERN.test(token)) {
+      await ctx.reply(`Usage: /${command} <TOKEN>, e.g. /${command} UNI`);
+      return;
+    }
+
+    try {
+      const user = await this.findSettingsUser(ctx);
+      if (!user) {
+        return;
+      }
+
+      const list = command.endsWith('mute') ? 'mutedTokens' : 'followedTokens';
+      const add = !command.startsWith('un');
+      await this.preferences.updateTokenList({ _id: user._id }, list, token, add);
+
+      const replies = {
+        mute: `🔕 You will no longer receive ${token} signals.`,
+        unmute: `🔊 ${token} signals are unmuted.`,
+        follow: `⭐ You are following ${token}. While you follow any tokens, only their signals are sent to you.`,
+        unfollow: `✖️ You no longer follow ${token}.`
+      };
+      await ctx.reply(replies[command]);
+    } catch (error) {
+      console.error(`Error handling /${command}:`, error);
+      await ctx.reply('❌ Sorry, your settings could not be saved. Please try again later.');
+    }
+  }
+
+  /**
+   * Handle /timezone <Area/City>
+   * @param {object} ctx - Telegraf command context
+   */
+  async handleTimezoneCommand(ctx) {
+    const timezone = (ctx.payload || '').trim();
+    if (!timezone || !this.preferences.isValidTimezone(timezone)) {
+      await ctx.reply('Usage: /timezone <Area/City>, e.g. /timezone Europe/Berlin or /timezone UTC');
+      return;
+    }
+
+    try {
+      const user = await this.findSettingsUser(ctx);
+      if (!user) {
+        return;
+      }
+
+      await this.preferences.updateSettings({ _id: user._id }, { 'quietHours.timezone': timezone });
+      await ctx.reply(`🌍 Your time zone is now ${timezone}. Quiet hours follow this time zone.`);
+    } catch (error) {
+      console.error('Error handling /timezone:', error);
+      await ctx.reply('❌ Sorry, your settings could not be saved. Please try again later.');
+    }
+  }
+
+  /**
+   * Handle /quiethours <HH:MM> <HH:MM>, or /quiethours off
+   * @param {object} ctx - Telegraf command context
+   */
+  async handleQuietHoursCommand(ctx) {
+    const args = (ctx.payload || '').trim().split(/\s+/);
+    const disable = args[0] === 'off';
+    if (!disable && (args.length !== 2 || !this.preferences.isValidQuietHours(args[0], args[1]))) {
+      await ctx.reply('Usage: /quiethours <start> <end> in 24-hour time, e.g. /quiethours 22:30 07:00, or /quiethours off');
+      return;
+    }
+
+    try {
+      const user = await this.findSettingsUser(ctx);
+      if (!user) {
+        return;
+      }
+
+      if (disable) {
+        await this.preferences.updateSettings({ _id: user._id }, { 'quietHours.enabled': false });
+        await ctx.reply('🔔 Quiet hours are off.');
+        return;
+      }
+
+      await this.preferences.updateSettings({ _id: user._id }, {
+        'quietHours.enabled': true,
+        'quietHours.start': args[0],
+        'quietHours.end': args[1]
+      });
+      const { timezone } = this.preferences.getSettings(user).quietHours;
+      await ctx.reply(`🌙 Quiet hours set to ${args[0]}–${args[1]} (${timezone}). Use /settings to choose whether signals are delivered afterwards or dropped.`);
+    } catch (error) {
+      console.error('Error handling /quiethours:', error);
+      await ctx.reply('❌ Sorry, your settings could not be saved. Please try again later.');
+    }
+  }
+
+  /**
+   * Handle /autosim on|off, /autosim tokens <TOKEN ...>|all and /autosim limit <n>
+   * @param {object} ctx - Telegraf command context
+   */
+  async handleAutoSimulateCommand(ctx) {
+    const [action, ...args] = (ctx.payload || '').trim().split(/\s+/).filter(Boolean);
+    const usage = 'Usage:\n' +
+      '/autosim on or /autosim off - simulate every signal you receive without tapping the button\n' +
+      '/autosim tokens UNI ETH - only auto-simulate these tokens (/autosim tokens all for every token)\n' +
+      `/autosim limit 5 - at most this many auto-simulations per day (1-${AUTO_SIMULATE_DAILY_LIMIT})`;
+
+    let changes = null;
+    if (action === 'on' || action === 'off') {
+      changes = { enabled: action === 'on' };
+    } else if (action === 'tokens' && args.length > 0) {
+      const tokens = args.length === 1 && args[0].toLowerCase() === 'all'
+        ? []
+        : [...new Set(args.map((token) => token.replace('$', '').toUpperCase()))];
+      if (tokens.every((token) => TOKEN_PATTERN.test(token))) {
+        changes = { tokens };
+      }
+    } else if (action === 'limit' && /^\d+$/.test(args[0] || '')) {
+      const dailyLimit = parseInt(args[0]);
+      if (dailyLimit >= 1 && dailyLimit <= AUTO_SIMULATE_DAILY_LIMIT) {
+        changes = { dailyLimit };
+      }
+    }
+
+    if (!changes) {
+      await ctx.reply(usage);
+      return;
+    }
+
+    try {
+      const user = await this.findSettingsUser(ctx);
+      if (!user) {
+        return;
+      }
+
+      await this.preferences.updateAutoSimulate({ _id: user._id }, changes);
+      const settings = this.preferences.getAutoSimulateSettings({ autoSimulate: { ...user.autoSimulate, ...changes } });
+      await ctx.reply(settings.enabled
+        ? `🤖 Auto-simulate is on for ${settings.tokens.length > 0 ? settings.tokens.join(', ') : 'all tokens'}, up to ${settings.dailyLimit} simulations per day.`
+        : '🤖 Auto-simulate is off. Tap the Simulate button on a signal to simulate it.');
+    } catch (error) {
+      console.error('Error handling /autosim:', error);
+      await ctx.reply('❌ Sorry, your settings could not be saved. Please try again later.');
+    }
+  }
+
+  /**
+   * Reply to /simulations with the first page of the caller's simulations
+   * @param {object} ctx - Telegraf command context
+   */
+  async handleSimulationsCommand(ctx) {
+    try {
+      const { text, keyboard } = await this.renderSimulationsPage(ctx.from, 0);
+      await ctx.reply(text, { parse_mode: DEFAULT_PARSE_MODE, reply_markup: keyboard });
+    } catch (error) {
+      console.error('Error handling /simulations:', error);
+      await ctx.reply('❌ Sorry, your simulations could not be loaded. Please try again later.');
+    }
+  }
+
+  /**
+   * Build one page of the /simulations list
+   * @param {object} from - Telegram user (id, username)
+   * @param {number} page - Zero-based page number
+   * @returns {Promise<{ text: string, keyboard: object }>} Message text and Prev/Next keyboard
+   */
+  async renderSimulationsPage(from, page) {
+    const { simulations, total } = await this.simulations.listForUser(from, page, SIMULATIONS_PAGE_SIZE);
+
+    if (total === 0) {
+      return {
+        text: renderMessage(['📭 You have no trade simulations yet. Tap "🚀 Simulate Trade" on a signal to start one.']),
+        keyboard: { inline_keyboard: [] }
+      };
+    }
+
+    const pageCount = Math.ceil(total / SIMULATIONS_PAGE_SIZE);
+    const lines = simulations.flatMap((simulation, index) => {
+      const token = simulation.signalData?.token || 'Unknown';
+      const network = simulation.networkKey || simulation.apiResponse?.result?.tradingPair?.networkKey || 'N/A';
+      const tradeId = simulation.tradeId || simulation.apiResponse?.result?.tradingPair?.tradeId;
+      const time = new Date(simulation.timestamp).toISOString().replace('T', ' ').slice(0, 16);
+
+      return [
+        '',
+        [`${page * SIMULATIONS_PAGE_SIZE + index + 1}. `, bold(token), ` ${simulation.direction === 'sell' ? 'Short' : 'Long'}`],
+        `   🌐 ${network} • 📌 ${simulation.status} • 🕒 ${time} UTC`,
+        tradeId ? ['   🔹 ', code(`/trade ${tradeId}`)] : null
+      ].filter(Boolean);
+    });
+
+    const buttons = [];
+    if (page > 0) {
+      buttons.push({ text: '⬅️ Prev', callback_data: `sims_page_${page - 1}` });
+    }
+    if (page < pageCount - 1) {
+      buttons.push({ text: 'Next ➡️', callback_data: `sims_page_${page + 1}` });
+    }
+
+    return {
+      text: renderMessage([[bold('📋 Your Simulations'), ` (page ${page + 1} of ${pageCount})`], ...lines]),
+      keyboard: { inline_keyboard: buttons.length > 0 ? [buttons] : [] }
+    };
+  }
+
+  /**
+   * Reply to /trade <tradeId> with the full detail of one of the caller's simulations
+   * @param {object} ctx - Telegraf command context
+   */
+  async handleTradeCommand(ctx) {
+    const tradeId = (ctx.payload || '').trim().split(/\s+/)[0];
+    if (!tradeId) {
+      await ctx.reply('Usage: /trade <tradeId>\nUse /simulations to find your trade IDs.');
+      return;
+    }
+
+    try {
+      const simulation = await this.simulations.findUserTrade(ctx.from, tradeId);
+      if (!simulation) {
+        await ctx.reply('🔍 No simulation of yours was found with that trade ID.');
+        return;
+      }
+
+      await ctx.reply(this.formatTradeDetail(simulation), { parse_mode: DEFAULT_PARSE_MODE });
+    } catch (error) {
+      console.error('Error handling /trade:', error);
+      await ctx.reply('❌ Sorry, this trade could not be loaded. Please try again later.');
+    }
+  }
+
+  /**
+   * Format the full detail of a simulation for /trade
+   * @param {object} simulation - trade_simulations record
+   * @returns {string} Message text for DEFAULT_PARSE_MODE
+   */
+  formatTradeDetail(simulation) {
+    const signal = simulation.signalData || {};
+    const tradingPair = simulation.apiResponse?.result?.tradingPair || {};
+    const time = (date) => (date ? new Date(date).toISOString().replace('T', ' ').slice(0, 16) + ' UTC' : 'N/A');
+    const price = (value) => (typeof value === 'number' ? formatPrice(value) : '$N/A');
+
+    const lines = [
+      bold('📄 Trade Detail'),
+      '',
+      field('🏛️', 'Token', signal.token ?? 'N/A'),
+      field('📈', 'Direction', simulation.direction === 'sell' ? 'Short' : 'Long'),
+      field('💰', 'Entry', price(signal.entryPrice)),
+      field('🎯', 'TP1 / TP2', `${price(signal.tp1)} / ${price(signal.tp2)}`),
+      field('🛑', 'Stop Loss', price(signal.sl)),
+      '',
+      field('🔹', 'Trade ID', code(simulation.tradeId || tradingPair.tradeId || 'N/A')),
+      field('🔹', 'Network', simulation.networkKey || tradingPair.networkKey || 'N/A'),
+      field('🔹', 'Safe Address', code(simulation.safeAddress || tradingPair.safeAddress || 'N/A')),
+      field('🔹', 'Simulation Status', simulation.status),
+      field('🔹', 'Trade Status', simulation.tradeStatus || tradingPair.status || 'N/A'),
+      field('🕒', 'Requested', time(simulation.timestamp))
+    ];
+
+    if (simulation.tradeParams) {
+      lines.push(
+        field('⏳', 'Exit Window', formatExitWindow(simulation.tradeParams.exitWindowHours)),
+        field('💵', 'Position Size', formatPositionSize(simulation.tradeParams.positionSize))
+      );
+    }
+
+    if (simulation.tradeEvents?.length > 0) {
+      lines.push('', bold('📊 Trade Updates'), ...simulation.tradeEvents.map((e) => `• ${formatTradeEvent(e)} — ${time(e.at)}`));
+    }
+
+    if (simulation.realizedPnl !== undefined) {
+      lines.push('', field('💰', 'Realized PnL', `${simulation.realizedPnl >= 0 ? '+' : '-'}$${Math.abs(simulation.realizedPnl).toFixed(2)}`));
+    }
+
+    if (simulation.engineError) {
+      lines.push('', field('❌', 'Error', code(simulation.engineError)));
+    }
+
+    return renderMessage(lines);
+  }
+
+  /**
+   * Handle a Simulate Trade / Simulate Short button click: run the guardrails and show the
+   * confirmation screen. Nothing is sent to the trading engine until the user confirms.
+   * Any member of a group or channel may click; each clicker simulates on their own Safe.
+   * Buttons are signed for the chat they were sent to, so clicks on forwarded, forged or expired
+   * buttons are refused.
+   * @param {object} ctx - Telegraf callback query context
+   */
+  async handleSimulateCallback(ctx) {
+    // Clicks in groups and channels are answered by DM; the chat itself only gets a short acknowledgement
+    const isPrivate = ctx.chat?.type === 'private';
+    let clicker = null;
+
+    try {
+      const callbackData = ctx.callbackQuery.data;
+
+      let payload;
+      try {
+        payload = verifyCallbackData(callbackData, { chatId: ctx.chat?.id }, this.callbackSecret);
+      } catch (error) {
+        if (!(error instanceof CallbackSignatureError)) {
+          throw error;
+        }
+        console.log(`Refused simulate click by ${ctx.from.id} in chat ${ctx.chat?.id}: ${error.reason}`);
+        await ctx.answerCbQuery(`⛔ ${error.message}`, { show_alert: true });
+        return;
+      }
+      const { direction } = payload;
+
+      // Extract all available data from the callback context
+      // Extract comprehensive user and action data
+      const userData = {
+        // User identification
+        userId: ctx.from.id,
+        username: ctx.from.username,
+
+        // Chat information
+        chatId: ctx.chat?.id,
+        chatType: ctx.chat?.type, // 'private', 'group', 'supergroup', 'channel'
+        chatUsername: ctx.chat?.username,
+
+        // Message information
+        messageId: ctx.callbackQuery.message.message_id,
+        // Signals sent with a chart or document carry their text as the caption
+        messageText: ctx.callbackQuery.message.text ?? ctx.callbackQuery.message.caption,
+        messageDate: ctx.callbackQuery.message.date,
+
+        // Callback query information
+        callbackQueryId: ctx.callbackQuery.id,
+        callbackData: callbackData,
+        callbackQueryFrom: ctx.callbackQuery.from,
+
+        // Stored signal referenced by the button, if any
+        signalId: payload.signalId,
+
+        // Trade direction of the clicked button
+        direction,
+
+        // Additional context
+        chatInstance: ctx.callbackQuery.chat_instance,
+
+        // Timestamps
+        callbackTimestamp: new Date(),
+        messageTimestamp: ctx.callbackQuery.message.date ? new Date(ctx.callbackQuery.message.date * 1000) : null
+      };
+
+      console.log('Comprehensive user and action data captured:', {
+        userId: userData.userId,
+        username: userData.username,
+        chatId: userData.chatId,
+        messageId: userData.messageId,
+        callbackData: userData.callbackData,
+        signalId: userData.signalId,
+        messageText: (userData.messageText || '').substring(0, 100) + '...' // Log first 100 chars
+      });
+
+      // Retracted and expired signals are refused before anything else, for linked and unlinked clickers alike
+      if (userData.signalId) {
+        const signal = await this.signalService.getSignalById(userData.signalId);
+        try {
+          if (signal) checkSignalAvailable(signal);
+        } catch (error) {
+          // Alerts are limited to 200 characters, which a long retraction reason could exceed
+          await ctx.answerCbQuery(`⛔ ${error.message}`.slice(0, 200), { show_alert: true });
+          return;
+        }
+      }
+
+      // Every clicker simulates on their own Safe, so they must have linked their account
+      clicker = await this.users.findByTelegramUser(ctx.from);
+      if (!clicker) {
+        await this.promptToLink(ctx);
+        return;
+      }
+
+      // Repeat clicks on the same message get the existing simulation instead of a new trade
+      const { simulation, isNew } = await this.claimSimulation(userData, 'pending_confirmation');
+      if (!isNew) {
+        await this.replyWithExistingSimulation(ctx, simulation, clicker);
+        return;
+      }
+
+      // In private chats answer right away; in groups and channels the answer says whether the DM went out
+      if (isPrivate) {
+        await ctx.answerCbQuery('🔍 Checking signal...');
+      }
+
+      let prepared;
+      try {
+        prepared = await this.prepareSimulation(userData);
+      } catch (error) {
+        console.error('Simulation refused before confirmation:', error);
+        await this.recordSimulationError(simulation._id, error);
+        await this.replyToClicker(ctx, clicker, this.formatSimulationError(error));
+        if (!isPrivate) {
+          await ctx.answerCbQuery('📬 Sent to your private chat with the bot');
+        }
+        return;
+      }
+
+      await this.simulations.updateFields(simulation._id, prepared);
+
+      try {
+        await this.replyToClicker(ctx, clicker, this.formatConfirmation(prepared, direction), {
+          parse_mode: DEFAULT_PARSE_MODE,
+          reply_markup: this.buildConfirmationKeyboard(simulation._id.toString(), prepared)
         });
+      } catch (error) {
+        if (isPrivate || !(error instanceof TelegramApiError) || !error.isBlocked) {
+          throw error;
+        }
+        // The clicker blocked the bot or never opened a private chat with it; let them retry after doing so
+        await this.recordSimulationError(simulation._id, error);
+        await ctx.answerCbQuery('🔒 Open a private chat with the bot and press Start, then tap Simulate again.', { show_alert: true });
+        return;
+      }
+
+      if (!isPrivate) {
+        await ctx.answerCbQuery('📬 Confirm the simulation in your private chat with the bot');
+        await this.acknowledgePublicly(ctx);
+      }
+    } catch (error) {
+      console.error('Error handling simulate trade callback:', error);
+
+      // Try to answer callback query, but don't fail if it's expired
+      try {
+        await ctx.answerCbQuery('❌ Error processing simulation request');
+      } catch (cbError) {
+        console.log('Callback query already expired, skipping answerCbQuery');
+      }
+
+      // Errors in groups and channels are only shown to the clicker
+      try {
+        if (isPrivate) {
+          await ctx.reply('❌ Sorry, there was an error processing your trade simulation. Please try again later.');
+        } else if (clicker) {
+          await this.replyToClicker(ctx, clicker, '❌ Sorry, there was an error processing your trade simulation. Please try again later.');
+        }
+      } catch (replyError) {
+        console.error('Error reporting simulation failure:', replyError);
+      }
+    }
+  }
+
+  /**
+   * Tell a clicker without a linked account how to link it
+   * @param {object} ctx - Telegraf callback query context
+   */
+  async promptToLink(ctx) {
+    const message = '🔗 Your Telegram account is not linked yet. Open the link from the Maxxit app to connect your Safe, then tap Simulate again.';
+
+    // Alerts are only shown to the clicker, so nothing is posted in groups and channels
+    if (ctx.chat?.type !== 'private') {
+      await ctx.answerCbQuery(message, { show_alert: true });
+      return;
+    }
+
+    await ctx.answerCbQuery('🔗 Account not linked');
+    await ctx.reply(message);
+  }
+
+  /**
+   * Reply to the user who clicked a button: in place in private chats, by DM for clicks in groups and channels
+   * @param {object} ctx - Telegraf callback query context
+   * @param {object} clicker - Linked user record of the clicker
+   * @param {string} text - Message text
+   * @param {object} [extra] - sendMessage options
+   * @returns {Promise<object>} The sent message
+   * @throws {TelegramApiError} If the clicker cannot be messaged privately
+   */
+  async replyToClicker(ctx, clicker, text, extra = {}) {
+    if (ctx.chat?.type === 'private') {
+      return ctx.reply(text, extra);
+    }
+    return this.withRetry(() => this.bot.telegram.sendMessage(clicker.chatId || ctx.from.id, text, extra));
+  }
+
+  /**
+   * Note under a group signal that someone is simulating it, without revealing any trade details.
+   * Channels get nothing, since a post there would reach every subscriber.
+   * @param {object} ctx - Telegraf callback query context
+   */
+  async acknowledgePublicly(ctx) {
+    if (ctx.chat?.type !== 'group' && ctx.chat?.type !== 'supergroup') {
+      return;
+    }
+
+    try {
+      await ctx.telegram.sendMessage(ctx.chat.id, `🧪 ${ctx.from.first_name || 'Someone'} is simulating this signal. Details were sent privately.`, {
+        reply_to_message_id: ctx.callbackQuery.message.message_id,
+        allow_sending_without_reply: true,
+        disable_notification: true
+      });
+    } catch (error) {
+      console.log('Could not post public acknowledgement:', error.message);
+    }
+  }
+
+  /**
+   * Format the confirmation screen shown before a simulation is sent to the engine
+   * @param {object} prepared - Result of prepareSimulation
+   * @param {'buy'|'sell'} direction - Trade direction
+   * @returns {string} Message text for DEFAULT_PARSE_MODE
+   */
+  formatConfirmation(prepared, direction) {
+    const { signalData, tradeParams } = prepared;
+
+    return renderMessage([
+      bold('🧾 Confirm Trade Simulation'),
+      '',
+      field('🏛️', 'Token', signalData.token ?? 'N/A'),
+      field('📈', 'Direction', direction === 'sell' ? 'Short' : 'Long'),
+      field('💰', 'Entry', formatPrice(signalData.entryPrice)),
+      field('🎯', 'TP1', formatPrice(signalData.tp1)),
+      field('🎯', 'TP2', signalData.tp2 !== null && signalData.tp2 !== undefined ? formatPrice(signalData.tp2) : 'N/A'),
+      field('🛑', 'Stop Loss', formatPrice(signalData.sl)),
+      field('🌐', 'Network', prepared.networkKey
+        ? prepared.networkKey + (prepared.safes?.length > 1 && prepared.networkKey === prepared.preferredNetwork ? ' (⭐ preferred)' : '')
+        : 'choose one below'),
+      field('🔐', 'Safe Address', prepared.safeAddress ? code(prepared.safeAddress) : 'N/A'),
+      field('⏳', 'Exit Window', formatExitWindow(tradeParams.exitWindowHours) +
+        (tradeParams.exitWindowSource === 'timeline' ? ' (from the signal timeline)' : '')),
+      field('💵', 'Position Size', formatPositionSize(tradeParams.positionSize)),
+      '',
+      'Adjust the exit window or position size below (your choice is kept for next time), then tap ✅ Confirm to run this simulation, or ✖️ Cancel.'
+    ]);
+  }
+
+  /**
+   * Build the confirmation screen buttons: network (for users with several Safes), exit window,
+   * position size, Confirm and Cancel
+   * @param {string} simulationId - Simulation id
+   * @param {object} prepared - Pending simulation fields (tradeParams, safes, networkKey, preferredNetwork)
+   * @returns {object} Inline keyboard
+   */
+  buildConfirmationKeyboard(simulationId, prepared) {
+    const { tradeParams, safes = [], networkKey, preferredNetwork } = prepared;
+    const mark = (selected, label) => (selected ? `✅ ${label}` : label);
+
+    const networkRows = [];
+    if (safes.length > 1) {
+      for (let i = 0; i < safes.length; i += 3) {
+        networkRows.push(safes.slice(i, i + 3).map((safe) => ({
+          text: mark(safe.networkKey === networkKey, `🌐 ${safe.networkKey}`),
+          callback_data: `sim_net_${simulationId}_${safe.networkKey}`
+        })));
+      }
+      if (networkKey && networkKey !== preferredNetwork) {
+        networkRows.push([{ text: `⭐ Always use ${networkKey}`, callback_data: `sim_netpref_${simulationId}` }]);
+      }
+    }
+    const sizeCode = encodePositionSize(tradeParams.positionSize);
+    const sizeButton = (size) => ({
+      text: mark(encodePositionSize(size) === sizeCode, size ? formatPositionSize(size).replace(' of Safe balance', '') : 'Default size'),
+      callback_data: `sim_size_${simulationId}_${encodePositionSize(size)}`
+    });
+
+    return {
+      inline_keyboard: [
+        ...networkRows,
+        [
+          { text: mark(tradeParams.exitWindowSource === 'timeline', '⏳ Timeline'), callback_data: `sim_exit_${simulationId}_tl` },
+          ...EXIT_WINDOW_OPTIONS_HOURS.map((hours) => ({
+            text: mark(tradeParams.exitWindowSource !== 'timeline' && tradeParams.exitWindowHours === hours, `${hours / 24}d`),
+            callback_data: `sim_exit_${simulationId}_${hours}`
+          }))
+        ],
+        POSITION_SIZE_OPTIONS.filter((size) => size.type === 'amount').map(sizeButton),
+        [...POSITION_SIZE_OPTIONS.filter((size) => size.type === 'percent').map(sizeButton), sizeButton(null)],
+        [
+          { text: '✅ Confirm', callback_data: `sim_confirm_${simulationId}` },
+          { text: '✖️ Cancel', callback_data: `sim_cancel_${simulationId}` }
+        ]
+      ]
+    };
+  }
+
+  /**
+   * Redraw the confirmation screen after one of its settings changed
+   * @param {object} ctx - Telegraf callback query context
+   * @param {object} simulation - Pending simulation with the new values
+   */
+  async refreshConfirmation(ctx, simulation) {
+    await ctx.editMessageText(this.formatConfirmation(simulation, simulation.direction), {
+      parse_mode: DEFAULT_PARSE_MODE,
+      reply_markup: this.buildConfirmationKeyboard(simulation._id.toString(), simulation)
+    });
+  }
+
+  /**
+   * Handle a network button: simulate on the Safe deployed on that network
+   * @param {object} ctx - Telegraf callback query context
+   */
+  async handleNetworkCallback(ctx) {
+    const pending = await this.findPendingSimulation(ctx);
+    if (!pending) {
+      return;
+    }
+
+    try {
+      const safe = (pending.safes || []).find((s) => s.networkKey === ctx.match[2]);
+      if (!safe) {
+        await ctx.answerCbQuery('Unknown network');
+        return;
+      }
+
+      const fields = { networkKey: safe.networkKey, safeAddress: safe.address };
+      await this.simulations.updateFields(pending._id, fields);
+
+      await ctx.answerCbQuery(`🌐 ${safe.networkKey} selected`);
+      await this.refreshConfirmation(ctx, { ...pending, ...fields });
+    } catch (error) {
+      console.error('Error selecting network:', error);
+      try {
+        await ctx.answerCbQuery('❌ Could not update the simulation');
+      } catch (cbError) {
+        console.log('Callback query already expired, skipping answerCbQuery');
+      }
+    }
+  }
+
+  /**
+   * Handle the "Always use" button: save the selected network as the user's preferred network
+   * @param {object} ctx - Telegraf callback query context
+   */
+  async handlePreferredNetworkCallback(ctx) {
+    const pending = await this.findPendingSimulation(ctx);
+    if (!pending) {
+      return;
+    }
+
+    try {
+      if (!pending.networkKey) {
+        await ctx.answerCbQuery('🌐 Pick a network first');
+        return;
+      }
+
+      await this.preferences.updateTradeDefaults({ twitterId: pending.twitterId }, { networkKey: pending.networkKey });
+      await this.simulations.updateFields(pending._id, { preferredNetwork: pending.networkKey });
+
+      await ctx.answerCbQuery(`⭐ ${pending.networkKey} saved as your preferred network`);
+      await this.refreshConfirmation(ctx, { ...pending, preferredNetwork: pending.networkKey });
+    } catch (error) {
+      console.error('Error saving preferred network:', error);
+      try {
+        await ctx.answerCbQuery('❌ Could not save your preferred network');
+      } catch (cbError) {
+        console.log('Callback query already expired, skipping answerCbQuery');
+      }
+    }
+  }
+
+  /**
+   * Handle an exit window or position size button: update the pending simulation, remember the
+   * choice as the user's default and refresh the confirmation screen
+   * @param {object} ctx - Telegraf callback query context
+   * @param {'exit'|'size'} param - Which parameter the button sets
+   */
+  async handleTradeParamCallback(ctx, param) {
+    const pending = await this.findPendingSimulation(ctx);
+    if (!pending) {
+      return;
+    }
+
+    try {
+      const value = ctx.match[2];
+      const tradeParams = { ...pending.tradeParams };
+      let defaults;
+
+      if (param === 'exit') {
+        const hours = value === 'tl' ? null : parseInt(value);
+        if (hours !== null && !EXIT_WINDOW_OPTIONS_HOURS.includes(hours)) {
+          await ctx.answerCbQuery('Unknown exit window');
+          return;
+        }
+        tradeParams.exitWindowHours = hours ?? exitWindowFromTimeline(pending.signalData?.timeline);
+        tradeParams.exitWindowSource = hours === null ? 'timeline' : 'user';
+        defaults = { exitWindowHours: hours };
+      } else {
+        const size = decodePositionSize(value);
+        if (size === undefined) {
+          await ctx.answerCbQuery('Unknown position size');
+          return;
+        }
+        tradeParams.positionSize = size;
+        defaults = { positionSize: size };
+      }
+
+      await this.simulations.updateFields(pending._id, { tradeParams });
+      await this.preferences.updateTradeDefaults({ twitterId: pending.twitterId }, defaults);
+
+      await ctx.answerCbQuery('✅ Saved as your default');
+      await this.refreshConfirmation(ctx, { ...pending, tradeParams });
+    } catch (error) {
+      console.error('Error updating trade parameters:', error);
+      try {
+        await ctx.answerCbQuery('❌ Could not update the simulation');
+      } catch (cbError) {
+        console.log('Callback query already expired, skipping answerCbQuery');
+      }
+    }
+  }
 
-        // Answer callback query immediately to acknowledge user interaction
-        await ctx.answerCbQuery('🔄 Processing trade simulation...');
-
-        // Send initial processing message for better UX
-        const processingMessage = await ctx.reply('⏳ **Processing Trade Simulation...**\n\n' +
-          '🔄 Connecting to trading engine...\n' +
-          '📊 Analyzing signal data...\n' +
-          '⚡ Executing simulation...\n\n' +
-          '*This may take a few moments...*');
-
-        // Optional: Update progress every 5 seconds for better UX
-        const progressInterval = setInterval(async () => {
-          try {
-            const dots = ['⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏'];
-            const randomDot = dots[Math.floor(Math.random() * dots.length)];
-            await ctx.telegram.editMessageText(
-              ctx.chat.id,
-              processingMessage.message_id,
-              null,
-              `${randomDot} **Processing Trade Simulation...**\n\n` +
-              '🔄 Connecting to trading engine...\n' +
-              '📊 Analyzing signal data...\n' +
-              '⚡ Executing simulation...\n\n' +
-              '*Please wait while we process your request...*',
-              { parse_mode: 'Markdown' }
-            );
-          } catch (editError) {
-            // Message might be too old to edit, just continue
-            console.log('Could not update progress, continuing...');
-          }
-        }, 3000); // Update every 3 seconds
+  /**
+   * Handle the Confirm button: re-run the time-sensitive guardrails, then send the trade to the engine
+   * @param {object} ctx - Telegraf callback query context
+   */
+  async handleConfirmCallback(ctx) {
+    const pending = await this.findPendingSimulation(ctx);
+    if (!pending) {
+      return;
+    }
+
+    try {
+      if (!pending.networkKey) {
+        await ctx.answerCbQuery('🌐 Pick a network first');
+        return;
+      }
 
+      // The signal may have aged, expired or been retracted, or the daily limit been used up, while the confirmation was open
+      let dailySlot;
+      try {
+        checkSignalAge(pending.signalTimestamp);
+        const signal = pending.signalId ? await this.signalService.getSignalById(pending.signalId) : null;
+        if (signal) checkSignalAvailable(signal);
+        dailySlot = await this.reserveDailySimulation({ id: pending.userId, username: pending.username });
+      } catch (error) {
+        await this.recordSimulationError(pending._id, error);
+        await ctx.answerCbQuery('⛔ Simulation refused');
+        await ctx.editMessageText(this.formatSimulationError(error));
+        return;
+      }
+
+      const simulation = await this.simulations.transitionStatus(pending._id, 'pending_confirmation', 'processing', {
+        confirmedAt: new Date(),
+        dailySlot
+      });
+      if (!simulation) {
+        await this.simulations.releaseDailySlot(dailySlot);
+        await ctx.answerCbQuery('ℹ️ This simulation was already confirmed or cancelled');
+        return;
+      }
+
+      await ctx.answerCbQuery('🔄 Processing trade simulation...');
+
+      const chatId = ctx.callbackQuery.message.chat.id;
+      const messageId = ctx.callbackQuery.message.message_id;
+
+      // Turn the confirmation into the processing message
+      await ctx.editMessageText(this.formatProcessing('⏳', 'This may take a few moments...'), { parse_mode: DEFAULT_PARSE_MODE });
+
+      // Optional: Update progress every 5 seconds for better UX
+      const progressInterval = setInterval(async () => {
         try {
-          // Store the comprehensive data in database and get API response
-          const apiResponse = await this.handleSimulateTradeRequest(userData);
-          console.log("apiResponse", apiResponse);
-
-          // Clear the progress interval once we have the response
-          clearInterval(progressInterval);
-
-          // Format reply message based on API response
-          let replyMessage = '';
-          if (apiResponse && apiResponse.status === 'success') {
-            // Escape underscores in IDs to prevent Markdown parsing errors
-            const safeAddress = (apiResponse.result?.tradingPair?.safeAddress || 'N/A').replace(/_/g, '\\_');
-            const tradeId = (apiResponse.result?.tradingPair?.tradeId || 'N/A').replace(/_/g, '\\_');
-
-            replyMessage = `✅ **Trade Simulation Successful!**\n\n` +
-              `🔹 **Signal ID**: \`${apiResponse.signalId}\`\n` +
-              `🔹 **Network**: ${apiResponse.result?.tradingPair?.networkKey || 'N/A'}\n` +
-              `🔹 **Safe Address**: \`${safeAddress}\`\n` +
-              `🔹 **Trade ID**: \`${tradeId}\`\n` +
-              `🔹 **Status**: ${apiResponse.result?.tradingPair?.status || 'N/A'}\n\n` +
-              `🚀 Your trade simulation has been processed successfully!`;
-          } else if (apiResponse && apiResponse.status === 'failed') {
-            const errorMsg = (apiResponse.result?.error || apiResponse.result?.tradingPair?.error || 'Unknown error').replace(/_/g, '\\_');
-            replyMessage = `❌ **Trade Simulation Failed**\n\n` +
-              `🔹 **Signal ID**: \`${apiResponse.signalId}\`\n` +
-              `🔹 **Network**: ${apiResponse.result?.tradingPair?.networkKey || 'N/A'}\n` +
-              `🔹 **Error**: \`${errorMsg}\`\n\n` +
-              `Please try again or contact support if the issue persists.`;
-          } else {
-            // Fallback for unexpected response format
-            replyMessage = '✅ Trade simulation has been initiated for this signal. You will receive updates shortly.';
-          }
-
-          // Edit the processing message with the final result
+          const dots = ['⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏'];
+          const randomDot = dots[Math.floor(Math.random() * dots.length)];
           await ctx.telegram.editMessageText(
-            ctx.chat.id,
-            processingMessage.message_id,
+            chatId,
+            messageId,
             null,
-            replyMessage,
-            { parse_mode: 'Markdown' }
+            this.formatProcessing(randomDot, 'Please wait while we process your request...'),
+            { parse_mode: DEFAULT_PARSE_MODE }
           );
-
-        } catch (error) {
-          console.error('Error handling simulate trade callback:', error);
-
-          // Clear the progress interval on error
-          clearInterval(progressInterval);
-
-          // Try to answer callback query, but don't fail if it's expired
-          try {
-            await ctx.answerCbQuery('❌ Error processing simulation request');
-          } catch (cbError) {
-            console.log('Callback query already expired, skipping answerCbQuery');
-          }
-
-          // Try to edit the processing message with error, fallback to reply if edit fails
-          try {
-            await ctx.telegram.editMessageText(
-              ctx.chat.id,
-              processingMessage.message_id,
-              null,
-              '❌ Sorry, there was an error processing your trade simulation. Please try again later.',
-              { parse_mode: 'Markdown' }
-            );
-          } catch (editError) {
-            console.log('Could not edit processing message, sending new reply');
-            await ctx.reply('❌ Sorry, there was an error processing your trade simulation. Please try again later.');
-          }
+        } catch (editError) {
+          // Message might be too old to edit, just continue
+          console.log('Could not update progress, continuing...');
         }
+      }, 3000); // Update every 3 seconds
+
+      try {
+        const apiResponse = await this.executeSimulation(simulation);
+
+        // Clear the progress interval once we have the response
+        clearInterval(progressInterval);
+
+        // Edit the processing message with the final result
+        await ctx.telegram.editMessageText(
+          chatId,
+          messageId,
+          null,
+          this.formatSimulationResult(apiResponse, simulation.direction),
+          { parse_mode: DEFAULT_PARSE_MODE }
+        );
+
+        // Remember the result message so trade status updates can edit it later; for clicks in
+        // groups and channels it is in the clicker's private chat, not the chat of the signal
+        await this.simulations.updateFields(simulation._id, { resultChatId: chatId, resultMessageId: messageId });
       } catch (error) {
-        console.error('Error handling simulate trade callback:', error);
+        console.error('Error handling simulation confirmation:', error);
+
+        // Clear the progress interval on error
+        clearInterval(progressInterval);
+
+        const errorMessage = this.formatSimulationError(error);
+
+        // Try to edit the processing message with error, fallback to reply if edit fails
+        try {
+          await ctx.telegram.editMessageText(chatId, messageId, null, errorMessage);
+        } catch (editError) {
+          console.log('Could not edit processing message, sending new reply');
+          await ctx.reply(errorMessage);
+        }
+      }
+    } catch (error) {
+      console.error('Error handling simulation confirmation:', error);
+
+      // Try to answer callback query, but don't fail if it's expired
+      try {
+        await ctx.answerCbQuery('❌ Error processing simulation request');
+      } catch (cbError) {
+        console.log('Callback query already expired, skipping answerCbQuery');
+      }
+    }
+  }
+
+  /**
+   * Format the message shown while the trading engine processes a simulation
+   * @param {string} icon - Leading icon, changed by the progress updates
+   * @param {string} note - Closing note
+   * @returns {string} Message text for DEFAULT_PARSE_MODE
+   */
+  formatProcessing(icon, note) {
+    return renderMessage([
+      [`${icon} `, bold('Processing Trade Simulation...')],
+      '',
+      '🔄 Connecting to trading engine...',
+      '📊 Analyzing signal data...',
+      '⚡ Executing simulation...',
+      '',
+      italic(note)
+    ]);
+  }
+
+  /**
+   * Handle the Cancel button of a confirmation screen
+   * @param {object} ctx - Telegraf callback query context
+   */
+  async handleCancelCallback(ctx) {
+    const pending = await this.findPendingSimulation(ctx);
+    if (!pending) {
+      return;
+    }
+
+    try {
+      const cancelled = await this.simulations.transitionStatus(pending._id, 'pending_confirmation', 'cancelled');
+      if (!cancelled) {
+        await ctx.answerCbQuery('ℹ️ This simulation was already confirmed or cancelled');
+        return;
+      }
+
+      await ctx.answerCbQuery('Simulation cancelled');
+      await ctx.editMessageText('✖️ Simulation cancelled. Tap the Simulate button on the signal to start again.');
+    } catch (error) {
+      console.error('Error cancelling simulation:', error);
+    }
+  }
+
+  /**
+   * Load the simulation behind a Confirm/Cancel button, answering the callback if it cannot be used
+   * @param {object} ctx - Telegraf callback query context
+   * @returns {Promise<object|null>} The pending simulation, or null if the click was answered here
+   */
+  async findPendingSimulation(ctx) {
+    try {
+      const simulation = await this.simulations.getById(ctx.match[1]);
+
+      // Only the user who asked for the simulation may confirm or cancel it
+      if (!simulation || simulation.userId !== ctx.from.id) {
+        await ctx.answerCbQuery('⚠️ This simulation is not available');
+        return null;
+      }
+      if (simulation.status !== 'pending_confirmation') {
+        await ctx.answerCbQuery('ℹ️ This simulation was already confirmed or cancelled');
+        return null;
+      }
+
+      return simulation;
+    } catch (error) {
+      console.error('Error loading simulation for confirmation:', error);
+      try {
+        await ctx.answerCbQuery('❌ Error processing simulation request');
+      } catch (cbError) {
+        console.log('Callback query already expired, skipping answerCbQuery');
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Format the reply for a trading engine response
+   * @param {object} apiResponse - Signal processing API response
+   * @param {'buy'|'sell'} direction - Trade direction
+   * @returns {string} Reply text for DEFAULT_PARSE_MODE
+   */
+  formatSimulationResult(apiResponse, direction) {
+    const tradingPair = apiResponse?.result?.tradingPair;
+
+    if (apiResponse && apiResponse.status === 'success') {
+      return renderMessage([
+        bold('✅ Trade Simulation Successful!'),
+        '',
+        field('🔹', 'Signal ID', code(apiResponse.signalId)),
+        field('🔹', 'Direction', direction === 'sell' ? 'Short' : 'Long'),
+        field('🔹', 'Network', tradingPair?.networkKey || 'N/A'),
+        field('🔹', 'Safe Address', code(tradingPair?.safeAddress || 'N/A')),
+        field('🔹', 'Trade ID', code(tradingPair?.tradeId || 'N/A')),
+        field('🔹', 'Status', tradingPair?.status || 'N/A'),
+        '',
+        '🚀 Your trade simulation has been processed successfully!'
+      ]);
+    }
+
+    if (apiResponse && apiResponse.status === 'failed') {
+      return renderMessage([
+        bold('❌ Trade Simulation Failed'),
+        '',
+        field('🔹', 'Signal ID', code(apiResponse.signalId)),
+        field('🔹', 'Network', tradingPair?.networkKey || 'N/A'),
+        field('🔹', 'Error', code(apiResponse.result?.error || tradingPair?.error || 'Unknown error')),
+        '',
+        'Please try again or contact support if the issue persists.'
+      ]);
+    }
+
+    // Fallback for unexpected response format
+    return renderMessage(['✅ Trade simulation has been initiated for this signal. You will receive updates shortly.']);
+  }
+
+  /**
+   * Format the plain-text reply for an error raised while simulating
+   * @param {Error} error - The error
+   * @returns {string} Reply text
+   */
+  formatSimulationError(error) {
+    if (error instanceof SignalParseError) {
+      return '⚠️ This signal could not be simulated because it is incomplete or inconsistent:\n\n' +
+        error.errors.map((e) => `• ${e.field} ${e.message}`).join('\n');
+    }
+    if (error instanceof GuardrailError) {
+      return `⛔ ${error.message}`;
+    }
+    if (error instanceof EngineUnavailableError && error.outcomeUnknown) {
+      return '⏳ The trading engine did not answer in time, so the outcome of this simulation is pending. ' +
+        'It will not be sent again, since the engine may already have opened the trade.';
+    }
+    if (error instanceof EngineUnavailableError) {
+      return '🔌 The trading engine is currently unavailable. Please try again in a few minutes.';
+    }
+    return '❌ Sorry, there was an error processing your trade simulation. Please try again later.';
+  }
 
-        // Try to answer callback query, but don't fail if it's expired
-        try {
-          await ctx.answerCbQuery('❌ Error processing simulation request');
-        } catch (cbError) {
-          console.log('Callback query already expired, skipping answerCbQuery');
-        }
+  /**
+   * Answer a repeat click with the simulation that already exists for it
+   * @param {object} ctx - Telegraf callback query context
+   * @param {object} simulation - Existing trade_simulations record
+   * @param {object} clicker - Linked user record of the clicker
+   */
+  async replyWithExistingSimulation(ctx, simulation, clicker) {
+    console.log(`Duplicate simulate click for simulation ${simulation._id} (${simulation.status})`);
 
-        await ctx.reply('❌ Sorry, there was an error processing your trade simulation. Please try again later.');
-      }
-    });
+    if (simulation.status === 'processing') {
+      await ctx.answerCbQuery('⏳ This simulation is already being processed');
+      return;
+    }
+    if (simulation.status === 'pending_confirmation') {
+      await ctx.answerCbQuery(ctx.chat?.type === 'private'
+        ? 'ℹ️ Confirm or cancel the simulation above'
+        : 'ℹ️ Confirm or cancel the simulation in your private chat with the bot');
+      return;
+    }
+    if (simulation.status === 'unconfirmed') {
+      await ctx.answerCbQuery('⏳ The trading engine has not confirmed this simulation yet; it will not be sent again');
+      return;
+    }
 
-    // Handle unknown callback queries
-    this.bot.action(/.*/, (ctx) => {
-      ctx.answerCbQuery('Unknown action');
+    await ctx.answerCbQuery('ℹ️ You already simulated this signal');
+    await this.replyToClicker(ctx, clicker, this.formatSimulationResult(simulation.apiResponse, simulation.direction), {
+      parse_mode: DEFAULT_PARSE_MODE
     });
   }
 
   /**
    * Parse trading signal data from message text
    * @param {string} message - The message text containing trading signal
-   * @returns {object} Parsed trading data
+   * @returns {import('../utils/signalParser.js').ParsedSignal} Parsed trading data with field-level errors
    */
   parseSignalMessage(message) {
-    const parsePrice = (priceStr) => {
-      if (!priceStr) return null;
-      const match = priceStr.match(/\$?(\d+\.?\d*)/);
-      return match ? parseFloat(match[1]) : null;
-    };
-
-    // Extract token (uppercase token before parentheses)
-    const tokenMatch = message.match(/🏛️ Token:\s*([A-Z]+)\s*\(/);
-    const token = tokenMatch ? tokenMatch[1] : null;
-
-    // Extract TP1
-    const tp1Match = message.match(/TP1:\s*\$?(\d+\.?\d*)/);
-    const tp1 = tp1Match ? parseFloat(tp1Match[1]) : null;
-
-    // Extract TP2
-    const tp2Match = message.match(/TP2:\s*\$?(\d+\.?\d*)/);
-    const tp2 = tp2Match ? parseFloat(tp2Match[1]) : null;
-
-    // Extract Stop Loss
-    const slMatch = message.match(/🛑 Stop Loss:\s*\$?(\d+\.?\d*)/);
-    const sl = slMatch ? parseFloat(slMatch[1]) : null;
+    return parseSignal(message);
+  }
 
-    // Extract Entry Price
-    const entryMatch = message.match(/💰 Entry Price:\s*\$?(\d+\.?\d*)/);
-    const entryPrice = entryMatch ? parseFloat(entryMatch[1]) : null;
+  /**
+   * Load the trading fields of a stored signal in the same shape parseSignalMessage returns
+   * @param {string} signalId - Id of the signal document
+   * @returns {Promise<object>} Signal data
+   */
+  async loadStoredSignal(signalId) {
+    const signal = await this.signalService.getSignalById(signalId);
+    if (!signal) {
+      throw new Error(`Signal not found: ${signalId}`);
+    }
 
+    const { token, tokenName, direction, entryPrice, tp1, tp2, sl, timeline, tradeTip, createdAt } = signal;
     return {
       token,
+      tokenName,
+      direction,
+      entryPrice,
       tp1,
-      tp2,
+      tp2: tp2 ?? null,
       sl,
-      entryPrice
+      timeline,
+      tradeTip,
+      format: 'stored',
+      createdAt,
+      errors: [],
+      isValid: true
     };
   }
 
   /**
    * Fetch user data and safe address from databases
-   * @param {string} telegramUsername - The telegram username
-   * @returns {Promise<object>} Object containing twitterId and safeAddress
+   * @param {object|string} telegramUser - Telegram user (id, username), or a username for older callers
+   * @returns {Promise<object>} Object containing twitterId, every Safe (safes), the preferred network, the user record,
+   *   and the selected safeAddress and networkKey (null when the user has to pick between several Safes)
    */
-  async fetchUserData(telegramUsername) {
+  async fetchUserData(telegramUser) {
     try {
       const client = await dbConnect();
 
-      // First, find user in ctxbt-signal-flow database
-      const ctxbtDb = client.db("ctxbt-signal-flow");
-      const usersCollection = ctxbtDb.collection("users");
-
-      const user = await usersCollection.findOne({ telegramId: telegramUsername });
+      // First, find the linked user by numeric Telegram id (falls back to username for older links)
+      const user = typeof telegramUser === 'string'
+        ? await this.users.findByRecipient(telegramUser)
+        : await this.users.findByTelegramUser(telegramUser);
       if (!user || !user.twitterId) {
-        throw new Error(`User not found or twitterId not available for telegram username: ${telegramUsername}`);
+        const label = typeof telegramUser === 'string' ? telegramUser : telegramUser.username || telegramUser.id;
+        throw new Error(`User not found or twitterId not available for telegram user: ${label}`);
       }
 
       const twitterId = user.twitterId;
@@ -268,15 +1476,27 @@ class TelegramService {
       console.log("twitterId", twitterId);
       const safe = await safesCollection.findOne({ "userInfo.userId": twitterId });
       console.log("safe", safe);
-      if (!safe || !safe.deployments?.arbitrum?.address) {
-        throw new Error(`Safe not found or arbitrum address not available for twitterId: ${twitterId}`);
+      // A user may have deployed a Safe on several networks
+      const safes = Object.entries(safe?.deployments || {})
+        .filter(([, deployment]) => deployment?.address)
+        .map(([networkKey, deployment]) => ({ networkKey, address: deployment.address }));
+      if (safes.length === 0) {
+        throw new Error(`Safe not found or no deployment address available for twitterId: ${twitterId}`);
       }
 
-      const safeAddress = safe.deployments.arbitrum.address;
+      // Use the only Safe, or the user's preferred network; otherwise the user has to pick one
+      const preferredNetwork = this.preferences.getTradeDefaults(user).networkKey;
+      const selected = safes.length === 1
+        ? safes[0]
+        : safes.find((s) => s.networkKey === preferredNetwork) || null;
 
       return {
         username: twitterId,
-        safeAddress
+        safeAddress: selected ? selected.address : null,
+        networkKey: selected ? selected.networkKey : null,
+        safes,
+        preferredNetwork,
+        user
       };
 
     } catch (error) {
@@ -290,42 +1510,42 @@ class TelegramService {
    * @param {object} signalData - Parsed signal data
    * @param {string} username - Twitter ID
    * @param {string} safeAddress - Safe address
+   * @param {object} [tradeParams] - Exit window and position size
+   * @param {number} [tradeParams.exitWindowHours] - Hours until the trade is closed; derived from the timeline if missing
+   * @param {{ type: 'amount'|'percent', value: number }|null} [tradeParams.positionSize] - Position size, engine default if null
+   * @param {string|null} [networkKey] - Network of the Safe
    * @returns {Promise<object>} API response
    */
-  async simulateTrade(signalData, username, safeAddress) {
+  async simulateTrade(signalData, username, safeAddress, tradeParams = {}, networkKey = null) {
     try {
-      // Calculate current price as average of TP1 and SL if available
-      const currentPrice = signalData.entryPrice ||
-        (signalData.tp1 && signalData.sl ? (signalData.tp1 + signalData.sl) / 2 : null);
-
-      // Calculate max exit time as next day from current date
-      const maxExitTime = new Date();
-      maxExitTime.setDate(maxExitTime.getDate() + 1);
+      // The trade is closed at the end of the exit window, counted from now
+      const exitWindowHours = tradeParams.exitWindowHours ?? exitWindowFromTimeline(signalData.timeline);
+      const maxExitTime = new Date(Date.now() + exitWindowHours * 60 * 60 * 1000);
 
       const apiBody = {
-        "Signal Message": "buy",
+        "Signal Message": signalData.direction,
         "Token Mentioned": signalData.token,
         "TP1": signalData.tp1,
         "TP2": signalData.tp2,
         "SL": signalData.sl,
-        "Current Price": currentPrice,
+        "Current Price": signalData.entryPrice,
         "Max Exit Time": { "$date": maxExitTime },
         "username": username,
-        "safeAddress": safeAddress
+        "safeAddress": safeAddress,
+        "networkKey": networkKey
       };
 
-      console.log('Calling signal processing API with body:', apiBody);
+      if (tradeParams.positionSize) {
+        apiBody["Position Size"] = tradeParams.positionSize.value;
+        apiBody["Position Size Type"] = tradeParams.positionSize.type;
+      }
 
-      const response = await axios.post('https://safetrading.maxxit.ai/api/signal/process', apiBody, {
-        // const response = await axios.post('http://localhost:3006/api/signal/process', apiBody, {
-        headers: {
-          'Content-Type': 'application/json'
-        }
-      });
+      console.log('Calling signal processing API with body:', apiBody);
 
+      const response = await this.engine.processSignal(apiBody);
 
-      console.log('Signal processing API response:', response.data);
-      return response.data;
+      console.log('Signal processing API response:', response);
+      return response;
 
     } catch (error) {
       console.error('Error calling signal processing API:', error);
@@ -334,95 +1554,387 @@ class TelegramService {
   }
 
   /**
-   * Handle simulate trade request with comprehensive user and action data
+   * Simulate a signal as soon as it is delivered to a user with auto-simulate on, then reply to the
+   * signal with the result. Runs the same flow as a Simulate button click.
+   * @param {object} recipient - User record of the recipient
+   * @param {object} sentMessage - Telegram message the signal was delivered as
+   * @param {object} signal - Signal reference
+   * @param {string|null} signal.signalId - Stored signal, if any
+   * @param {'buy'|'sell'} signal.direction - Signal direction
    */
-  async handleSimulateTradeRequest(userData) {
+  async autoSimulateSignal(recipient, sentMessage, { signalId, direction }) {
+    // Simulations are keyed on the Telegram user id; records without one would all share a key
+    if (recipient.telegramUserId == null) {
+      console.log(`Not auto-simulating for ${recipient.telegramId}: no Telegram user id on record`);
+      return;
+    }
+
+    const usageDay = await this.preferences.reserveAutoSimulation(recipient);
+    if (!usageDay) {
+      console.log(`Daily auto-simulation limit reached for ${recipient.telegramId || recipient.telegramUserId}`);
+      return;
+    }
+    const releaseUsage = () => this.preferences.releaseAutoSimulation(recipient, usageDay).catch((error) => {
+      console.error(`Error releasing the auto-simulation of ${recipient.telegramId || recipient.telegramUserId}:`, error);
+    });
+
+    const userData = {
+      userId: recipient.telegramUserId,
+      username: recipient.telegramId,
+      chatId: sentMessage.chat.id,
+      chatType: sentMessage.chat.type,
+      chatUsername: sentMessage.chat.username,
+      messageId: sentMessage.message_id,
+      messageText: sentMessage.text ?? sentMessage.caption,
+      messageDate: sentMessage.date,
+      callbackQueryId: null,
+      callbackData: null,
+      callbackQueryFrom: null,
+      signalId,
+      direction,
+      autoTriggered: true,
+      chatInstance: null,
+      callbackTimestamp: new Date(),
+      messageTimestamp: new Date(sentMessage.date * 1000)
+    };
+
+    let claim;
     try {
-      const client = await dbConnect();
-      const db = client.db("ctxbt-signal-flow");
-      const simulationCollection = db.collection("trade_simulations");
+      claim = await this.claimSimulation(userData);
+    } catch (error) {
+      await releaseUsage();
+      throw error;
+    }
+    const { simulation, isNew } = claim;
+    if (!isNew) {
+      await releaseUsage();
+      return;
+    }
 
-      // Create simulation record based on simplified userData structure
-      const simulationRecord = {
-        // Basic simulation info
-        status: 'initiated',
-        timestamp: new Date(),
+    let text;
+    let extra = { reply_to_message_id: sentMessage.message_id, allow_sending_without_reply: true };
+    try {
+      const apiResponse = await this.handleSimulateTradeRequest(userData, simulation._id);
+      text = `${renderMessage([bold('🤖 Auto-simulation'), ''])}\n${this.formatSimulationResult(apiResponse, direction)}`;
+      extra = { ...extra, parse_mode: DEFAULT_PARSE_MODE };
+    } catch (error) {
+      console.error('Error auto-simulating signal:', error);
+      text = `🤖 Auto-simulation\n\n${this.formatSimulationError(error)}`;
+      // Only simulations that ran count towards the cap; one the engine may have executed still does
+      if (!(error instanceof EngineUnavailableError && error.outcomeUnknown)) {
+        await releaseUsage();
+      }
+    }
 
-        // User identification
-        username: userData.username,
+    const resultMessage = await this.withRetry(() => this.bot.telegram.sendMessage(sentMessage.chat.id, text, extra));
+    await this.simulations.updateFields(simulation._id, {
+      resultChatId: resultMessage.chat.id,
+      resultMessageId: resultMessage.message_id
+    });
+  }
 
-        // Chat information
-        chatId: userData.chatId,
-        chatType: userData.chatType,
-        chatUsername: userData.chatUsername,
+  /**
+   * Create the trade_simulations record for a click, or find the existing one for a repeat click
+   * @param {object} userData - Comprehensive user and action data from the callback
+   * @param {string} [status] - Initial status: processing, or pending_confirmation for button clicks
+   * @returns {Promise<{ simulation: object, isNew: boolean }>} The record and whether it was just created
+   */
+  async claimSimulation(userData, status = 'processing') {
+    // Create simulation record based on simplified userData structure
+    const simulationRecord = {
+      // Basic simulation info
+      direction: userData.direction,
+      dedupeKey: this.simulations.getDedupeKey(userData),
+
+      // User identification
+      userId: userData.userId,
+      username: userData.username,
+
+      // Chat information
+      chatId: userData.chatId,
+      chatType: userData.chatType,
+      chatUsername: userData.chatUsername,
+
+      // Message information
+      messageId: userData.messageId,
+      messageText: userData.messageText,
+      messageDate: userData.messageDate,
+
+      // Callback query information
+      callbackQueryId: userData.callbackQueryId,
+      callbackData: userData.callbackData,
+      callbackQueryFrom: userData.callbackQueryFrom,
+      signalId: userData.signalId,
+
+      // Simulated on delivery for a user with auto-simulate on, rather than by a button click
+      autoTriggered: Boolean(userData.autoTriggered),
+
+      // Additional context
+      chatInstance: userData.chatInstance,
+
+      // Timestamps
+      callbackTimestamp: userData.callbackTimestamp,
+      messageTimestamp: userData.messageTimestamp
+    };
 
-        // Message information
-        messageId: userData.messageId,
-        messageText: userData.messageText,
-        messageDate: userData.messageDate,
+    return this.simulations.claimSimulation(simulationRecord, status);
+  }
 
-        // Callback query information
-        callbackQueryId: userData.callbackQueryId,
-        callbackData: userData.callbackData,
-        callbackQueryFrom: userData.callbackQueryFrom,
+  /**
+   * Load and check everything a simulation needs before it is offered to the user: the signal must be
+   * complete, its levels in order and not too old, the user under the daily limit and their Safe found.
+   * @param {object} userData - Comprehensive user and action data from the callback
+   * @returns {Promise<object>} signalData, signalTimestamp, twitterId, safeAddress, networkKey, safes, preferredNetwork and tradeParams
+   */
+  async prepareSimulation(userData) {
+    // Use the stored signal when the button references one, otherwise parse the message text
+    const signalData = userData.signalId
+      ? await this.loadStoredSignal(userData.signalId)
+      : this.parseSignalMessage(userData.messageText);
+
+    // Never send an incomplete or inconsistent signal to the trading engine
+    const signalErrors = [...signalData.errors];
+    if (signalData.direction && userData.direction && signalData.direction !== userData.direction) {
+      signalErrors.push({ field: 'direction', message: `is ${signalData.direction} but a ${userData.direction} simulation was requested` });
+    }
+    if (signalData.isValid) {
+      signalErrors.push(...validateSignalLevels(signalData));
+    }
+    if (signalErrors.length > 0) {
+      throw new SignalParseError(signalErrors);
+    }
 
-        // Additional context
-        chatInstance: userData.chatInstance,
+    // Stored signals are as old as the signal itself; older messages as old as the message
+    const signalTimestamp = signalData.createdAt || userData.messageTimestamp;
+    checkSignalAge(signalTimestamp);
 
-        // Timestamps
-        callbackTimestamp: userData.callbackTimestamp,
-        messageTimestamp: userData.messageTimestamp
-      };
+    await this.checkDailyLimit({ id: userData.userId, username: userData.username });
 
-      // Parse signal message to extract trading data
-      const signalData = this.parseSignalMessage(userData.messageText);
-      console.log('Parsed signal data:', signalData);
+    // Fetch user data and safe address
+    const userDataResult = await this.fetchUserData({ id: userData.userId, username: userData.username });
 
-      // Fetch user data and safe address
-      const userDataResult = await this.fetchUserData(userData.username);
-      console.log('Fetched user data:', userDataResult);
+    // The exit window follows the signal timeline unless the user picked their own
+    const defaults = this.preferences.getTradeDefaults(userDataResult.user);
+    const tradeParams = {
+      exitWindowHours: defaults.exitWindowHours ?? exitWindowFromTimeline(signalData.timeline),
+      exitWindowSource: defaults.exitWindowHours ? 'user' : 'timeline',
+      positionSize: defaults.positionSize
+    };
 
-      // Simulate trade by calling the API
-      const apiResponse = await this.simulateTrade(signalData, userDataResult.username, userDataResult.safeAddress);
+    return {
+      signalData,
+      signalTimestamp,
+      twitterId: userDataResult.username,
+      safeAddress: userDataResult.safeAddress,
+      networkKey: userDataResult.networkKey,
+      safes: userDataResult.safes,
+      preferredNetwork: userDataResult.preferredNetwork,
+      tradeParams
+    };
+  }
+
+  /**
+   * Refuse a simulation early, before the confirmation screen, once the user reached DAILY_SIMULATION_LIMIT for
+   * the current UTC day. Reads the same counter reserveDailySimulation takes its slot from.
+   * @param {object} from - Telegram user (id, username)
+   * @throws {GuardrailError} If the limit is reached
+   */
+  async checkDailyLimit(from) {
+    const count = await this.simulations.countDailySlots(from);
+    if (count >= DAILY_SIMULATION_LIMIT) {
+      throw this.dailyLimitError();
+    }
+  }
+
+  /**
+   * Take one of the user's DAILY_SIMULATION_LIMIT simulations for the current UTC day, right before the
+   * simulation is sent to the engine. Unlike checkDailyLimit this cannot be raced by simultaneous confirmations.
+   * @param {object} from - Telegram user (id, username)
+   * @returns {Promise<string>} Counter key, stored on the simulation as dailySlot
+   * @throws {GuardrailError} If the limit is reached
+   */
+  async reserveDailySimulation(from) {
+    const dailySlot = await this.simulations.reserveDailySlot(from, DAILY_SIMULATION_LIMIT);
+    if (!dailySlot) {
+      throw this.dailyLimitError();
+    }
+    return dailySlot;
+  }
 
-      // Add API response to simulation record
-      simulationRecord.apiResponse = apiResponse;
-      simulationRecord.signalData = signalData;
-      simulationRecord.twitterId = userDataResult.username;
-      simulationRecord.safeAddress = userDataResult.safeAddress;
+  /**
+   * Build the refusal for a user who reached DAILY_SIMULATION_LIMIT
+   * @returns {GuardrailError} The error
+   */
+  dailyLimitError() {
+    return new GuardrailError(
+      'daily_limit',
+      `You have reached the limit of ${DAILY_SIMULATION_LIMIT} simulations per day. The limit resets at 00:00 UTC.`
+    );
+  }
 
-      console.log('Simulation record:', simulationRecord);
-      await simulationCollection.insertOne(simulationRecord);
-      console.log('Simulation request stored with ID:', simulationRecord._id);
+  /**
+   * Send a prepared simulation to the trading engine and record the outcome.
+   * Moves the simulation record from processing to success, failed or error.
+   * @param {object} simulation - trade_simulations record with the fields from prepareSimulation
+   * @returns {Promise<object>} Signal processing API response
+   */
+  async executeSimulation(simulation) {
+    try {
+      // Simulate trade by calling the API
+      const apiResponse = await this.simulateTrade(
+        simulation.signalData,
+        simulation.twitterId,
+        simulation.safeAddress,
+        simulation.tradeParams,
+        simulation.networkKey
+      );
+
+      if (apiResponse && apiResponse.status === 'failed') {
+        await this.simulations.updateStatus(simulation._id, 'failed', {
+          apiResponse,
+          engineError: apiResponse.result?.error || apiResponse.result?.tradingPair?.error || 'Unknown error'
+        });
+      } else {
+        await this.simulations.updateStatus(simulation._id, 'success', {
+          apiResponse,
+          tradeId: apiResponse?.result?.tradingPair?.tradeId || null
+        });
+      }
+      console.log('Simulation request completed with ID:', simulation._id);
 
       // Return the API response for the callback handler to use
       return apiResponse;
 
     } catch (error) {
-      console.error('Error storing comprehensive simulation request:', error);
+      // The engine may have opened the trade: keep the record out of reach of retries and keep its daily slot
+      if (error instanceof EngineUnavailableError && error.outcomeUnknown) {
+        await this.recordSimulationError(simulation._id, error, 'unconfirmed');
+        throw error;
+      }
+
+      await this.recordSimulationError(simulation._id, error);
+      // Simulations that end in error do not count towards the daily limit
+      if (simulation.dailySlot) {
+        await this.simulations.releaseDailySlot(simulation.dailySlot).catch((releaseError) => {
+          console.error('Error releasing daily simulation slot:', releaseError);
+        });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Move a simulation to error, keeping what went wrong
+   * @param {import('mongodb').ObjectId} simulationId - Simulation id
+   * @param {Error} error - The error
+   * @param {'error'|'unconfirmed'} [status] - unconfirmed when the engine may have executed the trade anyway
+   */
+  async recordSimulationError(simulationId, error, status = 'error') {
+    try {
+      await this.simulations.updateStatus(simulationId, status, {
+        error: {
+          name: error.name,
+          message: error.message,
+          fields: error.errors,
+          reason: error.reason,
+          engineResponse: error.response?.data
+        }
+      });
+    } catch (updateError) {
+      console.error('Error recording simulation failure:', updateError);
+    }
+  }
+
+  /**
+   * Run a simulation without a confirmation step (auto-simulate): prepare it, then send it to the engine
+   * @param {object} userData - Comprehensive user and action data
+   * @param {import('mongodb').ObjectId} simulationId - Record created by claimSimulation
+   * @returns {Promise<object>} Signal processing API response
+   */
+  async handleSimulateTradeRequest(userData, simulationId) {
+    let prepared;
+    try {
+      prepared = await this.prepareSimulation(userData);
+      if (!prepared.networkKey) {
+        throw new GuardrailError(
+          'network_required',
+          'You have Safes on several networks. Tap Simulate on a signal and save a preferred network to use auto-simulate.'
+        );
+      }
+      prepared.dailySlot = await this.reserveDailySimulation({ id: userData.userId, username: userData.username });
+      await this.simulations.updateFields(simulationId, prepared);
+    } catch (error) {
+      console.error('Error preparing simulation request:', error);
+      await this.recordSimulationError(simulationId, error);
       throw error;
     }
+
+    return this.executeSimulation({ _id: simulationId, ...prepared });
   }
 
   /**
-   * Find chat ID for a given username from the database
-   * @param {string} username - Telegram username to find
+   * Find chat ID for a given recipient from the database
+   * @param {string} username - Telegram username, or numeric Telegram user id
    * @returns {Promise<string|null>} The chat ID if found
    */
   async findChatIdByUsername(username) {
+    const user = await this.findRecipient(username);
+    return user.chatId;
+  }
+
+  /**
+   * Find the registered group or channel a message is addressed to
+   * @param {string} chatId - Negative Telegram chat id
+   * @returns {Promise<object>} The registered chat
+   */
+  async findRegisteredChat(chatId) {
+    const chat = await this.chats.findActive(chatId);
+    if (!chat) {
+      throw new Error(`Chat ${chatId} is not registered for signal delivery.`);
+    }
+    return chat;
+  }
+
+  /**
+   * Register a group or channel the bot is a member of for signal delivery
+   * @param {number|string} chatId - Telegram chat id
+   * @returns {Promise<object>} The registered chat
+   * @throws {TelegramApiError} If the bot cannot access the chat
+   * @throws {Error} If the chat is not a group or channel
+   */
+  async registerChat(chatId) {
+    let chat;
     try {
-      const client = await dbConnect();
-      const db = client.db("ctxbt-signal-flow");
-      const usersCollection = db.collection("users");
+      chat = await this.bot.telegram.getChat(chatId);
+    } catch (error) {
+      throw toTelegramApiError(error);
+    }
+
+    if (!PUBLISHABLE_CHAT_TYPES.includes(chat.type)) {
+      throw new Error(`Only ${PUBLISHABLE_CHAT_TYPES.join(', ')} chats can be registered; users are reached through their linked account`);
+    }
+
+    return this.chats.register(chat);
+  }
 
-      // Find user by telegram username
-      const user = await usersCollection.findOne({ telegramId: username });
+  /**
+   * Find the linked user a message is addressed to
+   * @param {string} username - Telegram username, or numeric Telegram user id
+   * @returns {Promise<object>} The user record, which always has a chat ID
+   */
+  async findRecipient(username) {
+    try {
+      const user = await this.users.findByRecipient(username);
 
       if (!user || !user.chatId) {
         throw new Error('User not found or chat ID not available in database.');
       }
 
-      return user.chatId;
+      if (user.botBlocked) {
+        throw new TelegramApiError({ code: 403, description: 'Forbidden: user has blocked the bot' });
+      }
+
+      return user;
     } catch (error) {
       console.error('Error finding chat ID:', error);
       throw error;
@@ -435,71 +1947,341 @@ class TelegramService {
    * @returns {boolean} True if bullish signal detected
    */
   isBullishSignal(message) {
-    return message.includes('🚀 **Bullish Alert** 🚀') || message.includes('📈 **Signal**: Buy');
+    return new RegExp(`🚀 ${signalLabelPattern('Bullish Alert')} 🚀`).test(message) ||
+      new RegExp(`📈 ${signalLabelPattern('Signal')}: Buy`).test(message);
+  }
+
+  /**
+   * Check if message contains bearish (sell/short) signal
+   * @param {string} message - The message to check
+   * @returns {boolean} True if bearish signal detected
+   */
+  isBearishSignal(message) {
+    return new RegExp(signalLabelPattern('Bearish Alert')).test(message) ||
+      new RegExp(`${signalLabelPattern('Signal')}:\\s*(Sell|Short)\\b`, 'i').test(message);
   }
 
   /**
    * Sends a message to a Telegram user with optional inline keyboard
-   * @param {string} username - The Telegram username
+   * @param {string} username - The Telegram username, numeric user id, or the negative chat id of a registered group or channel
    * @param {string} message - The message content to send
-   * @returns {Promise} Response from Telegram API (maintains backward compatibility)
+   * @param {object} [options] - Send options
+   * @param {string} [options.signalId] - Stored signal the simulate button should reference
+   * @param {'buy'|'sell'} [options.direction] - Direction of the stored signal
+   * @param {string} [options.token] - Token of the stored signal, used for the recipient's token filters
+   * @param {boolean} [options.ignoreQuietHours] - Deliver even during the recipient's quiet hours
+   * @param {string} [options.parseMode] - Markdown (default), MarkdownV2 or HTML
+   * @param {{ type: 'photo'|'document', url: string }} [options.media] - Chart image or document to send with the
+   *   message as its caption
+   * @param {Function} [options.onRetry] - Called with every error that will be retried and the delay in ms before
+   *   the next attempt, e.g. to extend a claim on the message
+   * @returns {Promise} Response from Telegram API (maintains backward compatibility). Signals held back by the
+   *   recipient's notification settings resolve to { ok: true, result: null } with skipped (reason) or deferredUntil set.
+   *   Stored signals are sent as currently stored, so edits made while a send was queued or deferred apply, and
+   *   retracted or expired signals are skipped.
    */
-  async sendMessage(username, message) {
+  async sendMessage(username, message, options = {}) {
+    // Remove @ if present
+    const cleanUsername = username.replace('@', '');
+    let logId = null;
+
+    // Negative ids are registered groups and channels, which have no notification settings or Safe
+    const isChat = this.chats.isChatRecipient(cleanUsername);
+
+    // Text from API callers is legacy Markdown unless they say otherwise
+    let parseMode = options.parseMode || 'Markdown';
+
     try {
-      // Remove @ if present
-      const cleanUsername = username.replace('@', '');
+      const storedSignal = options.signalId ? await this.signalService.getSignalById(options.signalId) : null;
+      if (storedSignal) {
+        try {
+          checkSignalAvailable(storedSignal);
+        } catch (error) {
+          console.log(`Signal ${options.signalId} for ${cleanUsername} not sent: ${error.reason}`);
+          return { ok: true, result: null, skipped: error.reason };
+        }
+        message = storedSignal.message;
+        parseMode = storedSignal.parseMode || 'Markdown';
+      }
 
       // Find chat ID from database
-      const chatId = await this.findChatIdByUsername(cleanUsername);
-
-      // Check if this is a bullish signal
-      const isBullish = this.isBullishSignal(message);
-
-      if (isBullish) {
-        // Use Telegraf for messages with buttons (new functionality)
-        const keyboard = {
-          inline_keyboard: [
-            [{
-              text: '🚀 Simulate Trade',
-              callback_data: `simulate_trade_${Date.now()}_${cleanUsername}`
-            }]
-          ]
-        };
-
-        const response = await this.bot.telegram.sendMessage(chatId, message, {
-          parse_mode: 'Markdown',
-          reply_markup: keyboard
-        });
+      const recipient = isChat ? await this.findRegisteredChat(cleanUsername) : await this.findRecipient(cleanUsername);
+      const chatId = recipient.chatId;
+
+      // Check if this is a bullish or bearish signal
+      const isBullish = options.direction ? options.direction === 'buy' : this.isBullishSignal(message);
+      const isBearish = options.direction ? options.direction === 'sell' : !isBullish && this.isBearishSignal(message);
+
+      let keyboard = null;
+      let token = null;
+      if (isBullish || isBearish) {
+        token = options.token || parseSignal(message).token;
+
+        // Signals respect the recipient's notification settings; other messages always go out
+        const decision = isChat ? { action: 'send' } : this.preferences.evaluate(this.preferences.getSettings(recipient), {
+          direction: isBullish ? 'buy' : 'sell',
+          token
+        }, { ignoreQuietHours: options.ignoreQuietHours });
+
+        if (decision.action === 'skip') {
+          console.log(`Signal for ${cleanUsername} skipped by notification settings (${decision.reason})`);
+          return { ok: true, result: null, skipped: decision.reason };
+        }
+        if (decision.action === 'defer') {
+          await this.preferences.deferMessage({ recipient: cleanUsername, message, options, deliverAt: decision.deliverAt });
+          console.log(`Signal for ${cleanUsername} deferred until ${decision.deliverAt.toISOString()} (quiet hours)`);
+          return { ok: true, result: null, deferredUntil: decision.deliverAt };
+        }
 
-        // Convert Telegraf response to match axios response format for backward compatibility
-        return {
-          ok: true,
-          result: response,
-          description: 'Message sent successfully with inline keyboard'
-        };
-      } else {
-        // Use axios for regular messages (maintains backward compatibility)
-        const response = await axios.post(`${this.apiUrl}/sendMessage`, {
-          chat_id: chatId,
-          text: message,
-          parse_mode: 'Markdown'
+        // Stored signals are referenced by id so the simulate flow never re-parses the text. The button only
+        // works in this chat, until the signal expires (stored signals) or is too old to simulate (others)
+        keyboard = this.buildSimulateKeyboard({
+          direction: isBullish ? 'buy' : 'sell',
+          signalId: options.signalId || null,
+          chatId,
+          expiresAt: storedSignal
+            ? signalExpiresAt(storedSignal)
+            : new Date(Date.now() + MAX_SIGNAL_AGE_MINUTES * 60 * 1000)
         });
+      }
+
+      logId = await this.messageLog.logQueued({
+        username: cleanUsername,
+        chatId,
+        text: message,
+        signalId: options.signalId || null,
+        hasKeyboard: Boolean(keyboard)
+      });
 
-        if (!response.data.ok) {
-          throw new Error(`Telegram API Error: ${response.data.description}`);
+      const result = await this.deliver(chatId, message, {
+        parseMode,
+        keyboard,
+        media: options.media
+      }, async (error, delayMs) => {
+        await this.messageLog.logAttemptFailed(logId, error);
+        if (options.onRetry) {
+          await options.onRetry(error, delayMs);
         }
+      });
 
-        return response.data; // Return the original axios response format
+      // Same shape as the Bot API response, which callers have always received
+      const response = {
+        ok: true,
+        result,
+        description: keyboard ? 'Message sent successfully with inline keyboard' : 'Message sent successfully'
+      };
+
+      await this.messageLog.logSent(logId, response.result?.message_id);
+
+      // Users who opted in get the simulation result right after the signal; the send does not wait for it
+      if (keyboard && !isChat && this.preferences.shouldAutoSimulate(recipient, token)) {
+        this.autoSimulateSignal(recipient, response.result, {
+          signalId: options.signalId || null,
+          direction: isBullish ? 'buy' : 'sell'
+        }).catch((error) => {
+          console.error(`Error auto-simulating signal for ${cleanUsername}:`, error);
+        });
       }
+
+      return response;
     } catch (error) {
       console.error('Full error:', error);
-      if (error.response) {
-        throw new Error(`Telegram API Error: ${error.response.data.description}`);
+
+      // Any failure after the entry was logged closes it, so no entry stays queued
+      if (logId) {
+        await this.messageLog.logFailed(logId, error);
+      } else if (error instanceof TelegramApiError && error.isBlocked) {
+        await this.messageLog.logBlocked({ username: cleanUsername, text: message, signalId: options.signalId || null });
+      }
+
+      // Stop targeting users who blocked the bot, and chats the bot can no longer post in
+      if (error instanceof TelegramApiError && error.isBlocked && logId) {
+        if (isChat) {
+          await this.chats.deactivate(cleanUsername, 'removed');
+        } else {
+          await this.flagBlockedUser(cleanUsername);
+        }
       }
+
       throw error;
     }
   }
 
+  /**
+   * Build the Simulate button of a signal message, with callback_data signed for one chat
+   * @param {object} params - Button parameters
+   * @param {'buy'|'sell'} params.direction - Signal direction
+   * @param {string|null} params.signalId - Stored signal, if any
+   * @param {number} params.chatId - Chat the message is sent to
+   * @param {Date} params.expiresAt - When the button stops working
+   * @returns {object} Inline keyboard
+   */
+  buildSimulateKeyboard({ direction, signalId, chatId, expiresAt }) {
+    const callbackData = signCallbackData({ direction, signalId, chatId, expiresAt }, this.callbackSecret);
+    const button = direction === 'buy'
+      ? { text: '🚀 Simulate Trade', callback_data: callbackData }
+      : { text: '📉 Simulate Short', callback_data: callbackData };
+    return {
+      inline_keyboard: [[button]]
+    };
+  }
+
+  /**
+   * Edit one delivered message of a stored signal, e.g. after the signal was changed or retracted
+   * @param {object} recipient - Delivery of the signal (chatId, messageId, captioned)
+   * @param {string} text - New message text
+   * @param {object} params - Edit parameters
+   * @param {string} params.parseMode - Parse mode of the text
+   * @param {object|null} params.button - Simulate button to keep, re-signed for the recipient
+   *   ({ direction, signalId, expiresAt }), or null to remove it
+   * @returns {Promise<{status: 'edited'}>} Outcome of the edit
+   * @throws {TelegramApiError} If Telegram refused the edit
+   */
+  async editSignalMessage(recipient, text, { parseMode, button }) {
+    const extra = {
+      parse_mode: parseMode,
+      // An empty keyboard removes the button
+      reply_markup: button
+        ? this.buildSimulateKeyboard({ ...button, chatId: recipient.chatId })
+        : { inline_keyboard: [] }
+    };
+
+    try {
+      await this.withRetry(() => (recipient.captioned
+        ? this.bot.telegram.editMessageCaption(recipient.chatId, recipient.messageId, undefined, text, extra)
+        : this.bot.telegram.editMessageText(recipient.chatId, recipient.messageId, undefined, text, extra)));
+    } catch (error) {
+      // Telegram refuses edits that change nothing; the message already shows this text
+      if (!(error instanceof TelegramApiError && /message is not modified/i.test(error.description))) {
+        throw error;
+      }
+    }
+
+    return { status: 'edited' };
+  }
+
+  /**
+   * Send a message, split into several when it is longer than Telegram allows, or a photo or
+   * document with the message as its caption. Each part is retried on its own so a retry never
+   * repeats a part that was already delivered.
+   * @param {number|string} chatId - Chat to send to
+   * @param {string} text - Message text, already formatted for parseMode
+   * @param {object} params - Send parameters
+   * @param {string} params.parseMode - Markdown, MarkdownV2 or HTML
+   * @param {object|null} [params.keyboard] - Inline keyboard
+   * @param {{ type: 'photo'|'document', url: string }} [params.media] - Photo or document (URL or Telegram file_id)
+   * @param {Function} [onRetry] - Called with every error that will be retried and the delay before the next attempt
+   * @returns {Promise<object>} The message carrying the keyboard, or the first message sent
+   */
+  async deliver(chatId, text, { parseMode, keyboard = null, media = null }, onRetry) {
+    const withKeyboard = keyboard ? { reply_markup: keyboard } : {};
+
+    if (media) {
+      const send = media.type === 'document'
+        ? (extra) => this.bot.telegram.sendDocument(chatId, media.url, extra)
+        : (extra) => this.bot.telegram.sendPhoto(chatId, media.url, extra);
+
+      if (text.length <= CAPTION_LIMIT) {
+        return this.withRetry(() => send({ caption: text, parse_mode: parseMode, ...withKeyboard }), onRetry);
+      }
+
+      // Too long for a caption: the media goes first and the text follows with the button
+      await this.withRetry(() => send({}), onRetry);
+    }
+
+    // Text whose markup cannot be split safely is sent as plain text rather than rejected by Telegram
+    let chunks = splitMessage(text, MESSAGE_LIMIT, parseMode);
+    let chunkParseMode = parseMode;
+    if (!chunks) {
+      console.warn(`Message to chat ${chatId} is too long and its ${parseMode} markup cannot be split, sending it as plain text`);
+      chunks = splitMessage(text, MESSAGE_LIMIT);
+      chunkParseMode = undefined;
+    }
+
+    // The button goes on the first part, which carries the signal levels the simulation reads
+    let first = null;
+    for (const chunk of chunks) {
+      const sent = await this.withRetry(() => this.bot.telegram.sendMessage(chatId, chunk, {
+        parse_mode: chunkParseMode,
+        ...(first ? {} : withKeyboard)
+      }), onRetry);
+      first = first || sent;
+    }
+    return first;
+  }
+
+  /**
+   * Describe the outcome of sendMessage for delivery records
+   * @param {object} response - Value sendMessage resolved to
+   * @returns {object} Delivery fields (status sent, skipped or deferred)
+   */
+  toDelivery(response) {
+    if (response.skipped) {
+      return { status: 'skipped', reason: response.skipped };
+    }
+    if (response.deferredUntil) {
+      return { status: 'deferred', deliverAt: response.deferredUntil };
+    }
+    return {
+      status: 'sent',
+      chatId: response.result?.chat?.id,
+      messageId: response.result?.message_id,
+      // Signals sent as a media caption are edited with editMessageCaption
+      captioned: response.result?.caption !== undefined
+    };
+  }
+
+  /**
+   * Run a Telegram API call, retrying rate limits, server errors and connection errors raised before sending
+   * @param {Function} operation - Async function performing the API call
+   * @param {Function} [onRetry] - Called with the TelegramApiError of every attempt that will be retried and the
+   *   delay in ms before the next attempt
+   * @returns {Promise<*>} Result of the operation
+   */
+  async withRetry(operation, onRetry) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await operation();
+      } catch (apiError) {
+        const error = toTelegramApiError(apiError);
+        if (!(error instanceof TelegramApiError) || !error.isTransient || attempt >= MAX_SEND_ATTEMPTS) {
+          throw error;
+        }
+
+        // Honor Telegram's retry_after on 429, otherwise back off exponentially
+        const delayMs = error.retryAfter !== null
+          ? error.retryAfter * 1000
+          : RETRY_BASE_DELAY_MS * 2 ** (attempt - 1);
+        console.log(`Telegram API call failed (${error.description}), retry ${attempt} in ${delayMs}ms`);
+
+        if (onRetry) {
+          await onRetry(error, delayMs);
+        }
+        await new Promise((resolve) => setTimeout(resolve, delayMs));
+      }
+    }
+  }
+
+  /**
+   * Flag a user who blocked the bot so no further messages are sent to them
+   * @param {string} username - Telegram username
+   */
+  async flagBlockedUser(username) {
+    try {
+      const client = await dbConnect();
+      const db = client.db("ctxbt-signal-flow");
+      const usersCollection = db.collection("users");
+
+      await usersCollection.updateOne(
+        this.users.getRecipientQuery(username),
+        { $set: { botBlocked: true, botBlockedAt: new Date() } }
+      );
+      console.log(`User ${username} blocked the bot, flagged on user record`);
+    } catch (error) {
+      console.error('Error flagging blocked user:', error);
+    }
+  }
+
   /**
    * Get updates from the bot (maintains backward compatibility)
    */
@@ -514,11 +2296,54 @@ class TelegramService {
     }
   }
 
+  /**
+   * Check the X-Telegram-Bot-Api-Secret-Token header of a webhook request
+   * @param {string|undefined} token - Header value
+   * @returns {boolean} True if the token matches TELEGRAM_WEBHOOK_SECRET
+   */
+  isValidWebhookSecret(token) {
+    if (!this.webhookSecret || typeof token !== 'string') {
+      return false;
+    }
+
+    const expected = Buffer.from(this.webhookSecret);
+    const received = Buffer.from(token);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  /**
+   * Process an update delivered to the webhook route
+   * @param {object} update - Telegram update
+   */
+  async handleWebhookUpdate(update) {
+    try {
+      await this.bot.handleUpdate(update);
+    } catch (error) {
+      console.error('Error handling webhook update:', error);
+    }
+  }
+
+  /**
+   * Build the public webhook URL from TELEGRAM_WEBHOOK_URL and the webhook path
+   * @returns {string} Webhook URL
+   */
+  getWebhookUrl() {
+    return new URL(this.webhookPath, process.env.TELEGRAM_WEBHOOK_URL).toString();
+  }
+
   /**
    * Start the bot (call this after setting up handlers)
    */
   async startBot() {
     try {
+      if (this.deliveryMode === 'webhook') {
+        const webhookUrl = this.getWebhookUrl();
+        await this.bot.telegram.setWebhook(webhookUrl, { secret_token: this.webhookSecret });
+        console.log(`Telegram bot started in webhook mode at ${webhookUrl}`);
+        return;
+      }
+
+      // Polling mode removes any webhook before fetching updates
       await this.bot.launch();
       console.log('Telegram bot started successfully');
     } catch (error) {
@@ -532,6 +2357,15 @@ class TelegramService {
    */
   async stopBot() {
     try {
+      if (this.deliveryMode === 'webhook') {
+        // Other replicas may still be serving the webhook, so removing it is opt-in
+        if (process.env.TELEGRAM_WEBHOOK_DELETE_ON_SHUTDOWN === 'true') {
+          await this.bot.telegram.deleteWebhook();
+          console.log('Telegram webhook deleted');
+        }
+        return;
+      }
+
       await this.bot.stop('SIGTERM');
       console.log('Telegram bot stopped gracefully');
     } catch (error) {
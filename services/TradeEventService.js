@@ -0,0 +1,185 @@
+import crypto from 'crypto';
+import { renderMessage, bold, DEFAULT_PARSE_MODE } from '../utils/messageFormat.js';
+
+// Lifecycle events the trading engine reports for a trade
+const TRADE_EVENTS = {
+  opened: { label: '🟢 Trade opened', tradeStatus: 'open' },
+  tp1_hit: { label: '🎯 TP1 hit', tradeStatus: 'tp1_hit' },
+  tp2_hit: { label: '🏆 TP2 hit', tradeStatus: 'closed' },
+  sl_hit: { label: '🛑 Stop loss hit', tradeStatus: 'closed' },
+  expired: { label: '⌛ Trade expired', tradeStatus: 'closed' }
+};
+
+/**
+ * Format one event line, e.g. "🎯 TP1 hit at $11.37 (PnL: +$12.50 / +21.3%)"
+ * @param {object} tradeEvent - Recorded event
+ * @returns {string} Plain text line
+ */
+export function formatTradeEvent(tradeEvent) {
+  let line = TRADE_EVENTS[tradeEvent.event]?.label || tradeEvent.event;
+  if (tradeEvent.price !== null && tradeEvent.price !== undefined) {
+    line += ` at $${tradeEvent.price}`;
+  }
+
+  const pnlParts = [];
+  if (tradeEvent.pnl !== null && tradeEvent.pnl !== undefined) {
+    pnlParts.push(`${tradeEvent.pnl >= 0 ? '+' : '-'}$${Math.abs(tradeEvent.pnl).toFixed(2)}`);
+  }
+  if (tradeEvent.pnlPercent !== null && tradeEvent.pnlPercent !== undefined) {
+    pnlParts.push(`${tradeEvent.pnlPercent >= 0 ? '+' : ''}${tradeEvent.pnlPercent.toFixed(2)}%`);
+  }
+  if (pnlParts.length > 0) {
+    line += ` (PnL: ${pnlParts.join(' / ')})`;
+  }
+
+  return line;
+}
+
+/**
+ * Error raised for trade event requests that cannot be processed
+ */
+export class TradeEventError extends Error {
+  /**
+   * @param {number} statusCode - HTTP status to respond with
+   * @param {string} message - What went wrong
+   */
+  constructor(statusCode, message) {
+    super(message);
+    this.name = 'TradeEventError';
+    this.statusCode = statusCode;
+  }
+}
+
+class TradeEventService {
+  /**
+   * @param {import('./TelegramService.js').default} telegramService - Used to notify users
+   */
+  constructor(telegramService) {
+    this.telegramService = telegramService;
+    this.simulations = telegramService.simulations;
+    this.secret = process.env.TRADING_ENGINE_CALLBACK_SECRET;
+  }
+
+  /**
+   * Verify the X-Engine-Signature header: hex HMAC-SHA256 of the raw request body
+   * @param {Buffer} rawBody - Raw request body
+   * @param {string|undefined} signature - Header value, optionally prefixed with "sha256="
+   * @returns {boolean} True if the signature matches
+   */
+  verifySignature(rawBody, signature) {
+    if (!this.secret || !rawBody || typeof signature !== 'string') {
+      return false;
+    }
+
+    const expected = Buffer.from(crypto.createHmac('sha256', this.secret).update(rawBody).digest('hex'));
+    const received = Buffer.from(signature.replace(/^sha256=/, ''));
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  /**
+   * Record an engine lifecycle event on its simulation and notify the user
+   * @param {object} payload - Event from the engine
+   * @param {string} payload.tradeId - Engine trade id
+   * @param {string} payload.event - opened, tp1_hit, tp2_hit, sl_hit or expired
+   * @param {number} [payload.price] - Price at which the event happened
+   * @param {number} [payload.pnl] - Realized PnL in USD
+   * @param {number} [payload.pnlPercent] - Realized PnL in percent
+   * @param {string} [payload.timestamp] - When the event happened
+   * @returns {Promise<{ simulationId: string, duplicate: boolean }>} Outcome
+   */
+  async handleEvent(payload = {}) {
+    const { tradeId, event } = payload;
+
+    if (!tradeId || typeof tradeId !== 'string') {
+      throw new TradeEventError(400, 'tradeId is required');
+    }
+    if (!TRADE_EVENTS[event]) {
+      throw new TradeEventError(400, `event must be one of ${Object.keys(TRADE_EVENTS).join(', ')}`);
+    }
+
+    const simulation = await this.simulations.findByTradeId(tradeId);
+    if (!simulation) {
+      throw new TradeEventError(404, `No simulation found for trade ${tradeId}`);
+    }
+
+    const toNumber = (value) => (value === undefined || value === null || !Number.isFinite(Number(value)) ? null : Number(value));
+    const at = payload.timestamp && !isNaN(Date.parse(payload.timestamp)) ? new Date(payload.timestamp) : new Date();
+
+    const tradeEvent = {
+      event,
+      price: toNumber(payload.price),
+      pnl: toNumber(payload.pnl),
+      pnlPercent: toNumber(payload.pnlPercent),
+      at,
+      receivedAt: new Date()
+    };
+
+    const fields = { tradeId, tradeStatus: TRADE_EVENTS[event].tradeStatus };
+    if (tradeEvent.pnl !== null) fields.realizedPnl = tradeEvent.pnl;
+    if (tradeEvent.pnlPercent !== null) fields.realizedPnlPercent = tradeEvent.pnlPercent;
+
+    // The engine may deliver the same event more than once
+    const updated = await this.simulations.recordTradeEvent(simulation._id, tradeEvent, fields);
+    if (!updated) {
+      console.log(`Duplicate ${event} event for trade ${tradeId}, ignoring`);
+      return { simulationId: simulation._id.toString(), duplicate: true };
+    }
+
+    await this.notifyUser(updated, tradeEvent);
+    return { simulationId: simulation._id.toString(), duplicate: false };
+  }
+
+  /**
+   * Show the trade's progress under the original result message, or send a follow-up if it cannot be edited
+   * @param {object} simulation - Updated simulation record
+   * @param {object} tradeEvent - The event that was just recorded
+   */
+  async notifyUser(simulation, tradeEvent) {
+    const telegram = this.telegramService.bot.telegram;
+    const history = simulation.tradeEvents.map((e) => `• ${formatTradeEvent(e)}`);
+    const isClosed = simulation.tradeStatus === 'closed';
+    const pnlLines = isClosed && simulation.realizedPnl !== undefined
+      ? ['', ['💰 ', bold('Realized PnL'), `: ${simulation.realizedPnl >= 0 ? '+' : '-'}$${Math.abs(simulation.realizedPnl).toFixed(2)}`]]
+      : [];
+
+    // Results of clicks in groups and channels are in the clicker's private chat; older records have no resultChatId
+    const chatId = simulation.resultChatId ?? simulation.chatId;
+
+    if (simulation.resultMessageId) {
+      try {
+        await telegram.editMessageText(
+          chatId,
+          simulation.resultMessageId,
+          null,
+          this.telegramService.formatSimulationResult(simulation.apiResponse, simulation.direction) + '\n\n' +
+            renderMessage([bold('📊 Trade Updates'), ...history, ...pnlLines]),
+          { parse_mode: DEFAULT_PARSE_MODE }
+        );
+        return;
+      } catch (error) {
+        console.log('Could not edit simulation result message, sending follow-up:', error.message);
+      }
+    }
+
+    try {
+      await telegram.sendMessage(
+        chatId,
+        renderMessage([
+          [bold('📊 Trade Update'), ` (${simulation.signalData?.token || 'trade'})`],
+          '',
+          formatTradeEvent(tradeEvent),
+          ...pnlLines
+        ]),
+        {
+          parse_mode: DEFAULT_PARSE_MODE,
+          reply_to_message_id: simulation.resultMessageId,
+          allow_sending_without_reply: true
+        }
+      );
+    } catch (error) {
+      console.error('Error sending trade update:', error);
+    }
+  }
+}
+
+export default TradeEventService;
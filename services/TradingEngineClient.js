@@ -0,0 +1,164 @@
+import axios from 'axios';
+
+const DEFAULT_BASE_URL = 'https://safetrading.maxxit.ai';
+
+// Connection errors raised before a request reached the engine, so it cannot have been executed
+const PRE_SEND_ERRORS = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+/**
+ * Error raised when the trading engine cannot be reached or the circuit breaker is open
+ */
+export class EngineUnavailableError extends Error {
+  /**
+   * @param {string} message - What went wrong
+   * @param {Error} [cause] - Underlying error of the last attempt
+   * @param {boolean} [outcomeUnknown] - The request got no response (timeout or lost connection), so the
+   *   engine may still have executed it
+   */
+  constructor(message, cause, outcomeUnknown = false) {
+    super(message);
+    this.name = 'EngineUnavailableError';
+    this.cause = cause;
+    this.outcomeUnknown = outcomeUnknown;
+  }
+}
+
+class TradingEngineClient {
+  /**
+   * @param {object} [options] - Client options, each defaulting to an environment variable
+   * @param {string} [options.baseUrl] - Engine base URL (TRADING_ENGINE_URL)
+   * @param {number} [options.timeoutMs] - Per-request timeout (TRADING_ENGINE_TIMEOUT_MS)
+   * @param {number} [options.maxRetries] - Retries after a 5xx response (TRADING_ENGINE_MAX_RETRIES)
+   * @param {number} [options.failureThreshold] - Consecutive failures that open the circuit (TRADING_ENGINE_FAILURE_THRESHOLD)
+   * @param {number} [options.resetTimeoutMs] - How long the circuit stays open (TRADING_ENGINE_RESET_TIMEOUT_MS)
+   */
+  constructor(options = {}) {
+    this.baseUrl = (options.baseUrl || process.env.TRADING_ENGINE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    this.timeoutMs = options.timeoutMs ?? parseInt(process.env.TRADING_ENGINE_TIMEOUT_MS || '15000');
+    this.maxRetries = options.maxRetries ?? parseInt(process.env.TRADING_ENGINE_MAX_RETRIES || '2');
+    this.failureThreshold = options.failureThreshold ?? parseInt(process.env.TRADING_ENGINE_FAILURE_THRESHOLD || '5');
+    this.resetTimeoutMs = options.resetTimeoutMs ?? parseInt(process.env.TRADING_ENGINE_RESET_TIMEOUT_MS || '30000');
+
+    this.http = axios.create({
+      baseURL: this.baseUrl,
+      timeout: this.timeoutMs,
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+
+    // Circuit breaker state
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.halfOpenTrial = false;
+  }
+
+  /**
+   * Longest a request can take: every attempt timing out, plus the backoff between them
+   * @returns {number} Duration in milliseconds
+   */
+  getMaxRequestDurationMs() {
+    return this.timeoutMs * (this.maxRetries + 1) + 500 * (2 ** this.maxRetries - 1);
+  }
+
+  /**
+   * Check whether an error is worth retrying: only 5xx responses. A request that timed out or lost its
+   * connection may already have been executed by the engine, so repeating it could open a second trade.
+   * @param {Error} error - axios error
+   * @returns {boolean} True if the request may succeed when repeated
+   */
+  isRetryable(error) {
+    return Boolean(error.response) && error.response.status >= 500;
+  }
+
+  /**
+   * Reject immediately while the circuit is open; let one trial request through after the reset timeout
+   */
+  checkCircuit() {
+    if (this.openedAt === null) {
+      return;
+    }
+
+    if (Date.now() - this.openedAt < this.resetTimeoutMs || this.halfOpenTrial) {
+      throw new EngineUnavailableError('Trading engine is unavailable (circuit open)');
+    }
+
+    this.halfOpenTrial = true;
+  }
+
+  /**
+   * Close the circuit after the engine answered
+   */
+  recordSuccess() {
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.halfOpenTrial = false;
+  }
+
+  /**
+   * Count a failed request, opening the circuit at the threshold or when a half-open trial fails
+   */
+  recordFailure() {
+    this.consecutiveFailures += 1;
+    this.halfOpenTrial = false;
+
+    if (this.openedAt !== null || this.consecutiveFailures >= this.failureThreshold) {
+      this.openedAt = Date.now();
+      console.log(`Trading engine circuit opened after ${this.consecutiveFailures} consecutive failures`);
+    }
+  }
+
+  /**
+   * POST to the engine with bounded retries and the circuit breaker
+   * @param {string} path - Endpoint path
+   * @param {object} body - JSON body
+   * @returns {Promise<object>} Response body
+   */
+  async post(path, body) {
+    this.checkCircuit();
+
+    let lastError;
+    let outcomeUnknown = false;
+    for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+      try {
+        const response = await this.http.post(path, body);
+        this.recordSuccess();
+        return response.data;
+      } catch (error) {
+        lastError = error;
+
+        // 4xx means the engine is up and rejected the request; it will not succeed on retry
+        if (error.response && !this.isRetryable(error)) {
+          this.recordSuccess();
+          throw error;
+        }
+
+        // No response: the trade may have gone through, so report the engine unavailable without repeating it
+        if (!error.response) {
+          console.log(`Trading engine request failed without a response (${error.code || error.message}), not retrying`);
+          outcomeUnknown = !PRE_SEND_ERRORS.includes(error.code);
+          break;
+        }
+
+        console.log(`Trading engine request failed (${error.response?.status || error.code || error.message}), attempt ${attempt + 1} of ${this.maxRetries + 1}`);
+        if (attempt < this.maxRetries) {
+          await new Promise((resolve) => setTimeout(resolve, 500 * 2 ** attempt));
+        }
+      }
+    }
+
+    this.recordFailure();
+    throw new EngineUnavailableError(`Trading engine is unavailable: ${lastError.message}`, lastError, outcomeUnknown);
+  }
+
+  /**
+   * Submit a signal to the engine's signal processing endpoint
+   * @param {object} body - Signal processing request body
+   * @returns {Promise<object>} Engine response
+   */
+  async processSignal(body) {
+    return this.post('/api/signal/process', body);
+  }
+}
+
+export default TradingEngineClient;
@@ -0,0 +1,230 @@
+import crypto from 'crypto';
+import dbConnect from '../utils/dbConnect.js';
+
+const LINK_CODE_TTL_MINUTES = parseInt(process.env.LINK_CODE_TTL_MINUTES || '15');
+
+// Users whose last seen username is kept in memory; the least recently active are forgotten first
+const KNOWN_USERNAMES_LIMIT = parseInt(process.env.KNOWN_USERNAMES_LIMIT || '10000');
+
+class UserService {
+  constructor() {
+    this.indexesReady = null;
+
+    // Last username seen per Telegram user id, so renames are only written once
+    this.knownUsernames = new Map();
+  }
+
+  /**
+   * Get the users collection
+   * @returns {Promise<import('mongodb').Collection>} The users collection
+   */
+  async getCollection() {
+    const client = await dbConnect();
+    const db = client.db("ctxbt-signal-flow");
+    return db.collection("users");
+  }
+
+  /**
+   * Get the link codes collection, creating its indexes on first use
+   * @returns {Promise<import('mongodb').Collection>} The link_codes collection
+   */
+  async getLinkCodesCollection() {
+    const client = await dbConnect();
+    const db = client.db("ctxbt-signal-flow");
+    const collection = db.collection("link_codes");
+
+    if (!this.indexesReady) {
+      // Expired codes are removed by MongoDB
+      this.indexesReady = Promise.all([
+        collection.createIndex({ code: 1 }, { unique: true }),
+        collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+      ]).catch((error) => {
+        this.indexesReady = null;
+        throw error;
+      });
+    }
+    await this.indexesReady;
+
+    return collection;
+  }
+
+  /**
+   * Build the query for a message recipient given as a numeric Telegram user id or a username
+   * @param {string|number} recipient - Telegram user id or username
+   * @returns {object} MongoDB query on the users collection
+   */
+  getRecipientQuery(recipient) {
+    const value = String(recipient).replace('@', '');
+    if (/^\d+$/.test(value)) {
+      return { telegramUserId: Number(value) };
+    }
+    return { telegramId: value };
+  }
+
+  /**
+   * Find a user by message recipient (numeric Telegram user id or username)
+   * @param {string|number} recipient - Telegram user id or username
+   * @returns {Promise<object|null>} The user, or null if not found
+   */
+  async findByRecipient(recipient) {
+    const collection = await this.getCollection();
+    return collection.findOne(this.getRecipientQuery(recipient));
+  }
+
+  /**
+   * Find the user linked to a Telegram account. Users linked before ids were stored
+   * are matched by username.
+   * @param {object} from - Telegram user (id, username)
+   * @returns {Promise<object|null>} The user, or null if the account is not linked
+   */
+  async findByTelegramUser(from) {
+    const collection = await this.getCollection();
+
+    // Users linked by username only have no telegramUserId to match on
+    const user = from.id ? await collection.findOne({ telegramUserId: from.id }) : null;
+    if (user || !from.username) {
+      return user;
+    }
+
+    return collection.findOne({ telegramId: from.username, telegramUserId: { $exists: false } });
+  }
+
+  /**
+   * Create a one-time code that links a Telegram chat to an existing user via /start <code>
+   * @param {string} twitterId - Twitter id of the user to link
+   * @returns {Promise<{ code: string, expiresAt: Date }|null>} The code, or null if the user does not exist
+   */
+  async createLinkCode(twitterId) {
+    const collection = await this.getCollection();
+    const user = await collection.findOne({ twitterId });
+    if (!user) {
+      return null;
+    }
+
+    const linkCodes = await this.getLinkCodesCollection();
+    const code = crypto.randomBytes(18).toString('base64url');
+    const expiresAt = new Date(Date.now() + LINK_CODE_TTL_MINUTES * 60 * 1000);
+
+    await linkCodes.insertOne({
+      code,
+      twitterId,
+      createdAt: new Date(),
+      expiresAt,
+      usedAt: null
+    });
+
+    return { code, expiresAt };
+  }
+
+  /**
+   * Consume a link code and bind the Telegram account and chat to its user
+   * @param {string} code - Code from the /start payload
+   * @param {object} from - Telegram user (id, username)
+   * @param {number} chatId - Private chat id
+   * @returns {Promise<object|null>} The linked user, or null if the code is unknown, used or expired
+   */
+  async linkAccount(code, from, chatId) {
+    const linkCodes = await this.getLinkCodesCollection();
+    const now = new Date();
+
+    const linkCode = await linkCodes.findOneAndUpdate(
+      { code, usedAt: null, expiresAt: { $gt: now } },
+      { $set: { usedAt: now, telegramUserId: from.id } }
+    );
+    if (!linkCode) {
+      return null;
+    }
+
+    const collection = await this.getCollection();
+
+    // A Telegram account can only be linked to one user, including users linked by username
+    // before ids were stored, which findByTelegramUser would otherwise still match
+    const sameAccount = [{ telegramUserId: from.id }];
+    if (from.username) {
+      sameAccount.push({ telegramId: from.username, telegramUserId: { $exists: false } });
+    }
+    await collection.updateMany(
+      { $or: sameAccount, twitterId: { $ne: linkCode.twitterId } },
+      { $unset: { telegramUserId: '', telegramId: '', chatId: '', linkedAt: '' } }
+    );
+
+    const user = await collection.findOneAndUpdate(
+      { twitterId: linkCode.twitterId },
+      {
+        $set: {
+          telegramUserId: from.id,
+          telegramId: from.username || null,
+          chatId,
+          linkedAt: now
+        },
+        $unset: { botBlocked: '', botBlockedAt: '' }
+      },
+      { returnDocument: 'after' }
+    );
+
+    this.rememberUsername(from.id, from.username || null);
+    return user;
+  }
+
+  /**
+   * Remove the Telegram link from a user
+   * @param {object} query - Query selecting the user (e.g. { telegramUserId } or { twitterId })
+   * @returns {Promise<boolean>} True if a linked user was found
+   */
+  async unlink(query) {
+    const collection = await this.getCollection();
+    const result = await collection.updateOne(
+      { ...query, $or: [{ telegramUserId: { $exists: true } }, { chatId: { $exists: true } }] },
+      {
+        $unset: { telegramUserId: '', telegramId: '', chatId: '', linkedAt: '' },
+        $set: { unlinkedAt: new Date() }
+      }
+    );
+
+    if (query.telegramUserId) {
+      this.knownUsernames.delete(query.telegramUserId);
+    }
+    return result.matchedCount > 0;
+  }
+
+  /**
+   * Keep the stored username in step with the Telegram account, which users can rename at any time
+   * @param {object} from - Telegram user (id, username)
+   */
+  async syncUsername(from) {
+    if (!from?.id) {
+      return;
+    }
+
+    const username = from.username || null;
+    if (this.knownUsernames.get(from.id) === username) {
+      this.rememberUsername(from.id, username);
+      return;
+    }
+
+    const collection = await this.getCollection();
+    await collection.updateOne(
+      { telegramUserId: from.id, telegramId: { $ne: username } },
+      { $set: { telegramId: username, usernameUpdatedAt: new Date() } }
+    );
+    this.rememberUsername(from.id, username);
+  }
+
+  /**
+   * Record the username last seen for a Telegram user, forgetting the least recently seen user
+   * once KNOWN_USERNAMES_LIMIT is reached. A forgotten user only costs one conditional update.
+   * @param {number} telegramUserId - Telegram user id
+   * @param {string|null} username - Username, or null for users without one
+   */
+  rememberUsername(telegramUserId, username) {
+    // Maps iterate in insertion order, so re-inserting moves the user to the most recent end
+    this.knownUsernames.delete(telegramUserId);
+    this.knownUsernames.set(telegramUserId, username);
+
+    if (this.knownUsernames.size > KNOWN_USERNAMES_LIMIT) {
+      this.knownUsernames.delete(this.knownUsernames.keys().next().value);
+    }
+  }
+}
+
+export default UserService;
@@ -0,0 +1,125 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// dbConnect needs a URI at import time; the collections below never touch it
+process.env.MONGODB_URI ??= 'mongodb://127.0.0.1:27017/test';
+const { default: UserService } = await import('../services/UserService.js');
+
+// Match a filter using the operators UserService relies on
+const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$or') {
+    return condition.some((alternative) => matches(doc, alternative));
+  }
+  if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+    return (!('$ne' in condition) || doc[key] !== condition.$ne)
+      && (!('$exists' in condition) || (doc[key] !== undefined) === condition.$exists)
+      && (!('$gt' in condition) || doc[key] > condition.$gt);
+  }
+  return doc[key] === condition;
+});
+
+/**
+ * In-memory stand-in for the users and link_codes collections
+ */
+class MemoryCollection {
+  constructor(docs = []) {
+    this.docs = docs;
+  }
+
+  async findOne(filter) {
+    return this.docs.find((doc) => matches(doc, filter)) ?? null;
+  }
+
+  async insertOne(doc) {
+    this.docs.push({ ...doc });
+  }
+
+  apply(doc, update) {
+    Object.assign(doc, update.$set);
+    for (const field of Object.keys(update.$unset ?? {})) {
+      delete doc[field];
+    }
+  }
+
+  async findOneAndUpdate(filter, update) {
+    await null;
+    const doc = this.docs.find((candidate) => matches(candidate, filter));
+    if (!doc) {
+      return null;
+    }
+    this.apply(doc, update);
+    return { ...doc };
+  }
+
+  async updateMany(filter, update) {
+    const found = this.docs.filter((doc) => matches(doc, filter));
+    found.forEach((doc) => this.apply(doc, update));
+    return { matchedCount: found.length };
+  }
+}
+
+const from = { id: 1001, username: 'alice_1' };
+
+let users;
+let userService;
+
+beforeEach(() => {
+  users = new MemoryCollection([{ twitterId: 'alice_twitter' }]);
+  userService = new UserService();
+  userService.getCollection = async () => users;
+  const linkCodes = new MemoryCollection();
+  userService.getLinkCodesCollection = async () => linkCodes;
+});
+
+const linkWithNewCode = async (twitterId, account = from) => {
+  const { code } = await userService.createLinkCode(twitterId);
+  return userService.linkAccount(code, account, 5001);
+};
+
+describe('UserService.linkAccount', () => {
+  it('binds the Telegram account and chat to the user of the code, once', async () => {
+    const { code } = await userService.createLinkCode('alice_twitter');
+
+    const user = await userService.linkAccount(code, from, 5001);
+
+    assert.equal(user.telegramUserId, 1001);
+    assert.equal(user.telegramId, 'alice_1');
+    assert.equal(user.chatId, 5001);
+    assert.equal(await userService.linkAccount(code, from, 5001), null);
+    assert.equal(await userService.createLinkCode('unknown_twitter'), null);
+  });
+
+  it('moves the account away from a user that linked it before', async () => {
+    users.docs.push({ twitterId: 'old_twitter', telegramUserId: 1001, telegramId: 'alice_1', chatId: 5001 });
+
+    await linkWithNewCode('alice_twitter');
+
+    const previous = users.docs.find((user) => user.twitterId === 'old_twitter');
+    assert.equal(previous.telegramUserId, undefined);
+    assert.equal(previous.chatId, undefined);
+    assert.equal((await userService.findByTelegramUser(from)).twitterId, 'alice_twitter');
+  });
+
+  it('moves the account away from a user linked by username only', async () => {
+    users.docs.push({ twitterId: 'legacy_twitter', telegramId: 'alice_1', chatId: 5001 });
+
+    await linkWithNewCode('alice_twitter');
+
+    const legacy = users.docs.find((user) => user.twitterId === 'legacy_twitter');
+    assert.equal(legacy.telegramId, undefined);
+    assert.equal(legacy.chatId, undefined);
+    assert.equal((await userService.findByTelegramUser(from)).twitterId, 'alice_twitter');
+    assert.equal((await userService.findByRecipient('alice_1')).twitterId, 'alice_twitter');
+  });
+
+  it('leaves users linked to other accounts alone', async () => {
+    const bob = { twitterId: 'bob_twitter', telegramUserId: 2002, telegramId: 'bob_2', chatId: 5002 };
+    const nameless = { twitterId: 'carol_twitter', telegramUserId: 3003, telegramId: null, chatId: 5003 };
+    users.docs.push({ ...bob }, { ...nameless });
+
+    await linkWithNewCode('alice_twitter', { id: 1001 });
+
+    assert.deepEqual(users.docs.find((user) => user.twitterId === 'bob_twitter'), bob);
+    assert.deepEqual(users.docs.find((user) => user.twitterId === 'carol_twitter'), nameless);
+  });
+});
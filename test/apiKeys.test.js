@@ -0,0 +1,154 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ObjectId } from 'mongodb';
+
+// dbConnect needs a URI at import time; the collections below never touch it
+process.env.MONGODB_URI ??= 'mongodb://127.0.0.1:27017/test';
+const { default: ApiKeyService, DEFAULT_RATE_LIMIT_PER_MINUTE } = await import('../services/ApiKeyService.js');
+
+const matches = (doc, filter) => Object.entries(filter).every(([key, value]) => String(doc[key]) === String(value));
+
+/**
+ * In-memory stand-in for the api_keys and api_key_usage collections
+ */
+class MemoryCollection {
+  constructor() {
+    this.docs = [];
+  }
+
+  async insertOne(doc) {
+    const _id = new ObjectId();
+    this.docs.push({ ...doc, _id });
+    return { insertedId: _id };
+  }
+
+  async findOne(filter) {
+    return this.docs.find((doc) => matches(doc, filter)) ?? null;
+  }
+
+  find(filter) {
+    const found = this.docs.filter((doc) => matches(doc, filter));
+    return { project: () => ({ toArray: async () => found }) };
+  }
+
+  async updateOne(filter, update) {
+    const doc = this.docs.find((candidate) => matches(candidate, filter));
+    if (doc) {
+      Object.assign(doc, update.$set);
+    }
+    return { matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    await null;
+    let doc = this.docs.find((candidate) => matches(candidate, filter));
+    if (!doc && options.upsert) {
+      doc = { ...filter, ...update.$setOnInsert, count: 0 };
+      this.docs.push(doc);
+    }
+    if (doc) {
+      doc.count += update.$inc.count;
+    }
+    return doc ? { ...doc } : null;
+  }
+}
+
+let apiKeys;
+let collections;
+
+beforeEach(() => {
+  collections = { api_keys: new MemoryCollection(), api_key_usage: new MemoryCollection() };
+  apiKeys = new ApiKeyService();
+  apiKeys.getCollection = async (name) => collections[name];
+});
+
+describe('ApiKeyService.issueKey', () => {
+  it('returns the raw key once and stores only its hash', async () => {
+    const { key, apiKey } = await apiKeys.issueKey({ name: 'publisher', scopes: ['send', 'send'] });
+
+    assert.match(key, /^tms_[A-Za-z0-9_-]{43}$/);
+    assert.equal(apiKey.prefix, key.slice(0, 12));
+    assert.deepEqual(apiKey.scopes, ['send']);
+    assert.equal(apiKey.rateLimitPerMinute, DEFAULT_RATE_LIMIT_PER_MINUTE);
+    assert.equal('keyHash' in apiKey, false);
+    assert.notEqual(collections.api_keys.docs[0].keyHash, key);
+  });
+
+  it('refuses keys without a name, with unknown scopes or with an invalid rate limit', async () => {
+    await assert.rejects(apiKeys.issueKey({ name: '', scopes: ['send'] }), /A name and at least one of the scopes/);
+    await assert.rejects(apiKeys.issueKey({ name: 'publisher', scopes: ['root'] }), /unknown: root/);
+    await assert.rejects(apiKeys.issueKey({ name: 'publisher', scopes: ['send'], rateLimitPerMinute: 0 }), /rate limit/);
+  });
+});
+
+describe('ApiKeyService.authenticate', () => {
+  it('finds active keys and refuses revoked or malformed ones', async () => {
+    const { key, apiKey } = await apiKeys.issueKey({ name: 'publisher', scopes: ['send'] });
+
+    assert.equal((await apiKeys.authenticate(key))._id, apiKey._id);
+    assert.equal(await apiKeys.authenticate('not-a-key'), null);
+
+    await apiKeys.revokeKey(apiKey._id.toString());
+    assert.equal(await apiKeys.authenticate(key), null);
+  });
+
+  it('lets admin keys use every scope', async () => {
+    assert.equal(apiKeys.hasScope({ scopes: ['admin'] }, 'broadcast'), true);
+    assert.equal(apiKeys.hasScope({ scopes: ['send'] }, 'broadcast'), false);
+  });
+});
+
+describe('ApiKeyService.revokeKey', () => {
+  it('revokes by id or prefix, only once', async () => {
+    const { apiKey: first } = await apiKeys.issueKey({ name: 'first', scopes: ['send'] });
+    const { apiKey: second } = await apiKeys.issueKey({ name: 'second', scopes: ['send'] });
+
+    assert.equal(await apiKeys.revokeKey(first._id.toString()), true);
+    assert.equal(await apiKeys.revokeKey(first._id.toString()), false);
+    assert.equal(await apiKeys.revokeKey(second.prefix), true);
+    assert.equal(await apiKeys.revokeKey('tms_unknown'), false);
+  });
+
+  it('refuses a prefix shared by several active keys', async () => {
+    const { apiKey: first } = await apiKeys.issueKey({ name: 'first', scopes: ['send'] });
+    const { apiKey: second } = await apiKeys.issueKey({ name: 'second', scopes: ['send'] });
+    collections.api_keys.docs[1].prefix = first.prefix;
+
+    await assert.rejects(apiKeys.revokeKey(first.prefix), (error) => error.message.includes('2 active keys')
+      && error.message.includes(second._id.toString()));
+    assert.ok(collections.api_keys.docs.every((apiKey) => apiKey.revokedAt === null));
+
+    // Once one of them is revoked by id, the prefix names a single key again
+    await apiKeys.revokeKey(second._id.toString());
+    assert.equal(await apiKeys.revokeKey(first.prefix), true);
+  });
+});
+
+describe('ApiKeyService.consumeRateLimit', () => {
+  it('allows the key\'s limit per minute and counts what remains', async () => {
+    const apiKey = { _id: new ObjectId(), rateLimitPerMinute: 2 };
+
+    const outcomes = [];
+    for (let i = 0; i < 3; i++) {
+      outcomes.push(await apiKeys.consumeRateLimit(apiKey));
+    }
+
+    assert.deepEqual(outcomes.map(({ allowed, remaining }) => ({ allowed, remaining })), [
+      { allowed: true, remaining: 1 },
+      { allowed: true, remaining: 0 },
+      { allowed: false, remaining: 0 }
+    ]);
+    assert.equal(outcomes[0].resetAt.getTime() % 60000, 0);
+    assert.ok(outcomes[0].resetAt > new Date());
+  });
+
+  it('keeps separate counts per key', async () => {
+    const busy = { _id: new ObjectId(), rateLimitPerMinute: 1 };
+    const quiet = { _id: new ObjectId(), rateLimitPerMinute: 1 };
+
+    await apiKeys.consumeRateLimit(busy);
+
+    assert.equal((await apiKeys.consumeRateLimit(busy)).allowed, false);
+    assert.equal((await apiKeys.consumeRateLimit(quiet)).allowed, true);
+  });
+});
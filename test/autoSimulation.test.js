@@ -0,0 +1,100 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { GuardrailError } from '../utils/tradeGuardrails.js';
+
+// dbConnect needs a URI at import time; nothing below connects
+process.env.MONGODB_URI ??= 'mongodb://127.0.0.1:27017/test';
+const { default: TelegramService } = await import('../services/TelegramService.js');
+const { EngineUnavailableError } = await import('../services/TradingEngineClient.js');
+
+const sentMessage = { chat: { id: 42, type: 'private' }, message_id: 7, text: 'signal', date: 1748779200 };
+
+/**
+ * A service whose collaborators record reservations and releases of the auto-simulation cap.
+ * The simulation itself resolves or rejects with the given outcome.
+ */
+const serviceSimulating = (outcome, { isNew = true } = {}) => {
+  const service = Object.create(TelegramService.prototype);
+  const usage = [];
+  const claims = [];
+  Object.assign(service, {
+    preferences: {
+      reserveAutoSimulation: async () => {
+        usage.push('reserve');
+        return '2025-06-01';
+      },
+      releaseAutoSimulation: async (user, day) => usage.push(`release ${day}`)
+    },
+    claimSimulation: async (userData) => {
+      claims.push(userData);
+      return { simulation: { _id: 'simulation-1' }, isNew };
+    },
+    handleSimulateTradeRequest: async () => {
+      if (outcome instanceof Error) throw outcome;
+      return outcome;
+    },
+    formatSimulationResult: () => 'result',
+    bot: { telegram: { sendMessage: async () => ({ chat: { id: 42 }, message_id: 8 }) } },
+    simulations: { updateFields: async () => {} }
+  });
+  return { service, usage, claims };
+};
+
+const recipient = { _id: 'user-1', telegramId: 'alice_1', telegramUserId: 1001 };
+const autoSimulate = (service, user = recipient) => service.autoSimulateSignal(user, sentMessage, {
+  signalId: 'signal-1',
+  direction: 'buy'
+});
+
+describe('TelegramService.autoSimulateSignal', () => {
+  it('keeps the reservation of a simulation that ran', async () => {
+    const { service, usage, claims } = serviceSimulating({ status: 'success' });
+
+    await autoSimulate(service);
+
+    assert.deepEqual(usage, ['reserve']);
+    assert.equal(claims[0].userId, 1001);
+  });
+
+  it('gives the reservation back when a guardrail refuses the simulation', async () => {
+    const { service, usage } = serviceSimulating(new GuardrailError('signal_too_old', 'This signal is too old'));
+
+    await autoSimulate(service);
+
+    assert.deepEqual(usage, ['reserve', 'release 2025-06-01']);
+  });
+
+  it('gives the reservation back when the engine is down', async () => {
+    const { service, usage } = serviceSimulating(new EngineUnavailableError('Trading engine is unavailable (circuit open)'));
+
+    await autoSimulate(service);
+
+    assert.deepEqual(usage, ['reserve', 'release 2025-06-01']);
+  });
+
+  it('keeps the reservation when the engine may have run the trade', async () => {
+    const timeout = new EngineUnavailableError('Trading engine is unavailable: timeout', new Error('timeout'), true);
+    const { service, usage } = serviceSimulating(timeout);
+
+    await autoSimulate(service);
+
+    assert.deepEqual(usage, ['reserve']);
+  });
+
+  it('gives the reservation back when the signal was already simulated', async () => {
+    const { service, usage } = serviceSimulating({ status: 'success' }, { isNew: false });
+
+    await autoSimulate(service);
+
+    assert.deepEqual(usage, ['reserve', 'release 2025-06-01']);
+  });
+
+  it('skips users without a Telegram user id', async () => {
+    const { service, usage, claims } = serviceSimulating({ status: 'success' });
+
+    await autoSimulate(service, { _id: 'user-2', telegramId: 'legacy_user' });
+
+    assert.deepEqual(usage, []);
+    assert.deepEqual(claims, []);
+  });
+});
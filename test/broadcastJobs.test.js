@@ -0,0 +1,218 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ObjectId } from 'mongodb';
+import { TelegramApiError } from '../utils/telegramErrors.js';
+
+// dbConnect needs a URI at import time; the collection below never touches it
+process.env.MONGODB_URI ??= 'mongodb://127.0.0.1:27017/test';
+process.env.BROADCAST_PER_CHAT_INTERVAL_MS ??= '40';
+const { default: BroadcastService } = await import('../services/BroadcastService.js');
+
+/**
+ * In-memory stand-in for the broadcast_jobs collection, covering the updates BroadcastService makes
+ */
+class MemoryJobs {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  async insertOne(job) {
+    const _id = new ObjectId();
+    this.jobs.set(_id.toString(), { ...structuredClone(job), _id });
+    return { insertedId: _id };
+  }
+
+  async findOne({ _id }) {
+    const job = this.jobs.get(_id.toString());
+    // structuredClone would turn the ObjectId into a plain object
+    return job ? { ...structuredClone({ ...job, _id: null }), _id: job._id } : null;
+  }
+
+  async updateOne(filter, { $set }) {
+    const job = this.jobs.get(filter._id.toString());
+    const recipient = job.recipients.find((entry) => entry.username === filter['recipients.username']);
+    for (const [key, value] of Object.entries($set)) {
+      if (key.startsWith('recipients.$.')) {
+        recipient[key.slice('recipients.$.'.length)] = value;
+      } else {
+        job[key] = value;
+      }
+    }
+    return { matchedCount: 1 };
+  }
+}
+
+const blockedError = () => new TelegramApiError({ code: 403, description: 'Forbidden: bot was blocked by the user' });
+
+/**
+ * Telegram service stand-in that answers each username with the given outcome
+ */
+class FakeTelegram {
+  constructor(outcomes = {}) {
+    this.outcomes = outcomes;
+    this.sent = [];
+    this.edited = [];
+  }
+
+  async sendMessage(username, message, options) {
+    this.sent.push({ username, message, options, at: Date.now() });
+    const outcome = this.outcomes[username];
+    if (outcome instanceof Error) {
+      throw outcome;
+    }
+    return outcome ?? { result: { chat: { id: this.sent.length }, message_id: 100 + this.sent.length } };
+  }
+
+  toDelivery(response) {
+    if (response.skipped) {
+      return { status: 'skipped', reason: response.skipped };
+    }
+    return { status: 'sent', chatId: response.result.chat.id, messageId: response.result.message_id };
+  }
+
+  async editSignalMessage(recipient, text, options) {
+    this.edited.push({ recipient, text, options });
+    const outcome = this.outcomes[recipient.username];
+    if (outcome instanceof Error) {
+      throw outcome;
+    }
+    return { status: 'edited' };
+  }
+}
+
+class FakeSignals {
+  constructor() {
+    this.deliveries = [];
+  }
+
+  getSendOptions(signal) {
+    return { signalId: signal._id.toString(), direction: signal.direction, token: signal.token, parseMode: 'HTML', media: null };
+  }
+
+  async recordDelivery(signalId, username, delivery) {
+    this.deliveries.push({ signalId, username, status: delivery.status });
+  }
+}
+
+let jobs;
+let telegram;
+let signals;
+let broadcasts;
+let running;
+
+const setUp = (outcomes) => {
+  jobs = new MemoryJobs();
+  telegram = new FakeTelegram(outcomes);
+  signals = new FakeSignals();
+  broadcasts = new BroadcastService(telegram, signals);
+  broadcasts.getCollection = async () => jobs;
+
+  // Keep hold of the background run so tests can wait for it
+  const runJob = broadcasts.runJob.bind(broadcasts);
+  broadcasts.runJob = (job) => (running = runJob(job));
+};
+
+const statuses = (job) => Object.fromEntries(job.recipients.map((recipient) => [recipient.username, recipient.status]));
+
+describe('BroadcastService.createJob', () => {
+  beforeEach(() => setUp({ blocked: blockedError(), broken: new Error('socket hang up') }));
+
+  it('sends to each recipient once and records every outcome', async () => {
+    const created = await broadcasts.createJob({ usernames: ['@alice', 'alice', 'blocked', 'broken'], message: 'hello' });
+    assert.equal(created.recipients.length, 3);
+
+    await running;
+    const job = await broadcasts.getJob(created._id.toString());
+
+    assert.equal(job.status, 'completed');
+    assert.deepEqual(statuses(job), { alice: 'sent', blocked: 'blocked', broken: 'failed' });
+    assert.equal(job.recipients.find((recipient) => recipient.username === 'broken').error, 'socket hang up');
+    assert.deepEqual(
+      { total: job.summary.total, sent: job.summary.sent, blocked: job.summary.blocked, failed: job.summary.failed },
+      { total: 3, sent: 1, blocked: 1, failed: 1 }
+    );
+    assert.deepEqual(telegram.sent.map((send) => send.username).sort(), ['alice', 'blocked', 'broken']);
+  });
+
+  it('records deliveries on the signal it broadcasts', async () => {
+    const signal = { _id: new ObjectId(), direction: 'buy', token: 'UNI' };
+
+    await broadcasts.createJob({ usernames: ['alice', 'blocked'], message: 'signal', signal });
+    await running;
+
+    assert.equal(telegram.sent[0].options.signalId, signal._id.toString());
+    assert.deepEqual(
+      signals.deliveries.map(({ username, status }) => `${username}:${status}`).sort(),
+      ['alice:sent', 'blocked:blocked']
+    );
+  });
+
+  it('skips recipients that are no longer queued when a job is run again', async () => {
+    const created = await broadcasts.createJob({ usernames: ['alice'], message: 'hello' });
+    await running;
+    telegram.sent = [];
+
+    await broadcasts.runJob(await jobs.findOne({ _id: created._id }));
+
+    assert.deepEqual(telegram.sent, []);
+  });
+});
+
+describe('BroadcastService.createEditJob', () => {
+  beforeEach(() => setUp({ broken: new Error('message to edit not found') }));
+
+  const signal = {
+    _id: new ObjectId(),
+    direction: 'sell',
+    token: 'ETH',
+    expiresAt: new Date('2030-01-01T00:00:00Z'),
+    recipients: [
+      { username: 'alice', status: 'sent', chatId: 1, messageId: 10, captioned: true },
+      { username: 'broken', status: 'sent', chatId: 2, messageId: 20 },
+      { username: 'offline', status: 'failed' },
+      { username: 'later', status: 'deferred' }
+    ]
+  };
+
+  it('edits only the messages the signal was delivered in', async () => {
+    const created = await broadcasts.createEditJob({ signal, message: 'edited', parseMode: 'HTML', withButton: true });
+    await running;
+    const job = await broadcasts.getJob(created._id.toString());
+
+    assert.deepEqual(statuses(job), { alice: 'edited', broken: 'failed', offline: 'not_sent', later: 'not_sent' });
+    assert.deepEqual(
+      { edited: job.summary.edited, failed: job.summary.failed, not_sent: job.summary.not_sent },
+      { edited: 1, failed: 1, not_sent: 2 }
+    );
+    assert.deepEqual(telegram.edited.map((edit) => edit.recipient.messageId).sort(), [10, 20]);
+    assert.equal(telegram.edited.find((edit) => edit.recipient.username === 'alice').recipient.captioned, true);
+  });
+
+  it('re-signs the button with the signal expiry, or drops it', async () => {
+    await broadcasts.createEditJob({ signal, message: 'edited', parseMode: 'HTML', withButton: true });
+    await running;
+    const { button } = telegram.edited[0].options;
+    assert.equal(button.direction, 'sell');
+    assert.equal(button.signalId, signal._id.toString());
+    assert.equal(button.expiresAt.getTime(), signal.expiresAt.getTime());
+
+    telegram.edited = [];
+    await broadcasts.createEditJob({ signal, message: 'retracted', parseMode: 'HTML', withButton: false });
+    await running;
+    assert.equal(telegram.edited[0].options.button, null);
+  });
+});
+
+describe('BroadcastService.waitForChatSlot', () => {
+  beforeEach(() => setUp());
+
+  it('spaces messages to the same chat but not to different chats', async () => {
+    const start = Date.now();
+    await broadcasts.waitForChatSlot('alice');
+    await broadcasts.waitForChatSlot('bob');
+    assert.ok(Date.now() - start < 30);
+
+    await broadcasts.waitForChatSlot('alice');
+    assert.ok(Date.now() - start >= 35);
+  });
+});
@@ -0,0 +1,92 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { signCallbackData, verifyCallbackData, CallbackSignatureError } from '../utils/callbackSignature.js';
+
+const SECRET = 'test-secret';
+const SIGNAL_ID = '65f1c2a4b7e8d90123456789';
+const CHAT_ID = 123456789;
+const NOW = new Date('2025-06-01T12:00:00Z');
+const EXPIRES_AT = new Date('2025-06-02T12:00:00Z');
+
+const sign = (overrides = {}) => signCallbackData({
+  direction: 'buy',
+  signalId: SIGNAL_ID,
+  chatId: CHAT_ID,
+  expiresAt: EXPIRES_AT,
+  ...overrides
+}, SECRET);
+
+// Assert that verifying a payload is refused for the given reason
+const assertRefused = (data, click, reason, secret = SECRET) => {
+  assert.throws(
+    () => verifyCallbackData(data, click, secret),
+    (error) => error instanceof CallbackSignatureError && error.reason === reason
+  );
+};
+
+describe('signCallbackData', () => {
+  it('fits within Telegram\'s 64-byte callback_data limit', () => {
+    const data = sign();
+
+    assert.match(data, /^t:[A-Za-z0-9_-]+$/);
+    assert.equal(data.length, 49);
+    assert.ok(Buffer.byteLength(data) <= 64);
+    assert.match(sign({ direction: 'sell' }), /^s:/);
+  });
+});
+
+describe('verifyCallbackData', () => {
+  it('accepts a click from the recipient chat before expiry', () => {
+    assert.deepEqual(verifyCallbackData(sign(), { chatId: CHAT_ID, now: NOW }, SECRET), {
+      direction: 'buy',
+      signalId: SIGNAL_ID,
+      reference: SIGNAL_ID,
+      chatId: CHAT_ID,
+      expiresAt: EXPIRES_AT
+    });
+  });
+
+  it('accepts group chat ids and signals that were not stored', () => {
+    const verified = verifyCallbackData(
+      sign({ direction: 'sell', signalId: null, chatId: -1001234567890 }),
+      { chatId: -1001234567890, now: NOW },
+      SECRET
+    );
+
+    assert.equal(verified.direction, 'sell');
+    assert.equal(verified.signalId, null);
+    assert.match(verified.reference, /^[0-9a-f]{24}$/);
+  });
+
+  it('refuses forged payloads', () => {
+    const data = sign();
+    const body = Buffer.from(data.slice(2), 'base64url');
+
+    // Another chat id, with the MAC left as it was
+    const tampered = Buffer.from(body);
+    tampered.writeBigInt64BE(42n, 13);
+    assertRefused(`t:${tampered.toString('base64url')}`, { chatId: 42, now: NOW }, 'forged');
+
+    // The direction prefix is covered by the MAC too
+    assertRefused(`s:${data.slice(2)}`, { chatId: CHAT_ID, now: NOW }, 'forged');
+
+    // Signed with another key
+    assertRefused(data, { chatId: CHAT_ID, now: NOW }, 'forged', 'other-secret');
+  });
+
+  it('refuses expired payloads', () => {
+    assertRefused(sign(), { chatId: CHAT_ID, now: EXPIRES_AT }, 'expired');
+    assertRefused(sign(), { chatId: CHAT_ID, now: new Date('2025-07-01T00:00:00Z') }, 'expired');
+  });
+
+  it('refuses clicks from another chat', () => {
+    assertRefused(sign(), { chatId: CHAT_ID + 1, now: NOW }, 'wrong_recipient');
+    assertRefused(sign(), { chatId: undefined, now: NOW }, 'wrong_recipient');
+  });
+
+  it('refuses malformed and legacy payloads', () => {
+    for (const data of ['', undefined, 'simulate_trade_123', 't:abc', `x:${sign().slice(2)}`, `${sign()}A`]) {
+      assertRefused(data, { chatId: CHAT_ID, now: NOW }, 'malformed');
+    }
+  });
+});
@@ -0,0 +1,173 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { ObjectId } from 'mongodb';
+
+// dbConnect needs a URI at import time; the collection below never touches it
+process.env.MONGODB_URI ??= 'mongodb://127.0.0.1:27017/test';
+const { default: CampaignService } = await import('../services/CampaignService.js');
+const { default: SignalService } = await import('../services/SignalService.js');
+
+/**
+ * Stand-in for the campaigns collection that records every write and serves stored campaigns to find()
+ */
+class MemoryCampaigns {
+  constructor(stored = []) {
+    this.stored = stored;
+    this.updates = [];
+  }
+
+  find(filter) {
+    this.findFilter = filter;
+    return { toArray: async () => structuredClone(this.stored) };
+  }
+
+  async insertOne() {
+    return { insertedId: new ObjectId() };
+  }
+
+  async updateOne(filter, update) {
+    this.updates.push({ filter, update });
+    return { modifiedCount: 1 };
+  }
+}
+
+class FakeTelegram {
+  constructor(failFor = []) {
+    this.failFor = failFor;
+    this.sent = [];
+  }
+
+  async sendMessage(username, message) {
+    this.sent.push({ username, message });
+    if (this.failFor.includes(username)) {
+      throw new Error('chat not found');
+    }
+    return { result: { message_id: this.sent.length } };
+  }
+
+  toDelivery(response) {
+    return { status: 'sent', messageId: response.result.message_id };
+  }
+}
+
+// Runs sends straight away instead of through the rate-limited queue
+const fakeBroadcasts = {
+  waitForChatSlot: async () => {},
+  queue: { add: (task) => task() }
+};
+
+let campaigns;
+
+beforeEach(() => {
+  campaigns = new CampaignService(new FakeTelegram(), new SignalService(), fakeBroadcasts);
+});
+
+describe('CampaignService.renderTemplate', () => {
+  it('fills placeholders from the row and blanks unknown ones', () => {
+    assert.equal(
+      campaigns.renderTemplate('Hi {{ name }}, {{token}} is up {{change}}', { name: ' Ada ', token: 'UNI' }),
+      'Hi Ada, UNI is up '
+    );
+  });
+});
+
+describe('CampaignService.validateRecipientRows', () => {
+  const template = 'Hi {{name}}';
+
+  it('renders valid rows and reports errors by spreadsheet line', () => {
+    const rows = campaigns.validateRecipientRows(
+      'username,name\n@alice_1,Alice\nbob,Bob\nalice_1,Again\ncarol_3,\n123456789,Dan\n',
+      template
+    );
+
+    assert.deepEqual(rows.map((row) => [row.line, row.status]), [
+      [2, 'valid'], [3, 'invalid'], [4, 'invalid'], [5, 'invalid'], [6, 'valid']
+    ]);
+    assert.equal(rows[0].username, 'alice_1');
+    assert.equal(rows[0].message, 'Hi Alice');
+    assert.match(rows[1].errors[0], /not a valid Telegram username/);
+    assert.match(rows[2].errors[0], /appears more than once/);
+    assert.deepEqual(rows[3].errors, ['name is required by the template']);
+    assert.equal(rows[3].message, null);
+  });
+
+  it('requires a username on every row', () => {
+    const [row] = campaigns.validateRecipientRows('username,name\n,Alice\n', template);
+
+    assert.deepEqual(row.errors, ['username is required']);
+  });
+});
+
+describe('CampaignService.validateSignalRows', () => {
+  it('validates each signal and splits its recipients', () => {
+    const rows = campaigns.validateSignalRows(
+      'token,direction,entryPrice,tp1,sl,recipients\n' +
+      'UNI,buy,9.37,11.37,8.37,alice_1;@bob_22 carol_3\n' +
+      'ETH,sideways,100,110,90,alice_1\n'
+    );
+
+    assert.equal(rows[0].status, 'valid');
+    assert.equal(rows[0].signal.token, 'UNI');
+    assert.deepEqual(rows[0].recipients, ['alice_1', 'bob_22', 'carol_3']);
+    assert.equal(rows[1].status, 'invalid');
+    assert.ok(rows[1].errors.some((error) => error.startsWith('direction ')));
+  });
+});
+
+describe('CampaignService.sendRows', () => {
+  it('saves each row as it finishes and only the status and summary on completion', async () => {
+    const collection = new MemoryCampaigns();
+    campaigns.telegramService = new FakeTelegram(['bob_22']);
+    campaigns.getCollection = async () => collection;
+
+    const campaign = {
+      _id: new ObjectId(),
+      type: 'recipients',
+      rows: [
+        { line: 2, username: 'alice_1', message: 'Hi', status: 'queued', errors: [] },
+        { line: 3, username: 'bad', message: null, status: 'invalid', errors: ['username is required'] },
+        { line: 4, username: 'bob_22', message: 'Hi', status: 'queued', errors: [] }
+      ]
+    };
+
+    await campaigns.sendRows(campaign);
+
+    const rowUpdates = collection.updates.slice(0, -1);
+    assert.deepEqual(rowUpdates.map(({ update }) => Object.keys(update.$set)[0]).sort(), ['rows.0', 'rows.2']);
+    assert.equal(rowUpdates.find(({ update }) => update.$set['rows.2']).update.$set['rows.2'].status, 'failed');
+
+    const { filter, update } = collection.updates.at(-1);
+    assert.deepEqual(filter, { _id: campaign._id, status: 'running' });
+    assert.deepEqual(Object.keys(update.$set).sort(), ['completedAt', 'status', 'summary']);
+    assert.deepEqual(update.$set.summary, { total: 3, sent: 1, invalid: 1, failed: 1 });
+    assert.deepEqual(campaigns.telegramService.sent.map((send) => send.username).sort(), ['alice_1', 'bob_22']);
+  });
+});
+
+describe('CampaignService.failInterruptedCampaigns', () => {
+  it('fails stale running campaigns and their queued rows', async () => {
+    const heartbeatAt = new Date(Date.now() - 3600000);
+    const collection = new MemoryCampaigns([{
+      _id: new ObjectId(),
+      status: 'running',
+      heartbeatAt,
+      rows: [
+        { line: 2, status: 'sent', errors: [] },
+        { line: 3, status: 'queued', errors: [] }
+      ]
+    }]);
+    campaigns.getCollection = async () => collection;
+
+    assert.equal(await campaigns.failInterruptedCampaigns(), 1);
+
+    assert.equal(collection.findFilter.status, 'running');
+    assert.ok(collection.findFilter.$or.some((clause) => clause.heartbeatAt?.$lt instanceof Date));
+
+    const [{ filter, update }] = collection.updates;
+    assert.deepEqual(filter.heartbeatAt, heartbeatAt);
+    assert.equal(update.$set.status, 'failed');
+    assert.deepEqual(update.$set.rows.map((row) => row.status), ['sent', 'failed']);
+    assert.deepEqual(update.$set.rows[1].errors, ['Interrupted before it was sent']);
+    assert.deepEqual(update.$set.summary, { total: 2, sent: 1, failed: 1 });
+  });
+});
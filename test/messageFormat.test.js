@@ -0,0 +1,104 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { splitMessage, renderMessage, escapeText, bold, italic, link, code } from '../utils/messageFormat.js';
+
+const words = (count) => Array.from({ length: count }, (_, index) => `word${index}`).join(' ');
+
+// Tags opened and not closed in a chunk of HTML, or null if they are closed out of order
+const unclosedTags = (chunk) => {
+  const stack = [];
+  for (const [, closing, name] of chunk.matchAll(/<(\/?)([a-z]+)[^>]*>/g)) {
+    if (!closing) {
+      stack.push(name);
+    } else if (stack.pop() !== name) {
+      return null;
+    }
+  }
+  return stack;
+};
+
+describe('escapeText', () => {
+  it('escapes HTML special characters', () => {
+    assert.equal(escapeText('a < b && c > d', 'HTML'), 'a &lt; b &amp;&amp; c &gt; d');
+  });
+
+  it('escapes every MarkdownV2 special character', () => {
+    assert.equal(escapeText('_*[]()~`>#+-=|{}.!\\', 'MarkdownV2'), '\\_\\*\\[\\]\\(\\)\\~\\`\\>\\#\\+\\-\\=\\|\\{\\}\\.\\!\\\\');
+    assert.equal(escapeText('TP1: $10.2 (+8.9%)', 'MarkdownV2'), 'TP1: $10\\.2 \\(\\+8\\.9%\\)');
+  });
+
+  it('turns missing values into empty text', () => {
+    assert.equal(escapeText(null, 'HTML'), '');
+    assert.equal(escapeText(undefined, 'MarkdownV2'), '');
+    assert.equal(escapeText(42, 'HTML'), '42');
+  });
+
+  it('is applied to plain strings and part text by renderMessage', () => {
+    assert.equal(renderMessage([['1 < 2 ', bold('a&b'), ' ', code('x<y')]], 'HTML'), '1 &lt; 2 <b>a&amp;b</b> <code>x&lt;y</code>');
+    assert.equal(renderMessage([['v1.2 ', bold('a_b'), ' ', code('x`y')]], 'MarkdownV2'), 'v1\\.2 *a\\_b* `x\\`y`');
+  });
+});
+
+describe('splitMessage', () => {
+  it('returns short text unchanged', () => {
+    assert.deepEqual(splitMessage('*short*', 100, 'MarkdownV2'), ['*short*']);
+  });
+
+  it('splits between lines before cutting a line', () => {
+    const text = ['first line', 'second line', 'third line'].join('\n');
+    assert.deepEqual(splitMessage(text, 25), ['first line\nsecond line', 'third line']);
+  });
+
+  it('cuts overlong lines at a space and keeps every chunk within the limit', () => {
+    const chunks = splitMessage(words(200), 100);
+    assert.ok(chunks.length > 1);
+    assert.ok(chunks.every((chunk) => chunk.length <= 100));
+    assert.equal(chunks.join(' '), words(200));
+  });
+
+  it('closes and reopens HTML styles cut in the middle', () => {
+    const text = renderMessage([[bold(words(40)), ' and ', italic(words(40))], [link('details', 'https://example.com')]], 'HTML');
+    const chunks = splitMessage(text, 120, 'HTML');
+
+    assert.ok(chunks.length > 2);
+    for (const chunk of chunks) {
+      assert.ok(chunk.length <= 120);
+      assert.deepEqual(unclosedTags(chunk), []);
+    }
+    assert.match(chunks[1], /^<b>word/);
+    assert.equal(chunks.join(' ').replace(/<\/?[bi]>/g, ''), text.replace(/<\/?[bi]>/g, '').replace('\n', ' '));
+  });
+
+  it('closes and reopens MarkdownV2 styles cut in the middle', () => {
+    const text = renderMessage([[bold(words(40)), ' then ', italic(words(40))]], 'MarkdownV2');
+    const chunks = splitMessage(text, 100, 'MarkdownV2');
+
+    for (const chunk of chunks) {
+      assert.ok(chunk.length <= 100);
+      assert.equal((chunk.match(/(?<!\\)\*/g) || []).length % 2, 0);
+      assert.equal((chunk.match(/(?<!\\)_/g) || []).length % 2, 0);
+    }
+  });
+
+  it('never cuts inside a MarkdownV2 escape or link', () => {
+    const text = `${'a.'.repeat(30)} [see the full report](https://example.com/report)`;
+    const chunks = splitMessage(text, 50, 'MarkdownV2');
+
+    assert.ok(chunks.every((chunk) => !chunk.endsWith('\\')));
+    assert.ok(chunks.includes('[see the full report](https://example.com/report)'));
+  });
+
+  it('keeps caller-supplied styles that span lines balanced', () => {
+    const text = `*${words(10).split(' ').join('\n')}*`;
+    const chunks = splitMessage(text, 40, 'Markdown');
+
+    assert.ok(chunks.length > 1);
+    assert.ok(chunks.every((chunk) => chunk.startsWith('*') && chunk.endsWith('*')));
+  });
+
+  it('gives up on unbalanced markup so it can be sent as plain text', () => {
+    assert.equal(splitMessage(`<b>${words(50)}`, 100, 'HTML'), null);
+    assert.equal(splitMessage(`*${words(50)}`, 100, 'MarkdownV2'), null);
+    assert.ok(splitMessage(`*${words(50)}`, 100).every((chunk) => chunk.length <= 100));
+  });
+});
@@ -0,0 +1,142 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+// dbConnect needs a URI at import time; the collection below never touches it
+process.env.MONGODB_URI ??= 'mongodb://127.0.0.1:27017/test';
+const { default: PreferenceService, DEFAULT_NOTIFICATION_SETTINGS } = await import('../services/PreferenceService.js');
+
+const preferences = new PreferenceService();
+
+const quietHours = (overrides) => ({ ...DEFAULT_NOTIFICATION_SETTINGS.quietHours, enabled: true, ...overrides });
+const settings = (overrides = {}) => ({
+  ...DEFAULT_NOTIFICATION_SETTINGS,
+  ...overrides,
+  quietHours: quietHours(overrides.quietHours)
+});
+const at = (iso) => new Date(iso);
+
+describe('PreferenceService.getQuietHoursEnd', () => {
+  it('is null when quiet hours are off', () => {
+    assert.equal(preferences.getQuietHoursEnd(quietHours({ enabled: false }), at('2025-06-01T23:00:00Z')), null);
+  });
+
+  it('handles windows that wrap past midnight', () => {
+    const wrapping = quietHours({ start: '22:00', end: '07:00' });
+
+    assert.deepEqual(preferences.getQuietHoursEnd(wrapping, at('2025-06-01T23:30:00Z')), at('2025-06-02T07:00:00Z'));
+    assert.deepEqual(preferences.getQuietHoursEnd(wrapping, at('2025-06-02T06:59:00Z')), at('2025-06-02T07:00:00Z'));
+    assert.equal(preferences.getQuietHoursEnd(wrapping, at('2025-06-02T07:00:00Z')), null);
+    assert.equal(preferences.getQuietHoursEnd(wrapping, at('2025-06-01T21:59:00Z')), null);
+  });
+
+  it('handles windows within one day, start inclusive and end exclusive', () => {
+    const daytime = quietHours({ start: '09:00', end: '17:30' });
+
+    assert.deepEqual(preferences.getQuietHoursEnd(daytime, at('2025-06-01T09:00:00Z')), at('2025-06-01T17:30:00Z'));
+    assert.equal(preferences.getQuietHoursEnd(daytime, at('2025-06-01T17:30:00Z')), null);
+    assert.equal(preferences.getQuietHoursEnd(daytime, at('2025-06-01T08:59:00Z')), null);
+  });
+
+  it('reads the window in the user\'s time zone, including daylight saving time', () => {
+    const berlin = quietHours({ start: '22:00', end: '07:00', timezone: 'Europe/Berlin' });
+
+    // 21:30 UTC is 23:30 in Berlin in summer (UTC+2) and 22:30 in winter (UTC+1)
+    assert.deepEqual(preferences.getQuietHoursEnd(berlin, at('2025-06-01T21:30:00Z')), at('2025-06-02T05:00:00Z'));
+    assert.deepEqual(preferences.getQuietHoursEnd(berlin, at('2025-01-15T21:30:00Z')), at('2025-01-16T06:00:00Z'));
+    assert.equal(preferences.getQuietHoursEnd(berlin, at('2025-06-01T19:30:00Z')), null);
+  });
+
+  it('ends on the minute', () => {
+    const end = preferences.getQuietHoursEnd(quietHours({ start: '22:00', end: '07:00' }), at('2025-06-01T23:30:45.500Z'));
+
+    assert.deepEqual(end, at('2025-06-02T07:00:00Z'));
+  });
+});
+
+describe('PreferenceService.evaluate', () => {
+  const night = at('2025-06-01T23:00:00Z');
+
+  it('defers or drops signals during quiet hours', () => {
+    assert.deepEqual(preferences.evaluate(settings(), { direction: 'buy', token: 'UNI' }, { now: night }), {
+      action: 'defer', reason: 'quiet_hours', deliverAt: at('2025-06-02T07:00:00Z')
+    });
+    assert.deepEqual(
+      preferences.evaluate(settings({ quietHours: { action: 'drop' } }), { direction: 'buy', token: 'UNI' }, { now: night }),
+      { action: 'skip', reason: 'quiet_hours' }
+    );
+  });
+
+  it('sends deferred deliveries regardless of quiet hours', () => {
+    const decision = preferences.evaluate(settings(), { direction: 'buy', token: 'UNI' }, { now: night, ignoreQuietHours: true });
+
+    assert.deepEqual(decision, { action: 'send' });
+  });
+
+  it('applies token and direction filters before quiet hours', () => {
+    const evaluate = (overrides, signal) => preferences.evaluate(settings(overrides), signal, { now: night }).reason;
+
+    assert.equal(evaluate({ signalFilter: 'bullish' }, { direction: 'sell', token: 'UNI' }), 'bullish_only');
+    assert.equal(evaluate({ mutedTokens: ['UNI'] }, { direction: 'buy', token: 'uni' }), 'token_muted');
+    assert.equal(evaluate({ followedTokens: ['ETH'] }, { direction: 'buy', token: 'UNI' }), 'token_not_followed');
+  });
+});
+
+describe('PreferenceService.isValidQuietHours', () => {
+  it('accepts two different 24-hour times', () => {
+    assert.equal(preferences.isValidQuietHours('22:30', '07:00'), true);
+    assert.equal(preferences.isValidQuietHours('00:00', '23:59'), true);
+  });
+
+  it('refuses out-of-range, malformed and empty windows', () => {
+    assert.equal(preferences.isValidQuietHours('24:00', '07:00'), false);
+    assert.equal(preferences.isValidQuietHours('22:60', '07:00'), false);
+    assert.equal(preferences.isValidQuietHours('9:00', '17:00'), false);
+    assert.equal(preferences.isValidQuietHours(null, '07:00'), false);
+    assert.equal(preferences.isValidQuietHours('07:00', '07:00'), false);
+  });
+});
+
+describe('PreferenceService.dispatchDueMessages', () => {
+  it('extends the claim past each retry wait and records the outcome under the same claim', async () => {
+    const claimedAt = new Date();
+    const item = {
+      _id: 'deferred-1',
+      recipient: 'alice_1',
+      message: 'signal',
+      options: { signalId: 'signal-1' },
+      claims: 1,
+      claimedAt
+    };
+    const updates = [];
+    const collection = {
+      updateOne: async (filter, update) => {
+        updates.push({ filter, update });
+        return { matchedCount: 1 };
+      }
+    };
+
+    const service = new PreferenceService();
+    service.getDeferredCollection = async () => collection;
+    const queue = [item];
+    service.claimNextDeferred = async () => queue.shift() ?? null;
+
+    const sent = [];
+    const processed = await service.dispatchDueMessages(async (recipient, message, options) => {
+      sent.push({ recipient, options });
+      await options.onRetry(new Error('Too Many Requests'), 600000);
+    });
+
+    assert.equal(processed, 1);
+    assert.equal(sent[0].options.ignoreQuietHours, true);
+    assert.equal(sent[0].options.signalId, 'signal-1');
+
+    const claimed = { _id: 'deferred-1', claimedBy: service.instanceId, claimedAt };
+    const [extend, outcome] = updates;
+    assert.deepEqual(extend.filter, claimed);
+    // Default DEFERRED_CLAIM_TIMEOUT_MS of two minutes after a ten-minute wait
+    const expiresIn = extend.update.$set.claimExpiresAt.getTime() - Date.now();
+    assert.ok(expiresIn > 600000 + 110000 && expiresIn <= 600000 + 120000);
+    assert.deepEqual(outcome.filter, claimed);
+    assert.equal(outcome.update.$set.status, 'sent');
+  });
+});
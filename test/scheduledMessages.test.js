@@ -0,0 +1,231 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ObjectId } from 'mongodb';
+
+// dbConnect needs a URI at import time; the collection below never touches it
+process.env.MONGODB_URI ??= 'mongodb://127.0.0.1:27017/test';
+const { default: ScheduleService } = await import('../services/ScheduleService.js');
+const { default: SignalService } = await import('../services/SignalService.js');
+
+const minutesFromNow = (minutes) => new Date(Date.now() + minutes * 60000);
+
+// Match a filter using the operators claimNext and dispatchDue rely on
+const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$or') {
+    return condition.some((alternative) => matches(doc, alternative));
+  }
+  if (condition instanceof Date) {
+    return doc[key]?.getTime() === condition.getTime();
+  }
+  if (condition && typeof condition === 'object' && !(condition instanceof ObjectId)) {
+    return (condition.$lte === undefined || doc[key] <= condition.$lte)
+      && (condition.$lt === undefined || doc[key] < condition.$lt);
+  }
+  return String(doc[key]) === String(condition);
+});
+
+/**
+ * In-memory stand-in for the scheduled_messages collection
+ */
+class MemoryScheduled {
+  constructor(items) {
+    this.items = items;
+  }
+
+  async findOneAndUpdate(filter, update, options) {
+    await null;
+    const item = this.items
+      .filter((candidate) => matches(candidate, filter))
+      .sort((a, b) => a.sendAt - b.sendAt)[0];
+    if (!item) {
+      return null;
+    }
+    Object.assign(item, update.$set);
+    for (const [field, amount] of Object.entries(update.$inc ?? {})) {
+      item[field] = (item[field] ?? 0) + amount;
+    }
+    return options.returnDocument === 'after' ? { ...item } : item;
+  }
+
+  async updateOne(filter, update) {
+    await null;
+    const item = this.items.find((candidate) => matches(candidate, filter));
+    if (item) {
+      Object.assign(item, update.$set);
+    }
+    return { matchedCount: item ? 1 : 0 };
+  }
+}
+
+/**
+ * A scheduler over the given items whose collaborators record the signals stored and jobs created
+ */
+const setUp = (items, { jobs = [] } = {}) => {
+  const collection = new MemoryScheduled(items);
+  const calls = [];
+  const signals = new Map();
+
+  const signalService = new SignalService();
+  signalService.createSignal = async (signal, recipients) => {
+    const signalDocument = { ...signal, _id: new ObjectId(), recipients, message: `${signal.token} signal` };
+    signals.set(signalDocument._id.toString(), signalDocument);
+    calls.push(`createSignal ${signal.token}`);
+    return signalDocument;
+  };
+  signalService.getSignalById = async (signalId) => signals.get(String(signalId)) ?? null;
+
+  const broadcastService = {
+    findJobByScheduledId: async (scheduledId) => jobs.find((job) => job.scheduledId === scheduledId) ?? null,
+    createJob: async ({ signal, scheduledId }) => {
+      // The signal id must be on the item before the job exists
+      const item = collection.items.find((candidate) => candidate._id === scheduledId);
+      calls.push(`createJob ${signal ? `signal stored as ${item.signalId}` : 'message'}`);
+      const job = { _id: new ObjectId(), scheduledId, signalId: signal ? signal._id.toString() : null };
+      jobs.push(job);
+      return job;
+    },
+    getLinkedUsernames: async () => ['alice_1', 'bob_2']
+  };
+
+  const scheduler = new ScheduleService(broadcastService, signalService);
+  scheduler.getCollection = async () => collection;
+  return { scheduler, collection, calls, signals, jobs };
+};
+
+const signalItem = (overrides = {}) => ({
+  _id: new ObjectId(),
+  type: 'signal',
+  signal: { token: 'UNI', direction: 'buy', entryPrice: 9.37, tp1: 10.2, tp2: null, sl: 8.37 },
+  usernames: ['alice_1'],
+  status: 'scheduled',
+  sendAt: minutesFromNow(-1),
+  latePolicy: null,
+  ...overrides
+});
+
+describe('ScheduleService.validateInput', () => {
+  const { scheduler } = setUp([]);
+
+  it('accepts a message for usernames or all linked users', () => {
+    const { item, errors } = scheduler.validateInput({
+      sendAt: minutesFromNow(60).toISOString(),
+      message: 'Weekly recap',
+      usernames: ['@alice_1', ' ']
+    });
+
+    assert.deepEqual(errors, []);
+    assert.equal(item.type, 'message');
+    assert.equal(item.parseMode, 'Markdown');
+    assert.deepEqual(item.usernames, ['alice_1']);
+
+    const everyone = scheduler.validateInput({ sendAt: minutesFromNow(60).toISOString(), message: 'Hi', allLinkedUsers: true });
+    assert.deepEqual(everyone.errors, []);
+    assert.equal(everyone.item.usernames, null);
+  });
+
+  it('accepts a structured signal with its recipients', () => {
+    const { item, errors } = scheduler.validateInput({
+      sendAt: minutesFromNow(60).toISOString(),
+      signal: { token: '$uni', direction: 'long', entry: '9.37', tp1: 10.2, sl: 8.37, recipients: ['alice_1'] }
+    });
+
+    assert.deepEqual(errors, []);
+    assert.equal(item.type, 'signal');
+    assert.equal(item.signal.token, 'UNI');
+    assert.equal(item.signal.direction, 'buy');
+    assert.deepEqual(item.usernames, ['alice_1']);
+  });
+
+  it('refuses send times in the past, too far ahead or malformed', () => {
+    const sendAtError = (sendAt) => scheduler.validateInput({ sendAt, message: 'Hi', allLinkedUsers: true }).errors[0];
+
+    assert.deepEqual(sendAtError(minutesFromNow(-1).toISOString()), { field: 'sendAt', message: 'must be in the future' });
+    assert.deepEqual(sendAtError(minutesFromNow(91 * 24 * 60).toISOString()), { field: 'sendAt', message: 'must be within 90 days' });
+    assert.deepEqual(sendAtError('tomorrow'), { field: 'sendAt', message: 'must be an ISO 8601 date' });
+  });
+
+  it('reports every invalid field', () => {
+    const fields = (input) => scheduler.validateInput({ sendAt: minutesFromNow(60).toISOString(), ...input }).errors
+      .map((error) => error.field);
+
+    assert.deepEqual(fields({ message: 'Hi', latePolicy: 'later', parseMode: 'BBCode' }), ['latePolicy', 'parseMode', 'usernames']);
+    assert.deepEqual(fields({ message: 'Hi', signal: {} }), ['message']);
+    assert.deepEqual(fields({}), ['message']);
+    assert.deepEqual(fields({ signal: { token: 'UNI', direction: 'buy', tp1: 10, sl: 8, recipients: ['alice_1'] } }), ['signal.entryPrice']);
+  });
+});
+
+describe('ScheduleService.dispatchDue', () => {
+  it('sends due items once, leaving future items scheduled', async () => {
+    const due = signalItem();
+    const later = signalItem({ sendAt: minutesFromNow(60) });
+    const { scheduler, calls } = setUp([due, later]);
+
+    assert.deepEqual(await scheduler.dispatchDue(), { dispatched: 1, skipped: 0, failed: 0 });
+    assert.deepEqual(await scheduler.dispatchDue(), { dispatched: 0, skipped: 0, failed: 0 });
+
+    assert.equal(due.status, 'dispatched');
+    assert.equal(due.claims, 1);
+    assert.equal(later.status, 'scheduled');
+    assert.deepEqual(calls, ['createSignal UNI', `createJob signal stored as ${due.signalId}`]);
+  });
+
+  it('leaves items claimed by another replica alone until the claim expires', async () => {
+    const claimedElsewhere = signalItem({ status: 'dispatching', claimedBy: 'other:1', claimExpiresAt: minutesFromNow(1), claims: 1 });
+    const { scheduler, calls } = setUp([claimedElsewhere]);
+
+    assert.deepEqual(await scheduler.dispatchDue(), { dispatched: 0, skipped: 0, failed: 0 });
+    assert.deepEqual(calls, []);
+
+    claimedElsewhere.claimExpiresAt = minutesFromNow(-1);
+    assert.deepEqual(await scheduler.dispatchDue(), { dispatched: 1, skipped: 0, failed: 0 });
+    assert.equal(claimedElsewhere.claimedBy, scheduler.instanceId);
+    assert.equal(claimedElsewhere.claims, 2);
+  });
+
+  it('sends the signal an abandoned claim stored instead of storing a second one', async () => {
+    const item = signalItem({ status: 'dispatching', claimedBy: 'other:1', claimExpiresAt: minutesFromNow(-1), claims: 1 });
+    const { scheduler, calls, signals } = setUp([item]);
+    const stored = await scheduler.signalService.createSignal(item.signal, item.usernames);
+    item.signalId = stored._id.toString();
+    calls.length = 0;
+
+    assert.deepEqual(await scheduler.dispatchDue(), { dispatched: 1, skipped: 0, failed: 0 });
+
+    assert.deepEqual(calls, [`createJob signal stored as ${item.signalId}`]);
+    assert.equal(signals.size, 1);
+    assert.equal(item.signalId, stored._id.toString());
+  });
+
+  it('records the job an abandoned claim already created', async () => {
+    const item = signalItem({ status: 'dispatching', claimedBy: 'other:1', claimExpiresAt: minutesFromNow(-1), claims: 1 });
+    const job = { _id: new ObjectId(), scheduledId: item._id, signalId: new ObjectId().toString() };
+    const { scheduler, calls } = setUp([item], { jobs: [job] });
+
+    assert.deepEqual(await scheduler.dispatchDue(), { dispatched: 1, skipped: 0, failed: 0 });
+
+    assert.deepEqual(calls, []);
+    assert.equal(item.broadcastJobId, job._id);
+    assert.equal(item.signalId, job.signalId);
+  });
+
+  it('skips late items when the late policy says so', async () => {
+    const late = signalItem({ sendAt: minutesFromNow(-10), latePolicy: 'skip' });
+    const { scheduler, calls } = setUp([late]);
+
+    assert.deepEqual(await scheduler.dispatchDue(), { dispatched: 0, skipped: 1, failed: 0 });
+
+    assert.equal(late.status, 'skipped');
+    assert.equal(late.reason, 'late');
+    assert.deepEqual(calls, []);
+  });
+
+  it('fails messages for all linked users when nobody is linked', async () => {
+    const item = { ...signalItem(), type: 'message', message: 'Hi', usernames: null, allLinkedUsers: true };
+    const { scheduler } = setUp([item]);
+    scheduler.broadcastService.getLinkedUsernames = async () => [];
+
+    assert.deepEqual(await scheduler.dispatchDue(), { dispatched: 0, skipped: 0, failed: 1 });
+    assert.equal(item.error, 'No recipients to send to');
+  });
+});
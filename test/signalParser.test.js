@@ -0,0 +1,118 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSignal, parsePrice } from '../utils/signalParser.js';
+import { renderSignalMessage } from '../utils/signalTemplate.js';
+
+const PLAIN_SIGNAL = [
+  '🚀 Bullish Alert 🚀',
+  '',
+  '🏛️ Token: UNI (Uniswap)',
+  '📈 Signal: Buy',
+  '💰 Entry Price: $9.37',
+  '🎯 Targets:',
+  'TP1: $10.2',
+  'TP2: $11.5',
+  '🛑 Stop Loss: $8.9',
+  '⏳ Timeline: Short-term (1-7 days)',
+  '',
+  '💡 Trade Tip:',
+  'Falling wedge breakout with rising volume.'
+].join('\n');
+
+const EXPECTED_FIELDS = {
+  token: 'UNI',
+  tokenName: 'Uniswap',
+  direction: 'buy',
+  entryPrice: 9.37,
+  tp1: 10.2,
+  tp2: 11.5,
+  sl: 8.9,
+  timeline: 'Short-term (1-7 days)',
+  tradeTip: 'Falling wedge breakout with rising volume.'
+};
+
+const pick = (parsed) => Object.fromEntries(Object.keys(EXPECTED_FIELDS).map((key) => [key, parsed[key]]));
+
+describe('parsePrice', () => {
+  it('reads dollar amounts, thousands separators and k suffixes', () => {
+    assert.equal(parsePrice('$9.37'), 9.37);
+    assert.equal(parsePrice('1,234.5'), 1234.5);
+    assert.equal(parsePrice('12.5k'), 12500);
+    assert.equal(parsePrice('.5'), 0.5);
+    assert.equal(parsePrice('$ 42 (approx.)'), 42);
+  });
+
+  it('returns null for a missing value and undefined for an unreadable one', () => {
+    assert.equal(parsePrice(null), null);
+    assert.equal(parsePrice(undefined), null);
+    assert.equal(parsePrice('soon'), undefined);
+    assert.equal(parsePrice('-5'), undefined);
+  });
+});
+
+describe('parseSignal', () => {
+  it('parses a plain text signal', () => {
+    const parsed = parseSignal(PLAIN_SIGNAL);
+
+    assert.equal(parsed.isValid, true);
+    assert.equal(parsed.format, 'plain');
+    assert.deepEqual(parsed.errors, []);
+    assert.deepEqual(pick(parsed), EXPECTED_FIELDS);
+  });
+
+  for (const parseMode of ['HTML', 'MarkdownV2']) {
+    it(`parses a signal rendered for ${parseMode} to the same fields`, () => {
+      const message = renderSignalMessage(EXPECTED_FIELDS, parseMode);
+      const parsed = parseSignal(message);
+
+      assert.equal(parsed.format, parseMode.toLowerCase());
+      assert.deepEqual(pick(parsed), EXPECTED_FIELDS);
+    });
+  }
+
+  it('parses a rendered signal with prices too small for plain number formatting', () => {
+    const tiny = { ...EXPECTED_FIELDS, entryPrice: 0.00000123, tp1: 0.0000015, tp2: 2.1e-6, sl: 9.5e-7 };
+
+    const parsed = parseSignal(renderSignalMessage(tiny, 'MarkdownV2'));
+
+    assert.equal(parsed.isValid, true);
+    assert.deepEqual(pick(parsed), tiny);
+  });
+
+  it('parses legacy Markdown with bold labels', () => {
+    const parsed = parseSignal(PLAIN_SIGNAL.replace(/(Token|Signal|Entry Price|Stop Loss):/g, '**$1**:'));
+
+    assert.equal(parsed.format, 'markdown');
+    assert.deepEqual(pick(parsed), EXPECTED_FIELDS);
+  });
+
+  it('takes the direction from a short signal or the alert heading', () => {
+    assert.equal(parseSignal(PLAIN_SIGNAL.replace('Signal: Buy', 'Signal: Short')).direction, 'sell');
+    assert.equal(parseSignal(PLAIN_SIGNAL.replace('📈 Signal: Buy\n', '')).direction, 'buy');
+    assert.equal(
+      parseSignal(PLAIN_SIGNAL.replace('Bullish', 'Bearish').replace('📈 Signal: Buy\n', '')).direction,
+      'sell'
+    );
+  });
+
+  it('reports missing and invalid fields', () => {
+    const parsed = parseSignal(PLAIN_SIGNAL
+      .replace('🛑 Stop Loss: $8.9\n', '')
+      .replace('TP1: $10.2', 'TP1: soon')
+      .replace('Signal: Buy', 'Signal: Hold'));
+
+    assert.equal(parsed.isValid, false);
+    assert.deepEqual(parsed.errors, [
+      { field: 'direction', message: '"Hold" is not buy, sell, long or short' },
+      { field: 'tp1', message: '"soon" is not a valid price' },
+      { field: 'sl', message: 'is required' }
+    ]);
+  });
+
+  it('refuses an empty message', () => {
+    const parsed = parseSignal('  ');
+
+    assert.equal(parsed.isValid, false);
+    assert.deepEqual(parsed.errors, [{ field: 'message', message: 'is empty' }]);
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatPrice, renderSignalMessage, renderRetractedSignalMessage } from '../utils/signalTemplate.js';
+import { CAPTION_LIMIT, MESSAGE_LIMIT } from '../utils/messageFormat.js';
+
+const signal = {
+  token: 'UNI',
+  tokenName: 'Uniswap',
+  direction: 'buy',
+  entryPrice: 9.37,
+  tp1: 10.2,
+  tp2: 11,
+  sl: 8.37,
+  timeline: '1-3 days'
+};
+
+describe('formatPrice', () => {
+  it('writes prices in fixed-point with the decimals they need', () => {
+    assert.equal(formatPrice(9.37), '$9.37');
+    assert.equal(formatPrice(42), '$42');
+    assert.equal(formatPrice(0.1), '$0.1');
+    assert.equal(formatPrice(1.23e-6), '$0.00000123');
+    assert.equal(formatPrice(5e-10), '$0.0000000005');
+    assert.equal(formatPrice(68250.5), '$68250.5');
+  });
+});
+
+describe('renderRetractedSignalMessage', () => {
+  it('shows a short reason as it is', () => {
+    const text = renderRetractedSignalMessage(signal, 'Setup invalidated', 'HTML');
+
+    assert.ok(text.startsWith('🚫 <b>Signal retracted</b>: Setup invalidated\n'));
+    assert.ok(text.includes('<s>TP1: $10.2</s>'));
+  });
+
+  it('shortens the reason so the notice fits in the caption of a media signal', () => {
+    const media = { ...signal, media: { type: 'photo', url: 'https://example.com/chart.png' }, message: 'signal' };
+    // Every character of these reasons grows when escaped
+    const reasons = { HTML: '<&>'.repeat(200), MarkdownV2: '.!-'.repeat(200) };
+
+    for (const [parseMode, reason] of Object.entries(reasons)) {
+      const text = renderRetractedSignalMessage(media, reason, parseMode);
+      const notice = text.split('\n')[0];
+
+      assert.ok(text.length <= CAPTION_LIMIT, `${parseMode} notice is ${text.length} characters`);
+      assert.ok(notice.endsWith('…'));
+      // Only as much as needed is cut
+      assert.ok(text.length > CAPTION_LIMIT - 10, `${parseMode} notice is ${text.length} characters`);
+    }
+  });
+
+  it('keeps the full reason when the signal was sent as a plain message', () => {
+    const reason = '<&>'.repeat(200);
+
+    const text = renderRetractedSignalMessage(signal, reason, 'HTML');
+
+    assert.ok(text.length <= MESSAGE_LIMIT);
+    assert.ok(text.includes('&lt;&amp;&gt;'.repeat(200)));
+  });
+
+  it('leaves out the trade tip', () => {
+    const text = renderRetractedSignalMessage({ ...signal, tradeTip: 'Buy the dip' }, null, 'HTML');
+
+    assert.ok(renderSignalMessage({ ...signal, tradeTip: 'Buy the dip' }, 'HTML').includes('Buy the dip'));
+    assert.ok(!text.includes('Buy the dip'));
+    assert.ok(text.startsWith('🚫 <b>Signal retracted</b>\n'));
+  });
+});
@@ -0,0 +1,201 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// dbConnect needs a URI at import time; the collection below never touches it
+process.env.MONGODB_URI ??= 'mongodb://127.0.0.1:27017/test';
+const { default: SimulationService } = await import('../services/SimulationService.js');
+
+const STALE_CLAIM_MS = 60000;
+const DEDUPE_KEY = '123:456:789';
+
+const sameValue = (a, b) => (a instanceof Date && b instanceof Date ? a.getTime() === b.getTime() : a === b);
+const matches = (doc, filter) => Object.entries(filter).every(([key, value]) => sameValue(doc[key], value));
+
+/**
+ * In-memory stand-in for the trade_simulations collection, covering the operations claimSimulation uses.
+ * Every operation yields once before applying, so concurrent claims interleave like separate requests.
+ */
+class MemoryCollection {
+  constructor() {
+    this.docs = [];
+    this.nextId = 1;
+    this.filters = [];
+    this.failNextUpsert = null;
+  }
+
+  async findOne(filter) {
+    await null;
+    return this.docs.find((doc) => matches(doc, filter)) ?? null;
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    await null;
+    this.filters.push(filter);
+    let doc = this.docs.find((candidate) => matches(candidate, filter));
+    let updatedExisting = Boolean(doc);
+
+    if (!doc && options.upsert) {
+      // Another request inserts the same record between our lookup and insert
+      if (this.failNextUpsert) {
+        this.docs.push({ _id: this.nextId++, ...this.failNextUpsert });
+        this.failNextUpsert = null;
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      }
+      doc = { _id: this.nextId++, ...filter, ...update.$setOnInsert };
+      this.docs.push(doc);
+      updatedExisting = false;
+    } else if (doc) {
+      Object.assign(doc, update.$set);
+      for (const key of Object.keys(update.$unset ?? {})) {
+        delete doc[key];
+      }
+      for (const [key, value] of Object.entries(update.$push ?? {})) {
+        doc[key] = [...(doc[key] ?? []), value];
+      }
+    }
+
+    const value = doc ? structuredClone(doc) : null;
+    return options.includeResultMetadata ? { value, lastErrorObject: { updatedExisting } } : value;
+  }
+
+  seed(fields) {
+    const doc = { _id: this.nextId++, dedupeKey: DEDUPE_KEY, statusHistory: [], ...fields };
+    this.docs.push(doc);
+    return doc;
+  }
+}
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60000);
+const record = () => ({ dedupeKey: DEDUPE_KEY, chatId: '123', messageId: 456, userId: 789, callbackTimestamp: new Date() });
+
+let collection;
+let simulations;
+
+beforeEach(() => {
+  collection = new MemoryCollection();
+  simulations = new SimulationService({ staleClaimMs: STALE_CLAIM_MS });
+  simulations.getCollection = async () => collection;
+});
+
+describe('claimSimulation', () => {
+  it('creates the record on the first click', async () => {
+    const { simulation, isNew } = await simulations.claimSimulation(record(), 'pending_confirmation');
+
+    assert.equal(isNew, true);
+    assert.equal(simulation.status, 'pending_confirmation');
+    assert.equal(simulation.confirmedAt, undefined);
+    assert.equal(collection.docs.length, 1);
+  });
+
+  it('marks auto-simulations confirmed as they start processing', async () => {
+    const { simulation, isNew } = await simulations.claimSimulation(record());
+
+    assert.equal(isNew, true);
+    assert.equal(simulation.status, 'processing');
+    assert.ok(simulation.confirmedAt instanceof Date);
+  });
+
+  it('gives the record to only one of two simultaneous first clicks', async () => {
+    const claims = await Promise.all([
+      simulations.claimSimulation(record(), 'pending_confirmation'),
+      simulations.claimSimulation(record(), 'pending_confirmation')
+    ]);
+
+    assert.deepEqual(claims.map((claim) => claim.isNew).sort(), [false, true]);
+    assert.equal(collection.docs.length, 1);
+  });
+
+  it('returns the existing record when a concurrent insert wins the unique index', async () => {
+    collection.failNextUpsert = { dedupeKey: DEDUPE_KEY, status: 'pending_confirmation', updatedAt: new Date() };
+
+    const { simulation, isNew } = await simulations.claimSimulation(record(), 'pending_confirmation');
+
+    assert.equal(isNew, false);
+    assert.equal(simulation.status, 'pending_confirmation');
+  });
+
+  for (const status of ['error', 'cancelled']) {
+    it(`reclaims a record in ${status}`, async () => {
+      collection.seed({ status, updatedAt: minutesAgo(1), error: { message: 'boom' }, confirmedAt: minutesAgo(2) });
+
+      const { simulation, isNew } = await simulations.claimSimulation(record(), 'pending_confirmation');
+
+      assert.equal(isNew, true);
+      assert.equal(simulation.status, 'pending_confirmation');
+      assert.equal(simulation.error, undefined);
+      assert.equal(simulation.confirmedAt, undefined);
+      assert.deepEqual(simulation.statusHistory.map((entry) => entry.status), ['pending_confirmation']);
+    });
+  }
+
+  it('reclaims only for one of two simultaneous retries', async () => {
+    collection.seed({ status: 'error', updatedAt: minutesAgo(1) });
+
+    const claims = await Promise.all([
+      simulations.claimSimulation(record(), 'pending_confirmation'),
+      simulations.claimSimulation(record(), 'pending_confirmation')
+    ]);
+
+    assert.deepEqual(claims.map((claim) => claim.isNew).sort(), [false, true]);
+    assert.equal(collection.docs[0].statusHistory.length, 1);
+  });
+
+  it('matches status and updatedAt when reclaiming, so a record that moved on is left alone', async () => {
+    const updatedAt = minutesAgo(1);
+    const seeded = collection.seed({ status: 'cancelled', updatedAt });
+
+    await simulations.claimSimulation(record(), 'pending_confirmation');
+
+    assert.deepEqual(collection.filters.at(-1), { _id: seeded._id, status: 'cancelled', updatedAt });
+  });
+
+  for (const status of ['processing', 'pending_confirmation']) {
+    it(`leaves a record in ${status} alone within the stale-claim window`, async () => {
+      collection.seed({ status, updatedAt: new Date(Date.now() - STALE_CLAIM_MS + 5000) });
+
+      const { simulation, isNew } = await simulations.claimSimulation(record(), 'pending_confirmation');
+
+      assert.equal(isNew, false);
+      assert.equal(simulation.status, status);
+    });
+
+    it(`reclaims a record left in ${status} beyond the stale-claim window`, async () => {
+      collection.seed({ status, updatedAt: new Date(Date.now() - STALE_CLAIM_MS - 5000) });
+
+      const { simulation, isNew } = await simulations.claimSimulation(record());
+
+      assert.equal(isNew, true);
+      assert.equal(simulation.status, 'processing');
+      assert.ok(simulation.confirmedAt instanceof Date);
+    });
+  }
+
+  it('never reclaims a stale record that already has a trade', async () => {
+    collection.seed({ status: 'processing', tradeId: 'trade-1', updatedAt: minutesAgo(60) });
+
+    const { isNew } = await simulations.claimSimulation(record());
+
+    assert.equal(isNew, false);
+  });
+
+  it('never reclaims a record whose engine outcome is unconfirmed', async () => {
+    collection.seed({ status: 'unconfirmed', updatedAt: minutesAgo(60), error: { message: 'timeout' } });
+
+    const { simulation, isNew } = await simulations.claimSimulation(record());
+
+    assert.equal(isNew, false);
+    assert.equal(simulation.status, 'unconfirmed');
+    assert.equal(collection.filters.length, 1);
+  });
+
+  for (const status of ['success', 'failed']) {
+    it(`answers with the existing record once it is ${status}`, async () => {
+      collection.seed({ status, updatedAt: minutesAgo(60) });
+
+      const { simulation, isNew } = await simulations.claimSimulation(record());
+
+      assert.equal(isNew, false);
+      assert.equal(simulation.status, status);
+    });
+  }
+});
@@ -0,0 +1,138 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ObjectId } from 'mongodb';
+
+// dbConnect needs a URI at import time; the collection below never touches it
+process.env.MONGODB_URI ??= 'mongodb://127.0.0.1:27017/test';
+const { default: SimulationService, SimulationQueryError } = await import('../services/SimulationService.js');
+
+const invalidQuery = (message) => (error) => error instanceof SimulationQueryError
+  && error.statusCode === 400
+  && (!message || error.message.includes(message));
+
+const simulation = { _id: new ObjectId('665b1c2e9f1a4b0012345678'), timestamp: new Date('2025-06-01T12:00:00Z') };
+
+/**
+ * A service whose collection records the query, sort and limit find() asks for
+ */
+const serviceRecordingFind = () => {
+  const calls = {};
+  const service = new SimulationService();
+  service.getCollection = async () => ({
+    find: (query) => {
+      calls.query = query;
+      const found = {
+        sort: (sort) => {
+          calls.sort = sort;
+          return found;
+        },
+        limit: (limit) => {
+          calls.limit = limit;
+          return found;
+        }
+      };
+      return found;
+    }
+  });
+  return { service, calls };
+};
+
+describe('SimulationService cursors', () => {
+  const service = new SimulationService();
+
+  it('continue after the last simulation, using _id to break ties', () => {
+    const cursor = service.encodeCursor(simulation, 'timestamp', 'desc');
+
+    assert.match(cursor, /^[A-Za-z0-9_-]+$/);
+    assert.deepEqual(service.decodeCursor(cursor, 'timestamp', 'desc'), {
+      $or: [
+        { timestamp: { $lt: simulation.timestamp } },
+        { timestamp: simulation.timestamp, _id: { $lt: simulation._id } }
+      ]
+    });
+  });
+
+  it('go forward in time when the order is ascending', () => {
+    const cursor = service.encodeCursor(simulation, 'timestamp', 'asc');
+
+    assert.deepEqual(service.decodeCursor(cursor, 'timestamp', 'asc').$or[0], { timestamp: { $gt: simulation.timestamp } });
+  });
+
+  it('refuse a cursor made for another order', () => {
+    const cursor = service.encodeCursor(simulation, 'timestamp', 'asc');
+
+    assert.throws(() => service.decodeCursor(cursor, 'timestamp', 'desc'), invalidQuery('different sort'));
+  });
+
+  it('refuse cursors that were not made by encodeCursor', () => {
+    const encode = (position) => Buffer.from(JSON.stringify(position)).toString('base64url');
+
+    assert.throws(() => service.decodeCursor('not a cursor', 'timestamp', 'desc'), invalidQuery('Invalid cursor'));
+    assert.throws(() => service.decodeCursor(encode(null), 'timestamp', 'desc'), invalidQuery('Invalid cursor'));
+    assert.throws(
+      () => service.decodeCursor(encode({ sort: 'timestamp', order: 'desc', value: 'yesterday', id: simulation._id.toString() }), 'timestamp', 'desc'),
+      invalidQuery('Invalid cursor')
+    );
+    assert.throws(
+      () => service.decodeCursor(encode({ sort: 'timestamp', order: 'desc', value: simulation.timestamp, id: '42' }), 'timestamp', 'desc'),
+      invalidQuery('Invalid cursor')
+    );
+  });
+});
+
+describe('SimulationService.find', () => {
+  it('sorts by timestamp and _id, newest first by default', async () => {
+    const { service, calls } = serviceRecordingFind();
+
+    await service.find({ filters: { token: '$uni' }, limit: 11 });
+
+    assert.deepEqual(calls.query, { $and: [{ 'signalData.token': 'UNI' }] });
+    assert.deepEqual(calls.sort, { timestamp: -1, _id: -1 });
+    assert.equal(calls.limit, 11);
+  });
+
+  it('adds the cursor to the filters', async () => {
+    const { service, calls } = serviceRecordingFind();
+    const cursor = service.encodeCursor(simulation, 'timestamp', 'asc');
+
+    await service.find({ filters: { status: 'success, error' }, order: 'asc', cursor });
+
+    assert.deepEqual(calls.query.$and[0], { status: { $in: ['success', 'error'] } });
+    assert.deepEqual(calls.query.$and[1], service.decodeCursor(cursor, 'timestamp', 'asc'));
+    assert.deepEqual(calls.sort, { timestamp: 1, _id: 1 });
+    assert.equal(calls.limit, undefined);
+  });
+
+  it('refuses sort fields other than timestamp and unknown orders', async () => {
+    const { service } = serviceRecordingFind();
+
+    await assert.rejects(service.find({ sort: 'updatedAt' }), invalidQuery('sort must be one of timestamp'));
+    await assert.rejects(service.find({ order: 'newest' }), invalidQuery('order must be asc or desc'));
+  });
+
+  it('refuses invalid filters', async () => {
+    const { service } = serviceRecordingFind();
+
+    await assert.rejects(service.find({ filters: { from: 'last week' } }), invalidQuery('from must be an ISO date'));
+    await assert.rejects(service.find({ filters: { chatId: 'abc' } }), invalidQuery('chatId must be a number'));
+    await assert.rejects(service.find({ filters: { safeAddress: '0x123' } }), invalidQuery('safeAddress'));
+  });
+});
+
+describe('SimulationService.list', () => {
+  it('returns a cursor only when more simulations remain', async () => {
+    const service = new SimulationService();
+    const stored = Array.from({ length: 3 }, (_, index) => ({
+      _id: new ObjectId(),
+      timestamp: new Date(Date.UTC(2025, 5, 3 - index))
+    }));
+    service.find = async ({ limit }) => ({ toArray: async () => stored.slice(0, limit) });
+
+    const firstPage = await service.list({ limit: 2 });
+    const lastPage = await service.list({ limit: 3 });
+
+    assert.equal(firstPage.simulations.length, 2);
+    assert.equal(firstPage.nextCursor, service.encodeCursor(stored[1], 'timestamp', 'desc'));
+    assert.equal(lastPage.nextCursor, null);
+  });
+});
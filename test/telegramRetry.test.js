@@ -0,0 +1,158 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { TelegramApiError, toTelegramApiError } from '../utils/telegramErrors.js';
+
+// dbConnect needs a URI at import time; nothing below connects
+process.env.MONGODB_URI ??= 'mongodb://127.0.0.1:27017/test';
+process.env.TELEGRAM_SEND_MAX_ATTEMPTS = '4';
+const { default: TelegramService } = await import('../services/TelegramService.js');
+
+const apiError = (code, description, parameters) => Object.assign(new Error(description), {
+  response: { error_code: code, description, parameters }
+});
+const networkError = (code) => Object.assign(new Error(`connect ${code}`), { code });
+
+describe('toTelegramApiError', () => {
+  it('reads Telegraf and axios error bodies, including retry_after', () => {
+    const telegraf = toTelegramApiError(apiError(429, 'Too Many Requests: retry after 7', { retry_after: 7 }));
+    assert.ok(telegraf instanceof TelegramApiError);
+    assert.equal(telegraf.code, 429);
+    assert.equal(telegraf.retryAfter, 7);
+
+    const axios = toTelegramApiError(Object.assign(new Error('Request failed'), {
+      response: { status: 403, data: { error_code: 403, description: 'Forbidden: bot was blocked by the user' } }
+    }));
+    assert.equal(axios.code, 403);
+    assert.equal(axios.isBlocked, true);
+  });
+
+  it('keeps the system code of network errors and passes other errors through', () => {
+    assert.equal(toTelegramApiError(networkError('ECONNRESET')).networkCode, 'ECONNRESET');
+
+    const bug = new TypeError('Cannot read properties of undefined');
+    assert.equal(toTelegramApiError(bug), bug);
+  });
+});
+
+describe('TelegramApiError.isTransient', () => {
+  const transient = (error) => toTelegramApiError(error).isTransient;
+
+  it('retries rate limits, server errors and connections refused before sending', () => {
+    assert.equal(transient(apiError(429, 'Too Many Requests', { retry_after: 1 })), true);
+    assert.equal(transient(apiError(502, 'Bad Gateway')), true);
+    assert.equal(transient(networkError('ECONNREFUSED')), true);
+    assert.equal(transient(networkError('ENOTFOUND')), true);
+  });
+
+  it('does not retry client errors or connections lost after sending', () => {
+    assert.equal(transient(apiError(400, 'Bad Request: chat not found')), false);
+    assert.equal(transient(apiError(403, 'Forbidden: bot was blocked by the user')), false);
+    // The message may already have been delivered
+    assert.equal(transient(networkError('ECONNRESET')), false);
+    assert.equal(transient(networkError('ETIMEDOUT')), false);
+  });
+});
+
+describe('TelegramService.withRetry', () => {
+  const realSetTimeout = globalThis.setTimeout;
+  let delays;
+
+  // Record each back-off instead of waiting for it
+  beforeEach(() => {
+    delays = [];
+    globalThis.setTimeout = (callback, ms) => {
+      delays.push(ms);
+      return realSetTimeout(callback, 0);
+    };
+  });
+
+  afterEach(() => {
+    globalThis.setTimeout = realSetTimeout;
+  });
+
+  const withRetry = (operation, onRetry) => TelegramService.prototype.withRetry.call({}, operation, onRetry);
+
+  // An operation that fails with the given errors in turn, then succeeds
+  const failing = (...errors) => {
+    const calls = { count: 0 };
+    const operation = async () => {
+      const error = errors[calls.count++];
+      if (error) throw error;
+      return 'sent';
+    };
+    return { operation, calls };
+  };
+
+  it('waits retry_after on 429 and backs off exponentially otherwise', async () => {
+    const { operation, calls } = failing(
+      apiError(429, 'Too Many Requests', { retry_after: 3 }),
+      apiError(500, 'Internal Server Error'),
+      networkError('ECONNREFUSED')
+    );
+
+    assert.equal(await withRetry(operation), 'sent');
+    assert.equal(calls.count, 4);
+    assert.deepEqual(delays, [3000, 2000, 4000]);
+  });
+
+  it('reports each retried attempt', async () => {
+    const retried = [];
+    const { operation } = failing(apiError(429, 'Too Many Requests', { retry_after: 1 }));
+
+    await withRetry(operation, (error) => retried.push(error.code));
+
+    assert.deepEqual(retried, [429]);
+  });
+
+  it('fails at once on errors that are not transient', async () => {
+    const { operation, calls } = failing(networkError('ECONNRESET'));
+
+    await assert.rejects(withRetry(operation), (error) => error instanceof TelegramApiError && error.networkCode === 'ECONNRESET');
+    assert.equal(calls.count, 1);
+    assert.deepEqual(delays, []);
+  });
+
+  it('gives up after TELEGRAM_SEND_MAX_ATTEMPTS attempts', async () => {
+    const { operation, calls } = failing(...Array.from({ length: 5 }, () => apiError(502, 'Bad Gateway')));
+
+    await assert.rejects(withRetry(operation), (error) => error.code === 502);
+    assert.equal(calls.count, 4);
+  });
+});
+
+describe('TelegramService.sendMessage failures', () => {
+  // A service with just enough collaborators to reach delivery, recording the message log
+  const serviceFailingWith = (error) => {
+    const service = Object.create(TelegramService.prototype);
+    const log = [];
+    Object.assign(service, {
+      chats: { isChatRecipient: () => false, deactivate: async () => log.push('deactivate') },
+      findRecipient: async () => ({ chatId: 42 }),
+      messageLog: {
+        logQueued: async () => 'log-1',
+        logFailed: async (logId, failure) => log.push(['failed', logId, failure.message]),
+        logBlocked: async () => log.push('blocked')
+      },
+      flagBlockedUser: async () => log.push('flagged'),
+      deliver: async () => { throw error; }
+    });
+    return { service, log };
+  };
+
+  it('closes the log entry when delivery fails with an error that is not from Telegram', async () => {
+    const { service, log } = serviceFailingWith(new TypeError('Cannot read properties of undefined'));
+
+    await assert.rejects(service.sendMessage('alice_1', 'hello'), TypeError);
+
+    assert.deepEqual(log, [['failed', 'log-1', 'Cannot read properties of undefined']]);
+  });
+
+  it('flags users who blocked the bot', async () => {
+    const blocked = new TelegramApiError({ code: 403, description: 'Forbidden: bot was blocked by the user' });
+    const { service, log } = serviceFailingWith(blocked);
+
+    await assert.rejects(service.sendMessage('alice_1', 'hello'), TelegramApiError);
+
+    assert.deepEqual(log, [['failed', 'log-1', blocked.message], 'flagged']);
+  });
+});
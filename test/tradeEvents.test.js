@@ -0,0 +1,103 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+// dbConnect needs a URI at import time; the collection below never touches it
+process.env.MONGODB_URI ??= 'mongodb://127.0.0.1:27017/test';
+const { default: SimulationService } = await import('../services/SimulationService.js');
+const { default: TradeEventService, TradeEventError } = await import('../services/TradeEventService.js');
+
+// Match a filter using the operators recordTradeEvent relies on
+const matches = (doc, filter) => Object.entries(filter).every(([key, condition]) => {
+  if (key === 'tradeEvents.event') {
+    return !(doc.tradeEvents ?? []).some((tradeEvent) => tradeEvent.event === condition.$ne);
+  }
+  if (condition && typeof condition === 'object' && '$ne' in condition) {
+    return doc[key] !== condition.$ne;
+  }
+  return doc[key] === condition;
+});
+
+/**
+ * In-memory stand-in for the trade_simulations collection holding a single simulation
+ */
+class MemorySimulations {
+  constructor(doc) {
+    this.doc = doc;
+  }
+
+  async findOneAndUpdate(filter, update) {
+    await null;
+    if (!matches(this.doc, filter)) {
+      return null;
+    }
+    Object.assign(this.doc, update.$set);
+    this.doc.tradeEvents = [...(this.doc.tradeEvents ?? []), update.$push.tradeEvents];
+    return structuredClone(this.doc);
+  }
+}
+
+let collection;
+let events;
+let notified;
+
+beforeEach(() => {
+  collection = new MemorySimulations({ _id: 'simulation-1', tradeId: 'trade-1', status: 'success' });
+  const simulations = new SimulationService();
+  simulations.getCollection = async () => collection;
+  simulations.findByTradeId = async (tradeId) => (tradeId === collection.doc.tradeId ? collection.doc : null);
+
+  notified = [];
+  events = new TradeEventService({ simulations });
+  events.notifyUser = async (simulation, tradeEvent) => notified.push(tradeEvent.event);
+});
+
+const send = (event, extra = {}) => events.handleEvent({ tradeId: 'trade-1', event, ...extra });
+
+describe('TradeEventService.handleEvent', () => {
+  it('records each event, moves the trade status on and notifies the user', async () => {
+    await send('opened', { price: 9.37 });
+    await send('sl_hit', { price: 8.37, pnl: -10, pnlPercent: -10.67 });
+
+    assert.equal(collection.doc.tradeStatus, 'closed');
+    assert.equal(collection.doc.realizedPnl, -10);
+    assert.deepEqual(collection.doc.tradeEvents.map((tradeEvent) => tradeEvent.event), ['opened', 'sl_hit']);
+    assert.deepEqual(notified, ['opened', 'sl_hit']);
+  });
+
+  it('ignores an event delivered twice', async () => {
+    await send('opened');
+    const outcome = await send('opened');
+
+    assert.equal(outcome.duplicate, true);
+    assert.equal(collection.doc.tradeEvents.length, 1);
+    assert.deepEqual(notified, ['opened']);
+  });
+
+  it('never reopens a closed trade, but keeps late events in its history', async () => {
+    await send('tp2_hit', { pnl: 25, pnlPercent: 42.7 });
+    const outcome = await send('tp1_hit', { pnl: 12.5, pnlPercent: 21.3 });
+    await send('opened');
+
+    assert.equal(outcome.duplicate, false);
+    assert.equal(collection.doc.tradeStatus, 'closed');
+    assert.equal(collection.doc.realizedPnl, 25);
+    assert.equal(collection.doc.realizedPnlPercent, 42.7);
+    assert.deepEqual(collection.doc.tradeEvents.map((tradeEvent) => tradeEvent.event), ['tp2_hit', 'tp1_hit', 'opened']);
+  });
+
+  it('keeps the first closing event\'s result when another one follows', async () => {
+    await send('sl_hit', { pnl: -10 });
+    await send('expired', { pnl: 3 });
+
+    assert.equal(collection.doc.realizedPnl, -10);
+    assert.equal(collection.doc.tradeEvents.length, 2);
+  });
+
+  it('refuses unknown events and trades', async () => {
+    await assert.rejects(send('moon'), (error) => error instanceof TradeEventError && error.statusCode === 400);
+    await assert.rejects(
+      events.handleEvent({ tradeId: 'trade-2', event: 'opened' }),
+      (error) => error instanceof TradeEventError && error.statusCode === 404
+    );
+  });
+});
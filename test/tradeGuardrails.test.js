@@ -0,0 +1,122 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  GuardrailError,
+  checkSignalAge,
+  checkSignalAvailable,
+  startOfUtcDay,
+  MAX_SIGNAL_AGE_MINUTES
+} from '../utils/tradeGuardrails.js';
+
+// dbConnect needs a URI at import time; the collection below never touches it
+process.env.MONGODB_URI ??= 'mongodb://127.0.0.1:27017/test';
+const { default: SimulationService } = await import('../services/SimulationService.js');
+
+const NOW = new Date('2025-06-01T12:00:00Z');
+const minutesBefore = (minutes) => new Date(NOW.getTime() - minutes * 60000);
+const refusedFor = (reason) => (error) => error instanceof GuardrailError && error.reason === reason;
+
+describe('checkSignalAge', () => {
+  it('accepts signals up to the maximum age and signals without a time', () => {
+    assert.doesNotThrow(() => checkSignalAge(minutesBefore(MAX_SIGNAL_AGE_MINUTES), NOW));
+    assert.doesNotThrow(() => checkSignalAge(null, NOW));
+  });
+
+  it('refuses older signals', () => {
+    assert.throws(() => checkSignalAge(minutesBefore(MAX_SIGNAL_AGE_MINUTES + 1), NOW), refusedFor('signal_too_old'));
+  });
+});
+
+describe('checkSignalAvailable', () => {
+  const signal = { token: 'UNI', status: 'active', createdAt: minutesBefore(60), expiresAt: new Date('2025-06-02T00:00:00Z') };
+
+  it('accepts active signals before they expire', () => {
+    assert.doesNotThrow(() => checkSignalAvailable(signal, NOW));
+  });
+
+  it('refuses retracted signals with the reason', () => {
+    assert.throws(
+      () => checkSignalAvailable({ ...signal, status: 'retracted', retractReason: 'Wrong entry' }, NOW),
+      (error) => refusedFor('signal_retracted')(error) && error.message.endsWith('Reason: Wrong entry')
+    );
+  });
+
+  it('refuses signals whose timeline ran out', () => {
+    assert.throws(() => checkSignalAvailable({ ...signal, expiresAt: NOW }, NOW), refusedFor('signal_expired'));
+  });
+});
+
+describe('startOfUtcDay', () => {
+  it('is midnight UTC of the same day', () => {
+    assert.deepEqual(startOfUtcDay(new Date('2025-06-01T23:59:59.999Z')), new Date('2025-06-01T00:00:00Z'));
+  });
+});
+
+/**
+ * In-memory stand-in for the simulation_daily_usage collection. Like MongoDB, an upsert whose filter no
+ * longer matches the existing counter tries to insert a second one with the same key.
+ */
+class MemoryCounters {
+  constructor() {
+    this.counters = new Map();
+  }
+
+  async findOne({ _id }) {
+    return this.counters.get(_id) ?? null;
+  }
+
+  async updateOne({ _id, count }, update, options = {}) {
+    await null;
+    const counter = this.counters.get(_id);
+    const matches = counter && (!count || (count.$lt === undefined || counter.count < count.$lt)
+      && (count.$gt === undefined || counter.count > count.$gt));
+
+    if (matches) {
+      counter.count += update.$inc.count;
+    } else if (counter && options.upsert) {
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    } else if (options.upsert) {
+      this.counters.set(_id, { _id, count: update.$inc.count, ...update.$setOnInsert });
+    }
+  }
+}
+
+describe('SimulationService daily counter', () => {
+  const from = { id: 1001, username: 'alice_1' };
+  const setUp = () => {
+    const counters = new MemoryCounters();
+    const simulations = new SimulationService();
+    simulations.getUsageCollection = async () => counters;
+    return simulations;
+  };
+
+  it('reserves up to the limit, even when confirmations race', async () => {
+    const simulations = setUp();
+
+    const slots = await Promise.all(Array.from({ length: 5 }, () => simulations.reserveDailySlot(from, 3)));
+
+    assert.equal(slots.filter(Boolean).length, 3);
+    assert.equal(await simulations.countDailySlots(from), 3);
+  });
+
+  it('keys the counter on the Telegram user and the UTC day', async () => {
+    const simulations = setUp();
+
+    const slot = await simulations.reserveDailySlot(from, 3);
+
+    assert.equal(slot, `1001:${new Date().toISOString().slice(0, 10)}`);
+    assert.equal(await simulations.countDailySlots({ id: 2002 }), 0);
+  });
+
+  it('lets the pre-check see what confirmations reserved and released', async () => {
+    const simulations = setUp();
+
+    assert.equal(await simulations.countDailySlots(from), 0);
+    const slot = await simulations.reserveDailySlot(from, 3);
+    await simulations.reserveDailySlot(from, 3);
+    assert.equal(await simulations.countDailySlots(from), 2);
+
+    await simulations.releaseDailySlot(slot);
+    assert.equal(await simulations.countDailySlots(from), 1);
+  });
+});
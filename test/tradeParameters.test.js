@@ -0,0 +1,84 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DEFAULT_EXIT_WINDOW_HOURS,
+  POSITION_SIZE_OPTIONS,
+  exitWindowFromTimeline,
+  signalExpiresAt,
+  formatExitWindow,
+  formatPositionSize,
+  encodePositionSize,
+  decodePositionSize
+} from '../utils/tradeParameters.js';
+
+describe('exitWindowFromTimeline', () => {
+  it('uses the upper bound of ranges', () => {
+    assert.equal(exitWindowFromTimeline('Short-term (1-7 days)'), 168);
+    assert.equal(exitWindowFromTimeline('2 to 3 weeks'), 504);
+    assert.equal(exitWindowFromTimeline('12–36 hours'), 36);
+  });
+
+  it('reads single amounts in every unit', () => {
+    assert.equal(exitWindowFromTimeline('6 hrs'), 6);
+    assert.equal(exitWindowFromTimeline('1.5 days'), 36);
+    assert.equal(exitWindowFromTimeline('1 month'), 720);
+  });
+
+  it('falls back to keywords, then to the default', () => {
+    assert.equal(exitWindowFromTimeline('Intraday scalp'), 24);
+    assert.equal(exitWindowFromTimeline('Mid-term swing'), 720);
+    assert.equal(exitWindowFromTimeline('Long term'), 90 * 24);
+    assert.equal(exitWindowFromTimeline('whenever'), DEFAULT_EXIT_WINDOW_HOURS);
+    assert.equal(exitWindowFromTimeline(null), DEFAULT_EXIT_WINDOW_HOURS);
+  });
+
+  it('caps the window at 90 days and ignores zero amounts', () => {
+    assert.equal(exitWindowFromTimeline('12 months'), 90 * 24);
+    assert.equal(exitWindowFromTimeline('0 days'), DEFAULT_EXIT_WINDOW_HOURS);
+  });
+});
+
+describe('signalExpiresAt', () => {
+  const createdAt = new Date('2025-06-01T00:00:00Z');
+
+  it('is the timeline after the signal was created', () => {
+    assert.deepEqual(signalExpiresAt({ createdAt, timeline: '1-3 days' }), new Date('2025-06-04T00:00:00Z'));
+    assert.deepEqual(signalExpiresAt({ createdAt }), new Date('2025-06-02T00:00:00Z'));
+  });
+
+  it('prefers the stored expiry', () => {
+    const expiresAt = new Date('2025-06-10T00:00:00Z');
+
+    assert.deepEqual(signalExpiresAt({ createdAt, timeline: '1 day', expiresAt: expiresAt.toISOString() }), expiresAt);
+  });
+});
+
+describe('formatExitWindow', () => {
+  it('shows whole days as days', () => {
+    assert.equal(formatExitWindow(24), '1 day');
+    assert.equal(formatExitWindow(72), '3 days');
+    assert.equal(formatExitWindow(1), '1 hour');
+    assert.equal(formatExitWindow(36), '36 hours');
+  });
+});
+
+describe('position sizes', () => {
+  it('formats amounts, percentages and the engine default', () => {
+    assert.equal(formatPositionSize({ type: 'amount', value: 250 }), '$250');
+    assert.equal(formatPositionSize({ type: 'percent', value: 10 }), '10% of Safe balance');
+    assert.equal(formatPositionSize(null), 'Engine default');
+  });
+
+  it('round-trips every offered option through callback data', () => {
+    for (const option of POSITION_SIZE_OPTIONS) {
+      assert.deepEqual(decodePositionSize(encodePositionSize(option)), option);
+    }
+    assert.equal(decodePositionSize('none'), null);
+  });
+
+  it('refuses sizes that were not offered', () => {
+    assert.equal(decodePositionSize('a1000000'), undefined);
+    assert.equal(decodePositionSize('p100'), undefined);
+    assert.equal(decodePositionSize('x'), undefined);
+  });
+});
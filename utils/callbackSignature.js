@@ -0,0 +1,114 @@
+// Signed callback_data for Simulate buttons, bound to the chat the signal was sent to.
+//
+// A payload is "t:" (buy) or "s:" (sell) followed by 35 bytes in base64url, 49 characters in all,
+// within Telegram's 64-byte callback_data limit:
+//
+//   flags (1) | signal reference (12) | recipient chat id (8) | expiry in unix seconds (4) | HMAC-SHA256 (first 10)
+//
+// The reference is the stored signal's ObjectId, or random bytes for signals that were not stored.
+// The HMAC covers the direction prefix and every other byte.
+import crypto from 'crypto';
+
+const DIRECTION_PREFIXES = { buy: 't', sell: 's' };
+const FLAG_STORED_SIGNAL = 1;
+const BODY_BYTES = 25;
+const MAC_BYTES = 10;
+
+/**
+ * Error raised when a Simulate button's payload is refused
+ */
+export class CallbackSignatureError extends Error {
+  /**
+   * @param {string} reason - Machine-readable reason (malformed, forged, expired, wrong_recipient)
+   * @param {string} message - Explanation shown to the clicker
+   */
+  constructor(reason, message) {
+    super(message);
+    this.name = 'CallbackSignatureError';
+    this.reason = reason;
+  }
+}
+
+/**
+ * Signing key from CALLBACK_SIGNING_SECRET, or derived from the bot token when it is not set
+ * @returns {Buffer|string} Key
+ */
+export function getCallbackSecret() {
+  return process.env.CALLBACK_SIGNING_SECRET
+    || crypto.createHash('sha256').update(`callback-signing:${process.env.TELEGRAM_BOT_TOKEN}`).digest();
+}
+
+/**
+ * Compute the truncated HMAC of a payload
+ * @param {string} prefix - Direction prefix
+ * @param {Buffer} body - Payload bytes
+ * @param {Buffer|string} secret - Signing key
+ * @returns {Buffer} MAC
+ */
+function computeMac(prefix, body, secret) {
+  return crypto.createHmac('sha256', secret).update(prefix).update(body).digest().subarray(0, MAC_BYTES);
+}
+
+/**
+ * Build the signed callback_data of a Simulate button
+ * @param {object} params - Payload fields
+ * @param {'buy'|'sell'} params.direction - Signal direction
+ * @param {string|null} params.signalId - Stored signal id, or null for signals that were not stored
+ * @param {number|string} params.chatId - Chat the message is sent to; clicks from other chats are refused
+ * @param {Date} params.expiresAt - When the button stops working
+ * @param {Buffer|string} secret - Signing key
+ * @returns {string} callback_data
+ */
+export function signCallbackData({ direction, signalId, chatId, expiresAt }, secret) {
+  const body = Buffer.alloc(BODY_BYTES);
+  body.writeUInt8(signalId ? FLAG_STORED_SIGNAL : 0, 0);
+  (signalId ? Buffer.from(String(signalId), 'hex') : crypto.randomBytes(12)).copy(body, 1);
+  body.writeBigInt64BE(BigInt(chatId), 13);
+  body.writeUInt32BE(Math.floor(expiresAt.getTime() / 1000), 21);
+
+  const prefix = DIRECTION_PREFIXES[direction];
+  return `${prefix}:${Buffer.concat([body, computeMac(prefix, body, secret)]).toString('base64url')}`;
+}
+
+/**
+ * Verify a Simulate button's callback_data for a click
+ * @param {string} data - callback_data of the click
+ * @param {object} click - Where the click came from
+ * @param {number|undefined} click.chatId - Chat of the clicked message
+ * @param {Date} [click.now] - Current time
+ * @param {Buffer|string} secret - Signing key
+ * @returns {{ direction: 'buy'|'sell', signalId: string|null, reference: string, chatId: number, expiresAt: Date }}
+ * @throws {CallbackSignatureError} If the payload is malformed, forged, expired or was sent to another chat
+ */
+export function verifyCallbackData(data, { chatId, now = new Date() }, secret) {
+  const match = /^([ts]):([A-Za-z0-9_-]+)$/.exec(data || '');
+  const raw = match ? Buffer.from(match[2], 'base64url') : null;
+  if (!raw || raw.length !== BODY_BYTES + MAC_BYTES) {
+    throw new CallbackSignatureError('malformed', 'This button is from an older message and can no longer be used. Please wait for the next signal.');
+  }
+
+  const [, prefix] = match;
+  const body = raw.subarray(0, BODY_BYTES);
+  if (!crypto.timingSafeEqual(raw.subarray(BODY_BYTES), computeMac(prefix, body, secret))) {
+    throw new CallbackSignatureError('forged', 'This button could not be verified and was ignored.');
+  }
+
+  const expiresAt = new Date(body.readUInt32BE(21) * 1000);
+  if (expiresAt <= now) {
+    throw new CallbackSignatureError('expired', 'This signal has expired and can no longer be simulated.');
+  }
+
+  const recipientChatId = body.readBigInt64BE(13);
+  if (chatId === undefined || chatId === null || BigInt(chatId) !== recipientChatId) {
+    throw new CallbackSignatureError('wrong_recipient', 'This signal was sent to someone else. Only its recipient can simulate it.');
+  }
+
+  const reference = body.subarray(1, 13).toString('hex');
+  return {
+    direction: prefix === 't' ? 'buy' : 'sell',
+    signalId: body.readUInt8(0) & FLAG_STORED_SIGNAL ? reference : null,
+    reference,
+    chatId: Number(recipientChatId),
+    expiresAt
+  };
+}
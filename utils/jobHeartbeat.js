@@ -0,0 +1,41 @@
+// Liveness of background jobs (broadcast jobs and campaigns) that run inside a server process
+
+// A running job refreshes its heartbeat this often
+export const JOB_HEARTBEAT_INTERVAL_MS = parseInt(process.env.JOB_HEARTBEAT_INTERVAL_MS || '30000');
+
+// A job whose heartbeat is older than this was interrupted, e.g. by a restart
+export const JOB_STALE_AFTER_MS = parseInt(process.env.JOB_STALE_AFTER_MS || '300000');
+
+/**
+ * Refresh a job's heartbeatAt every JOB_HEARTBEAT_INTERVAL_MS until the returned function is called
+ * @param {import('mongodb').Collection} collection - Collection holding the job
+ * @param {import('mongodb').ObjectId} jobId - Job id
+ * @returns {Function} Stops the heartbeat
+ */
+export function startHeartbeat(collection, jobId) {
+  const timer = setInterval(() => {
+    collection.updateOne({ _id: jobId }, { $set: { heartbeatAt: new Date() } }).catch((error) => {
+      console.error(`Error refreshing the heartbeat of job ${jobId}:`, error);
+    });
+  }, JOB_HEARTBEAT_INTERVAL_MS);
+  // A heartbeat alone must not keep the process alive
+  timer.unref();
+
+  return () => clearInterval(timer);
+}
+
+/**
+ * Build the filter matching jobs whose heartbeat stopped. Jobs stored before heartbeats were recorded
+ * are judged by when they were created.
+ * @param {Date} [now] - Current time
+ * @returns {object} MongoDB filter
+ */
+export function staleHeartbeatFilter(now = new Date()) {
+  const cutoff = new Date(now.getTime() - JOB_STALE_AFTER_MS);
+  return {
+    $or: [
+      { heartbeatAt: { $lt: cutoff } },
+      { heartbeatAt: { $exists: false }, createdAt: { $lt: cutoff } }
+    ]
+  };
+}
@@ -0,0 +1,312 @@
+// Build Telegram messages from structured parts and render them for MarkdownV2 or HTML.
+//
+// A message is a list of lines. A line is a string, a part, or a list of strings and parts;
+// strings are plain text and are always escaped.
+//
+//   renderMessage([[bold('🏛️ Token'), ': ', token], '', italic('Please wait...')], 'HTML')
+//
+// Styles never span lines. Messages that are too long are split by splitMessage, which closes the
+// styles still open at each cut and reopens them in the next chunk.
+
+// Modes rendered by this module; 'Markdown' is Telegram's legacy mode, still accepted for text written by API callers
+export const PARSE_MODES = ['MarkdownV2', 'HTML'];
+
+// Parse mode of the messages the bot builds itself
+export const DEFAULT_PARSE_MODE = process.env.TELEGRAM_PARSE_MODE === 'MarkdownV2' ? 'MarkdownV2' : 'HTML';
+
+// Telegram's limits for message text and media captions
+export const MESSAGE_LIMIT = 4096;
+export const CAPTION_LIMIT = 1024;
+
+// MarkdownV2 requires these to be escaped anywhere outside code
+const MARKDOWN_V2_SPECIAL = /[_*[\]()~`>#+\-=|{}.!\\]/g;
+
+/**
+ * Bold text
+ * @param {*} text - Text
+ * @returns {object} Part
+ */
+export const bold = (text) => ({ style: 'bold', text: String(text ?? '') });
+
+/**
+ * Italic text
+ * @param {*} text - Text
+ * @returns {object} Part
+ */
+export const italic = (text) => ({ style: 'italic', text: String(text ?? '') });
+
+/**
+ * Struck-through text
+ * @param {*} text - Text
+ * @returns {object} Part
+ */
+export const strike = (text) => ({ style: 'strike', text: String(text ?? '') });
+
+/**
+ * Monospace text, e.g. addresses and ids
+ * @param {*} text - Text
+ * @returns {object} Part
+ */
+export const code = (text) => ({ style: 'code', text: String(text ?? '') });
+
+/**
+ * Link
+ * @param {*} text - Link text
+ * @param {string} url - Target URL
+ * @returns {object} Part
+ */
+export const link = (text, url) => ({ style: 'link', text: String(text ?? ''), url: String(url) });
+
+/**
+ * A labelled line with the label in bold, e.g. field('🏛️', 'Token', 'UNI') for "🏛️ Token: UNI"
+ * @param {string} icon - Leading emoji
+ * @param {string} label - Label
+ * @param {...(string|object)} value - Value text and parts
+ * @returns {Array} Line
+ */
+export const field = (icon, label, ...value) => [`${icon} `, bold(label), ': ', ...value];
+
+/**
+ * Escape plain text for a parse mode
+ * @param {*} text - Text
+ * @param {string} parseMode - MarkdownV2 or HTML
+ * @returns {string} Escaped text
+ */
+export function escapeText(text, parseMode) {
+  const value = String(text ?? '');
+  if (parseMode === 'HTML') {
+    return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  }
+  return value.replace(MARKDOWN_V2_SPECIAL, '\\$&');
+}
+
+/**
+ * Render one part
+ * @param {string|object} part - Plain text or a part from bold, italic, strike, code or link
+ * @param {string} parseMode - MarkdownV2 or HTML
+ * @returns {string} Rendered text
+ */
+function renderPart(part, parseMode) {
+  if (typeof part !== 'object' || part === null) {
+    return escapeText(part, parseMode);
+  }
+
+  const html = parseMode === 'HTML';
+  switch (part.style) {
+    case 'bold':
+      return html ? `<b>${escapeText(part.text, parseMode)}</b>` : `*${escapeText(part.text, parseMode)}*`;
+    case 'italic':
+      return html ? `<i>${escapeText(part.text, parseMode)}</i>` : `_${escapeText(part.text, parseMode)}_`;
+    case 'strike':
+      return html ? `<s>${escapeText(part.text, parseMode)}</s>` : `~${escapeText(part.text, parseMode)}~`;
+    case 'code':
+      // Inside code MarkdownV2 only needs ` and \ escaped
+      return html
+        ? `<code>${escapeText(part.text, parseMode)}</code>`
+        : `\`${part.text.replace(/[`\\]/g, '\\$&')}\``;
+    case 'link':
+      return html
+        ? `<a href="${escapeText(part.url, parseMode).replace(/"/g, '&quot;')}">${escapeText(part.text, parseMode)}</a>`
+        : `[${escapeText(part.text, parseMode)}](${part.url.replace(/[)\\]/g, '\\$&')})`;
+    default:
+      return escapeText(part.text, parseMode);
+  }
+}
+
+/**
+ * Render a message. Newlines inside parts are flattened to spaces so styles stay on one line.
+ * @param {Array} lines - Lines of the message
+ * @param {string} [parseMode] - MarkdownV2 or HTML
+ * @returns {string} Message text for that parse_mode
+ */
+export function renderMessage(lines, parseMode = DEFAULT_PARSE_MODE) {
+  if (!PARSE_MODES.includes(parseMode)) {
+    throw new Error(`Unsupported parse mode: ${parseMode}`);
+  }
+
+  return lines.map((line) => {
+    const parts = Array.isArray(line) ? line : [line];
+    return parts
+      .filter((part) => part !== null && part !== undefined && part !== false)
+      .map((part) => {
+        if (typeof part === 'object') {
+          return renderPart({ ...part, text: part.text.replace(/\n/g, ' ') }, parseMode);
+        }
+        return renderPart(part, parseMode);
+      })
+      .join('');
+  }).join('\n');
+}
+
+// Style markers of each Markdown flavour, longest first; links are matched separately
+const MARKDOWN_V2_MARKERS = ['```', '__', '||', '*', '_', '~', '`'];
+const MARKDOWN_MARKERS = ['```', '*', '_', '`'];
+const MARKDOWN_LINK = /^!?\[(?:[^\]\\]|\\.)*\]\((?:[^)\\]|\\.)*\)/;
+const HTML_TAG = /^<(\/?)([a-z][a-z0-9-]*)(?:\s[^>]*)?>/i;
+const HTML_ENTITY = /^&(?:[a-z]+|#\d+|#x[0-9a-f]+);/i;
+
+/**
+ * Scan formatted text for the styles open at each position and the positions it may not be cut at
+ * (inside a tag, entity or link, or right after an escape)
+ * @param {string} text - Formatted text
+ * @param {string} [parseMode] - Markdown, MarkdownV2 or HTML; plain text when not set
+ * @returns {{ open: Array<Array<{ open: string, close: string }>>, cuttable: boolean[] }|null} Per-position
+ *   state, or null if the markup is unbalanced or not understood
+ */
+function scanMarkup(text, parseMode) {
+  const open = new Array(text.length + 1);
+  const cuttable = new Array(text.length + 1).fill(true);
+  const legacy = parseMode === 'Markdown';
+  const markers = legacy ? MARKDOWN_MARKERS : MARKDOWN_V2_MARKERS;
+  let stack = [];
+  let i = 0;
+
+  // Keep the current state over the next `length` characters and refuse cuts inside them
+  const skip = (length) => {
+    for (let j = i + 1; j < i + length; j++) {
+      open[j] = stack;
+      cuttable[j] = false;
+    }
+  };
+
+  while (i < text.length) {
+    open[i] = stack;
+    const top = stack[stack.length - 1];
+
+    if (parseMode === 'HTML') {
+      const tag = text[i] === '<' ? HTML_TAG.exec(text.slice(i)) : null;
+      const entity = text[i] === '&' ? HTML_ENTITY.exec(text.slice(i)) : null;
+      if (text[i] === '<' && !tag) {
+        return null;
+      }
+
+      const length = (tag || entity)?.[0].length || 1;
+      skip(length);
+      if (tag && tag[1]) {
+        if (!top || top.name !== tag[2].toLowerCase()) return null;
+        stack = stack.slice(0, -1);
+      } else if (tag) {
+        stack = [...stack, { name: tag[2].toLowerCase(), open: tag[0], close: `</${tag[2]}>` }];
+      }
+      i += length;
+      continue;
+    }
+
+    if (!parseMode) {
+      i += 1;
+      continue;
+    }
+
+    // Legacy Markdown entities cannot be nested or escaped inside, MarkdownV2 code only ends at a backtick
+    const literal = top && (legacy || top.close.startsWith('`'));
+    if (text[i] === '\\' && !(legacy && top)) {
+      skip(2);
+      i += 2;
+      continue;
+    }
+    if (literal) {
+      if (text.startsWith(top.close, i)) {
+        skip(top.close.length);
+        stack = stack.slice(0, -1);
+        i += top.close.length;
+      } else {
+        i += 1;
+      }
+      continue;
+    }
+
+    const linkMatch = text[i] === '[' || (text[i] === '!' && !legacy) ? MARKDOWN_LINK.exec(text.slice(i)) : null;
+    if (linkMatch) {
+      skip(linkMatch[0].length);
+      i += linkMatch[0].length;
+      continue;
+    }
+    if (text[i] === '[') {
+      return null;
+    }
+
+    const marker = markers.find((candidate) => text.startsWith(candidate, i));
+    if (!marker) {
+      i += 1;
+    } else if (marker === '```') {
+      // The language of a pre block is part of its opening
+      const language = /^[^\s`]*\n?/.exec(text.slice(i + 3))[0];
+      const opening = `\`\`\`${language}`;
+      skip(opening.length);
+      stack = [...stack, { open: language && !language.endsWith('\n') ? `${opening}\n` : opening, close: '```' }];
+      i += opening.length;
+    } else if (top && top.close === marker) {
+      skip(marker.length);
+      stack = stack.slice(0, -1);
+      i += marker.length;
+    } else if (stack.some((entry) => entry.close === marker)) {
+      // Styles that overlap instead of nesting
+      return null;
+    } else {
+      skip(marker.length);
+      stack = [...stack, { open: marker, close: marker }];
+      i += marker.length;
+    }
+  }
+
+  open[text.length] = stack;
+  return stack.length === 0 ? { open, cuttable } : null;
+}
+
+/**
+ * Split text into chunks Telegram accepts, between lines where possible and otherwise at a space.
+ * Styles open at a cut are closed at the end of the chunk and reopened at the start of the next one.
+ * @param {string} text - Message text, formatted for parseMode
+ * @param {number} [limit] - Maximum chunk length
+ * @param {string} [parseMode] - Markdown, MarkdownV2 or HTML; plain text when not set
+ * @returns {string[]|null} Chunks in order, or null if the markup is unbalanced or cannot be split
+ *   within the limit; such text can still be split and sent as plain text
+ */
+export function splitMessage(text, limit = MESSAGE_LIMIT, parseMode = null) {
+  if (text.length <= limit) {
+    return [text];
+  }
+
+  const markup = scanMarkup(text, parseMode);
+  if (!markup) {
+    return null;
+  }
+
+  const openings = (stack) => stack.map((entry) => entry.open).join('');
+  const closings = (stack) => stack.map((entry) => entry.close).reverse().join('');
+
+  const chunks = [];
+  let start = 0;
+  while (start < text.length) {
+    const reopen = openings(markup.open[start]);
+    if (reopen.length + text.length - start <= limit) {
+      chunks.push(reopen + text.slice(start));
+      break;
+    }
+
+    // Prefer the last line break that fits, then the last space, then any position
+    let lineCut = -1;
+    let spaceCut = -1;
+    let anyCut = -1;
+    for (let cut = start + limit - reopen.length; cut > start && lineCut < 0; cut--) {
+      if (!markup.cuttable[cut] || reopen.length + cut - start + closings(markup.open[cut]).length > limit) {
+        continue;
+      }
+      if (text[cut] === '\n') lineCut = cut;
+      if (text[cut] === ' ' && spaceCut < 0) spaceCut = cut;
+      if (anyCut < 0) anyCut = cut;
+    }
+
+    const cut = [lineCut, spaceCut, anyCut].find((position) => position > start);
+    if (cut === undefined) {
+      return null;
+    }
+
+    if (text.slice(start, cut).trim() !== '') {
+      chunks.push(reopen + text.slice(start, cut) + closings(markup.open[cut]));
+    }
+    start = text[cut] === '\n' || text[cut] === ' ' ? cut + 1 : cut;
+  }
+
+  return chunks;
+}
@@ -0,0 +1,267 @@
+/**
+ * Signal message parser
+ *
+ * Extracts trading fields from signal messages written as plain text,
+ * Markdown, MarkdownV2 or HTML. Telegram hands callback handlers the plain
+ * text of a message, while API callers send the formatted source, so both
+ * have to parse to the same result.
+ */
+
+/**
+ * @typedef {object} SignalFieldError
+ * @property {string} field - Name of the offending field
+ * @property {string} message - Human readable description of the problem
+ */
+
+/**
+ * @typedef {object} ParsedSignal
+ * @property {string|null} token - Token symbol, upper-cased (e.g. "UNI", "1INCH")
+ * @property {string|null} tokenName - Name given in parentheses after the symbol
+ * @property {'buy'|'sell'|null} direction - Trade direction
+ * @property {number|null} entryPrice - Entry price
+ * @property {number|null} tp1 - First take-profit target
+ * @property {number|null} tp2 - Second take-profit target
+ * @property {number|null} sl - Stop loss
+ * @property {string|null} timeline - Raw timeline text (e.g. "Short-term (1-7 days)")
+ * @property {string|null} tradeTip - Free-form trade tip
+ * @property {'plain'|'markdown'|'markdownv2'|'html'} format - Detected source format
+ * @property {SignalFieldError[]} errors - Field-level validation errors
+ * @property {boolean} isValid - True when there are no errors
+ */
+
+export const REQUIRED_SIGNAL_FIELDS = ['token', 'direction', 'entryPrice', 'tp1', 'sl'];
+
+const PRICE_FIELDS = ['entryPrice', 'tp1', 'tp2', 'sl'];
+
+const HTML_ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&#39;': "'",
+  '&nbsp;': ' '
+};
+
+/**
+ * Error raised when a signal is missing required fields or holds invalid values
+ */
+export class SignalParseError extends Error {
+  /**
+   * @param {SignalFieldError[]} errors - Field-level errors from the parser
+   */
+  constructor(errors) {
+    super(`Invalid signal: ${errors.map((e) => `${e.field} ${e.message}`).join('; ')}`);
+    this.name = 'SignalParseError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Guess which Telegram parse mode the message was written for
+ * @param {string} message - Raw message text
+ * @returns {'plain'|'markdown'|'markdownv2'|'html'} Detected format
+ */
+export function detectFormat(message) {
+  if (/<\/?(b|strong|i|em|u|code|pre|a)(\s[^>]*)?>/i.test(message)) return 'html';
+  if (/\\[_*[\]()~`>#+\-=|{}.!]/.test(message)) return 'markdownv2';
+  if (/\*\*|__|\*[^*\n]+\*|`/.test(message)) return 'markdown';
+  return 'plain';
+}
+
+/**
+ * Reduce a formatted message to plain text so a single set of patterns applies
+ * @param {string} message - Raw message text
+ * @param {string} format - Format returned by detectFormat
+ * @returns {string} Plain text
+ */
+function normalize(message, format) {
+  let text = message.replace(/\r\n/g, '\n');
+
+  if (format === 'html') {
+    text = text
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<[^>]+>/g, '')
+      .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (entity) => HTML_ENTITIES[entity]);
+  } else {
+    if (format === 'markdownv2') {
+      // MarkdownV2 allows any ASCII punctuation to be escaped
+      text = text.replace(/\\([!-/:-@[-`{-~])/g, '$1');
+    }
+    // Emphasis markers; single underscores are left alone since they may be part of a value
+    text = text.replace(/\*+|__|~|`/g, '');
+  }
+
+  return text;
+}
+
+/**
+ * Read the rest of the line following a "Label:" marker
+ * @param {string} text - Normalized message text
+ * @param {string} label - Regex source for the label
+ * @returns {string|null} Trimmed value or null when the label is absent
+ */
+function readField(text, label) {
+  const match = text.match(new RegExp(`(?:^|[^A-Za-z0-9])_?(?:${label})_?[ \\t]*:[ \\t]*([^\\n]*)`, 'i'));
+  if (!match) return null;
+  const value = match[1].trim();
+  return value === '' ? null : value;
+}
+
+/**
+ * Parse a price such as "$9.37", "1,234.5" or "12.5k"
+ * @param {string|null} value - Raw field value
+ * @returns {number|null|undefined} Parsed number, null when absent, undefined when unparseable
+ */
+export function parsePrice(value) {
+  if (value === null || value === undefined) return null;
+  const match = String(value).match(/^\$?\s*(\d[\d,]*(?:\.\d+)?|\.\d+)\s*([kK])?(?![A-Za-z])/);
+  if (!match) return undefined;
+  const number = parseFloat(match[1].replace(/,/g, ''));
+  if (!Number.isFinite(number)) return undefined;
+  return match[2] ? number * 1000 : number;
+}
+
+/**
+ * Map a signal label ("Buy", "Long", "Sell", "Short") to a trade direction
+ * @param {string|null} value - Raw field value
+ * @returns {'buy'|'sell'|null} Direction
+ */
+function parseDirection(value) {
+  if (!value) return null;
+  if (/^(buy|long)\b/i.test(value)) return 'buy';
+  if (/^(sell|short)\b/i.test(value)) return 'sell';
+  return null;
+}
+
+/**
+ * Parse a signal message in any supported format
+ * @param {string} message - The message text containing the trading signal
+ * @returns {ParsedSignal} Parsed fields together with validation errors
+ */
+export function parseSignal(message) {
+  const errors = [];
+
+  if (typeof message !== 'string' || message.trim() === '') {
+    return {
+      token: null,
+      tokenName: null,
+      direction: null,
+      entryPrice: null,
+      tp1: null,
+      tp2: null,
+      sl: null,
+      timeline: null,
+      tradeTip: null,
+      format: 'plain',
+      errors: [{ field: 'message', message: 'is empty' }],
+      isValid: false
+    };
+  }
+
+  const format = detectFormat(message);
+  const text = normalize(message, format);
+
+  // Token symbol, optionally followed by "(name)"
+  let token = null;
+  let tokenName = null;
+  const tokenValue = readField(text, 'Token');
+  if (tokenValue) {
+    const match = tokenValue.match(/^\$?([A-Za-z0-9]+)\s*(?:\(([^)]*)\))?/);
+    if (match) {
+      token = match[1].toUpperCase();
+      tokenName = match[2] ? match[2].trim() : null;
+    } else {
+      errors.push({ field: 'token', message: `could not be read from "${tokenValue}"` });
+    }
+  }
+
+  // Direction comes from the Signal line, falling back to the alert heading
+  const signalValue = readField(text, 'Signal');
+  let direction = parseDirection(signalValue);
+  if (!direction && signalValue) {
+    errors.push({ field: 'direction', message: `"${signalValue}" is not buy, sell, long or short` });
+  }
+  if (!direction && !signalValue) {
+    if (/Bullish\s+Alert/i.test(text)) direction = 'buy';
+    else if (/Bearish\s+Alert/i.test(text)) direction = 'sell';
+  }
+
+  const rawPrices = {
+    entryPrice: readField(text, 'Entry(?:\\s+Price)?'),
+    tp1: readField(text, 'TP1'),
+    tp2: readField(text, 'TP2'),
+    sl: readField(text, 'Stop\\s*Loss|SL')
+  };
+
+  const prices = {};
+  for (const field of PRICE_FIELDS) {
+    const parsed = parsePrice(rawPrices[field]);
+    if (parsed === undefined) {
+      errors.push({ field, message: `"${rawPrices[field]}" is not a valid price` });
+      prices[field] = null;
+    } else if (parsed !== null && parsed <= 0) {
+      errors.push({ field, message: 'must be greater than zero' });
+      prices[field] = null;
+    } else {
+      prices[field] = parsed;
+    }
+  }
+
+  const timeline = readField(text, 'Timeline');
+
+  const tipMatch = text.match(/Trade\s+Tip[ \t]*:[ \t]*\n?([\s\S]+)$/i);
+  const tradeTip = tipMatch ? tipMatch[1].trim() || null : null;
+
+  const result = {
+    token,
+    tokenName,
+    direction,
+    ...prices,
+    timeline,
+    tradeTip,
+    format
+  };
+
+  for (const field of REQUIRED_SIGNAL_FIELDS) {
+    if (result[field] === null && !errors.some((e) => e.field === field)) {
+      errors.push({ field, message: 'is required' });
+    }
+  }
+
+  return {
+    ...result,
+    errors,
+    isValid: errors.length === 0
+  };
+}
+
+/**
+ * Check that price levels are ordered consistently with the trade direction.
+ * Longs need SL < entry < TP1 < TP2, shorts need TP2 < TP1 < entry < SL.
+ * @param {ParsedSignal} signal - Parsed signal with direction and prices
+ * @returns {SignalFieldError[]} Errors for levels on the wrong side of the entry
+ */
+export function validateSignalLevels(signal) {
+  const errors = [];
+  const { direction, entryPrice, tp1, tp2, sl } = signal;
+  if (!direction || entryPrice === null) return errors;
+
+  const isLong = direction === 'buy';
+  const above = isLong ? 'above' : 'below';
+  const below = isLong ? 'below' : 'above';
+  const beyond = (a, b) => (isLong ? a > b : a < b);
+
+  if (sl !== null && !beyond(entryPrice, sl)) {
+    errors.push({ field: 'sl', message: `must be ${below} the entry price for a ${isLong ? 'long' : 'short'}` });
+  }
+  if (tp1 !== null && !beyond(tp1, entryPrice)) {
+    errors.push({ field: 'tp1', message: `must be ${above} the entry price for a ${isLong ? 'long' : 'short'}` });
+  }
+  if (tp2 !== null && tp1 !== null && !beyond(tp2, tp1)) {
+    errors.push({ field: 'tp2', message: `must be ${above} TP1 for a ${isLong ? 'long' : 'short'}` });
+  }
+
+  return errors;
+}
+
+export default parseSignal;
@@ -0,0 +1,123 @@
+import { renderMessage, bold, strike, DEFAULT_PARSE_MODE, MESSAGE_LIMIT, CAPTION_LIMIT } from './messageFormat.js';
+
+/**
+ * Format a price in dollars. Plain number-to-string conversion switches to exponent notation below
+ * 1e-6 (e.g. "$1.23e-7"), which users misread and the signal parser cannot read back, so prices are
+ * always written out in fixed-point with as many decimals as they need.
+ * @param {number} price - Price
+ * @returns {string} e.g. "$9.37" or "$0.000000123"
+ */
+export function formatPrice(price) {
+  return `$${price.toLocaleString('en-US', { useGrouping: false, maximumFractionDigits: 20 })}`;
+}
+
+/**
+ * Lines of a structured signal message, without the trade tip
+ * @param {object} signal - Signal fields (see renderSignalMessage)
+ * @returns {Array} Lines for renderMessage
+ */
+function buildSignalLines(signal) {
+  const isShort = signal.direction === 'sell';
+
+  const lines = [
+    isShort ? ['📉 ', bold('Bearish Alert'), ' 📉'] : ['🚀 ', bold('Bullish Alert'), ' 🚀'],
+    '',
+    ['🏛️ ', bold('Token'), `:  ${signal.token}${signal.tokenName ? ` (${signal.tokenName})` : ''}`],
+    [isShort ? '📉 ' : '📈 ', bold('Signal'), isShort ? ': Sell' : ': Buy'],
+    ['💰 ', bold('Entry Price'), `: ${formatPrice(signal.entryPrice)}`],
+    ['🎯 ', bold('Targets'), ':'],
+    `TP1: ${formatPrice(signal.tp1)}`
+  ];
+
+  if (signal.tp2 !== null && signal.tp2 !== undefined) {
+    lines.push(`TP2: ${formatPrice(signal.tp2)}`);
+  }
+
+  lines.push(['🛑 ', bold('Stop Loss'), `: ${formatPrice(signal.sl)}`]);
+
+  if (signal.timeline) {
+    lines.push(['⏳ ', bold('Timeline:'), ` ${signal.timeline}`]);
+  }
+
+  return lines;
+}
+
+/**
+ * Render a structured signal into the message sent to users.
+ * Layout matches the signals published by our feed so that the text can
+ * still be parsed by utils/signalParser.js.
+ *
+ * @param {object} signal - Signal fields
+ * @param {string} signal.token - Token symbol
+ * @param {string} [signal.tokenName] - Token name shown in parentheses
+ * @param {'buy'|'sell'} signal.direction - Trade direction
+ * @param {number} signal.entryPrice - Entry price
+ * @param {number} signal.tp1 - First take-profit target
+ * @param {number} [signal.tp2] - Second take-profit target
+ * @param {number} signal.sl - Stop loss
+ * @param {string} [signal.timeline] - Timeline text
+ * @param {string} [signal.tradeTip] - Trade tip paragraph
+ * @param {string} [parseMode] - MarkdownV2 or HTML
+ * @returns {string} Message text for that parse_mode
+ */
+export function renderSignalMessage(signal, parseMode = DEFAULT_PARSE_MODE) {
+  const lines = buildSignalLines(signal);
+
+  if (signal.tradeTip) {
+    lines.push('', ['💡 ', bold('Trade Tip'), ':'], ...signal.tradeTip.split('\n'));
+  }
+
+  return renderMessage(lines, parseMode);
+}
+
+/**
+ * Render what a retracted signal's messages are edited to: a notice above the struck-through levels.
+ * The trade tip is left out so the text still fits in a media caption, and the reason is shortened with
+ * an ellipsis if the text would not fit where the signal was sent.
+ * @param {object} signal - Signal fields (see renderSignalMessage), with the stored message and media if any
+ * @param {string|null} reason - Why the signal was retracted
+ * @param {string} [parseMode] - MarkdownV2 or HTML
+ * @returns {string} Message text for that parse_mode
+ */
+export function renderRetractedSignalMessage(signal, reason, parseMode = DEFAULT_PARSE_MODE) {
+  // Each line is struck through as a whole, dropping its bold labels, since styles cannot be nested
+  const struck = buildSignalLines(signal).map((line) => {
+    const text = (Array.isArray(line) ? line : [line])
+      .map((part) => (typeof part === 'object' ? part.text : part))
+      .join('');
+    return text ? strike(text) : '';
+  });
+
+  const render = (shownReason) => renderMessage([
+    ['🚫 ', bold('Signal retracted'), shownReason ? `: ${shownReason}` : ''],
+    '',
+    ...struck
+  ], parseMode);
+
+  // Signals sent with media whose text fit in the caption are edited as captions
+  const limit = signal.media && (signal.message ?? '').length <= CAPTION_LIMIT ? CAPTION_LIMIT : MESSAGE_LIMIT;
+
+  const text = render(reason);
+  if (!reason || text.length <= limit) {
+    return text;
+  }
+
+  // Escaping can make the rendered reason longer than the reason itself, so search for the longest part that fits
+  const shorten = (length) => {
+    const shown = reason.slice(0, length).trimEnd();
+    return render(shown ? `${shown}…` : null);
+  };
+  let low = 0;
+  let high = reason.length - 1;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (shorten(middle).length <= limit) {
+      low = middle;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return shorten(low);
+}
+
+export default renderSignalMessage;
@@ -0,0 +1,74 @@
+// Connection errors raised before the request reached Telegram, so retrying cannot deliver a message twice.
+// Resets and timeouts are not included: Telegram may already have delivered the message.
+const PRE_SEND_NETWORK_ERRORS = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'];
+
+/**
+ * Error returned by the Telegram Bot API, normalized from axios and Telegraf errors
+ */
+export class TelegramApiError extends Error {
+  /**
+   * @param {object} params - Error details
+   * @param {number|null} params.code - Telegram error_code (HTTP status), null for network errors
+   * @param {string} params.description - Telegram description or network error message
+   * @param {number|null} [params.retryAfter] - Seconds to wait before retrying (429 only)
+   * @param {string|null} [params.networkCode] - System error code of a network error, e.g. ECONNREFUSED
+   */
+  constructor({ code, description, retryAfter = null, networkCode = null }) {
+    super(`Telegram API Error: ${description}`);
+    this.name = 'TelegramApiError';
+    this.code = code;
+    this.description = description;
+    this.retryAfter = retryAfter;
+    this.networkCode = networkCode;
+  }
+
+  /**
+   * True when the user blocked the bot or deleted their account
+   */
+  get isBlocked() {
+    return this.code === 403;
+  }
+
+  /**
+   * True for failures worth retrying: rate limits, server errors and connection errors raised before sending
+   */
+  get isTransient() {
+    return this.code === 429 || this.code >= 500 || PRE_SEND_NETWORK_ERRORS.includes(this.networkCode);
+  }
+}
+
+/**
+ * Convert an axios or Telegraf error into a TelegramApiError
+ * @param {Error} error - Error thrown by a Telegram API call
+ * @returns {TelegramApiError|Error} Normalized error, or the error itself when it did not come from the
+ *   API or the network (e.g. a TypeError)
+ */
+export function toTelegramApiError(error) {
+  if (error instanceof TelegramApiError) {
+    return error;
+  }
+
+  // axios errors carry the body in response.data, Telegraf errors in response
+  const body = error.response?.data ?? error.response;
+  if (body && typeof body === 'object' && body.error_code) {
+    return new TelegramApiError({
+      code: body.error_code,
+      description: body.description,
+      retryAfter: body.parameters?.retry_after ?? null
+    });
+  }
+
+  if (error.response?.status) {
+    return new TelegramApiError({
+      code: error.response.status,
+      description: error.message
+    });
+  }
+
+  // Network errors carry a system error code such as ECONNRESET
+  if (typeof error.code === 'string' && /^E[A-Z_]+$/.test(error.code)) {
+    return new TelegramApiError({ code: null, description: error.message, networkCode: error.code });
+  }
+
+  return error;
+}
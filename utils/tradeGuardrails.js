@@ -0,0 +1,77 @@
+// Checks a simulation must pass before it is offered to the user and again when it is confirmed
+import { signalExpiresAt } from './tradeParameters.js';
+
+// Signals older than this are not simulated; entry prices are stale by then
+export const MAX_SIGNAL_AGE_MINUTES = parseInt(process.env.SIMULATION_MAX_SIGNAL_AGE_MINUTES || '1440');
+
+// Confirmed simulations (including auto-simulations) a user may run per UTC day
+export const DAILY_SIMULATION_LIMIT = parseInt(process.env.SIMULATION_DAILY_LIMIT || '20');
+
+/**
+ * Error raised when a guardrail refuses a simulation
+ */
+export class GuardrailError extends Error {
+  /**
+   * @param {string} reason - Machine-readable reason (signal_too_old, signal_retracted, signal_expired, daily_limit)
+   * @param {string} message - Explanation shown to the user
+   */
+  constructor(reason, message) {
+    super(message);
+    this.name = 'GuardrailError';
+    this.reason = reason;
+  }
+}
+
+/**
+ * Refuse signals older than MAX_SIGNAL_AGE_MINUTES
+ * @param {Date|null} signalTime - When the signal was created or sent
+ * @param {Date} [now] - Current time
+ * @throws {GuardrailError} If the signal is too old
+ */
+export function checkSignalAge(signalTime, now = new Date()) {
+  if (!signalTime) {
+    return;
+  }
+
+  const ageMinutes = (now.getTime() - new Date(signalTime).getTime()) / 60000;
+  if (ageMinutes > MAX_SIGNAL_AGE_MINUTES) {
+    const hours = Math.floor(ageMinutes / 60);
+    throw new GuardrailError(
+      'signal_too_old',
+      `This signal is ${hours >= 1 ? `${hours}h` : `${Math.floor(ageMinutes)}m`} old. Signals older than ${MAX_SIGNAL_AGE_MINUTES} minutes can no longer be simulated.`
+    );
+  }
+}
+
+/**
+ * Refuse stored signals that were retracted or whose timeline has run out
+ * @param {object} signal - Stored signal
+ * @param {Date} [now] - Current time
+ * @throws {GuardrailError} If the signal can no longer be simulated
+ */
+export function checkSignalAvailable(signal, now = new Date()) {
+  if (signal.status === 'retracted') {
+    throw new GuardrailError(
+      'signal_retracted',
+      `This ${signal.token} signal was retracted and can no longer be simulated.${signal.retractReason ? ` Reason: ${signal.retractReason}` : ''}`
+    );
+  }
+
+  if (signalExpiresAt(signal) <= now) {
+    throw new GuardrailError(
+      'signal_expired',
+      `This ${signal.token} signal expired at the end of its timeline and can no longer be simulated.`
+    );
+  }
+}
+
+/**
+ * Start of the current UTC day, the window for DAILY_SIMULATION_LIMIT
+ * @param {Date} [now] - Current time
+ * @returns {Date} Midnight UTC
+ */
+export function startOfUtcDay(now = new Date()) {
+  const start = new Date(now);
+  start.setUTCHours(0, 0, 0, 0);
+  return start;
+}
@@ -0,0 +1,115 @@
+// Exit window and position size sent to the trading engine with a simulation
+
+// Used when a signal has no timeline, or one that cannot be read
+export const DEFAULT_EXIT_WINDOW_HOURS = 24;
+const MAX_EXIT_WINDOW_HOURS = 90 * 24;
+
+// Choices offered on the confirmation screen
+export const EXIT_WINDOW_OPTIONS_HOURS = [24, 72, 168, 336];
+export const POSITION_SIZE_OPTIONS = [
+  { type: 'amount', value: 50 },
+  { type: 'amount', value: 100 },
+  { type: 'amount', value: 250 },
+  { type: 'percent', value: 5 },
+  { type: 'percent', value: 10 },
+  { type: 'percent', value: 25 }
+];
+
+const UNIT_HOURS = { hour: 1, hr: 1, day: 24, week: 168, month: 720 };
+
+// Timelines without numbers, e.g. "Short-term"
+const TIMELINE_KEYWORDS = [
+  [/intra-?day|scalp/, 24],
+  [/short[\s-]?term/, 7 * 24],
+  [/(mid|medium)[\s-]?term|swing/, 30 * 24],
+  [/long[\s-]?term/, MAX_EXIT_WINDOW_HOURS]
+];
+
+/**
+ * Derive the exit window from a signal's timeline, e.g. "Short-term (1-7 days)" gives 168 hours.
+ * Ranges use their upper bound.
+ * @param {string|null} timeline - The signal's ⏳ Timeline value
+ * @returns {number} Exit window in hours
+ */
+export function exitWindowFromTimeline(timeline) {
+  const text = String(timeline || '').toLowerCase();
+
+  const range = text.match(/(\d+(?:\.\d+)?)\s*(?:(?:-|–|to)\s*(\d+(?:\.\d+)?))?\s*(hour|hr|day|week|month)s?\b/);
+  if (range) {
+    const amount = Number(range[2] || range[1]);
+    const hours = Math.round(amount * UNIT_HOURS[range[3]]);
+    if (hours > 0) {
+      return Math.min(hours, MAX_EXIT_WINDOW_HOURS);
+    }
+  }
+
+  for (const [pattern, hours] of TIMELINE_KEYWORDS) {
+    if (pattern.test(text)) {
+      return hours;
+    }
+  }
+
+  return DEFAULT_EXIT_WINDOW_HOURS;
+}
+
+/**
+ * When a stored signal expires: its timeline after it was created. Signals without a readable
+ * timeline expire after DEFAULT_EXIT_WINDOW_HOURS.
+ * @param {object} signal - Stored signal (createdAt, timeline, and expiresAt once stored with one)
+ * @returns {Date} Expiry
+ */
+export function signalExpiresAt(signal) {
+  if (signal.expiresAt) {
+    return new Date(signal.expiresAt);
+  }
+  return new Date(new Date(signal.createdAt).getTime() + exitWindowFromTimeline(signal.timeline) * 60 * 60 * 1000);
+}
+
+/**
+ * Format an exit window for display, e.g. "3 days" or "12 hours"
+ * @param {number} hours - Exit window in hours
+ * @returns {string} Text
+ */
+export function formatExitWindow(hours) {
+  if (hours % 24 === 0) {
+    const days = hours / 24;
+    return `${days} day${days === 1 ? '' : 's'}`;
+  }
+  return `${hours} hour${hours === 1 ? '' : 's'}`;
+}
+
+/**
+ * Format a position size for display
+ * @param {{ type: 'amount'|'percent', value: number }|null} size - Position size, or null for the engine default
+ * @returns {string} Text
+ */
+export function formatPositionSize(size) {
+  if (!size) {
+    return 'Engine default';
+  }
+  return size.type === 'percent' ? `${size.value}% of Safe balance` : `$${size.value}`;
+}
+
+/**
+ * Encode a position size for callback data: "a100" ($100), "p10" (10%) or "none"
+ * @param {{ type: 'amount'|'percent', value: number }|null} size - Position size
+ * @returns {string} Code
+ */
+export function encodePositionSize(size) {
+  if (!size) {
+    return 'none';
+  }
+  return `${size.type === 'percent' ? 'p' : 'a'}${size.value}`;
+}
+
+/**
+ * Decode a position size from callback data, accepting only the offered options
+ * @param {string} code - Code from encodePositionSize
+ * @returns {{ type: 'amount'|'percent', value: number }|null|undefined} The size, null for the engine default, or undefined if not an option
+ */
+export function decodePositionSize(code) {
+  if (code === 'none') {
+    return null;
+  }
+  return POSITION_SIZE_OPTIONS.find((option) => encodePositionSize(option) === code);
+}